@@ -1,5 +1,18 @@
 // ai-earnings.js - Corrected to show historical data + next quarter
-const fetch = require('node-fetch');
+//
+// Fiscal periods follow the company's own fiscal year (lib/fiscal-calendar.js),
+// with the calendar quarter each one mostly covers in `calendarPeriod`.
+// ?reaction=true adds how the stock moved after each past report (see
+// lib/earnings-reaction.js) and an expected move for the next one.
+const { cacheHeaders } = require('./lib/cache');
+const { fetchFMP, getHistoricalDaily } = require('./lib/fmp');
+const { fromFmpCalendar, fromFmpSurprise, fromFmpIncomeStatement } = require('./lib/earnings-providers');
+const { getFiscalCalendar, labelReport, periodForEnd, quarterEnd, nextQuarter, formatQuarter, describeFiscalYearEnd } = require('./lib/fiscal-calendar');
+const { analyzeReactions, DEFAULT_LOOKBACK } = require('./lib/earnings-reaction');
+
+// Calendar days of prices before the oldest report, so the close before
+// it is always covered
+const REACTION_PRICE_PADDING = 10;
 
 exports.handler = async function(event, context) {
   // Extract API key from environment variables
@@ -14,7 +27,7 @@ exports.handler = async function(event, context) {
   }
   
   // Get query parameters
-  const { symbol, period = 'quarterly' } = event.queryStringParameters || {};
+  const { symbol, period = 'quarterly', reaction } = event.queryStringParameters || {};
   
   // If no symbol provided, check if we have a symbol in the URL path
   let symbolToUse = symbol;
@@ -52,71 +65,11 @@ exports.handler = async function(event, context) {
   console.log(`Processing earnings request for symbol: ${symbolToUse}, period: ${period}`);
   
   try {
-    // 1. Get historical earnings data first - trying multiple endpoints
-    let historicalData = [];
-    
-    // Try multiple endpoints to get the most complete historical data
-    const endpoints = [
-      // Historical earnings calendar - best source
-      {
-        url: `https://financialmodelingprep.com/api/v3/historical/earning_calendar/${symbolToUse}?apikey=${apiKey}`,
-        mapper: (item) => ({
-          date: item.date,
-          symbol: symbolToUse,
-          eps: item.eps,
-          epsEstimated: item.epsEstimated,
-          revenue: item.revenue,
-          revenueEstimated: item.revenueEstimated,
-          surprisePercentage: item.surprisePercentage
-        })
-      },
-      // Earnings surprises - good fallback
-      {
-        url: `https://financialmodelingprep.com/api/v3/earnings-surprises/${symbolToUse}?apikey=${apiKey}`,
-        mapper: (item) => ({
-          date: item.date,
-          symbol: symbolToUse,
-          eps: item.actualEps,
-          epsEstimated: item.estimatedEps,
-          revenue: item.actualRevenue,
-          revenueEstimated: item.estimatedRevenue,
-          surprisePercentage: item.surprisePercentage
-        })
-      },
-      // Income statement - last resort
-      {
-        url: `https://financialmodelingprep.com/api/v3/income-statement/${symbolToUse}?period=${period === 'annual' ? 'annual' : 'quarter'}&limit=10&apikey=${apiKey}`,
-        mapper: (item) => ({
-          date: item.date,
-          symbol: symbolToUse,
-          eps: item.eps,
-          epsEstimated: null,
-          revenue: item.revenue,
-          revenueEstimated: null,
-          surprisePercentage: null
-        })
-      }
-    ];
-    
-    // Try each endpoint until we get data
-    for (const endpoint of endpoints) {
-      try {
-        const response = await fetch(endpoint.url);
-        if (response.ok) {
-          const data = await response.json();
-          if (Array.isArray(data) && data.length > 0) {
-            historicalData = data.map(endpoint.mapper);
-            break;
-          }
-        }
-      } catch (error) {
-        console.error(`Error fetching from ${endpoint.url}:`, error);
-        // Continue to next endpoint
-      }
-    }
+    const { earnings: responseData, served } = await buildEarnings(symbolToUse, period, apiKey, {
+      reaction: reaction === 'true'
+    });
     
-    // If we still have no historical data after all attempts
-    if (!historicalData || historicalData.length === 0) {
+    if (!responseData) {
       return {
         statusCode: 404,
         body: JSON.stringify({ 
@@ -127,181 +80,13 @@ exports.handler = async function(event, context) {
       };
     }
     
-    // Sort by date (newest first) and filter out future dates
-    const now = new Date();
-    historicalData = historicalData
-      .filter(item => {
-        const itemDate = new Date(item.date);
-        return !isNaN(itemDate.getTime()) && itemDate <= now;
-      })
-      .sort((a, b) => new Date(b.date) - new Date(a.date));
-    
-    // Create a processed data array with proper fiscal periods
-    const processedHistorical = historicalData.map(item => {
-      const date = new Date(item.date);
-      const quarter = Math.floor((date.getMonth()) / 3) + 1;
-      const year = date.getFullYear().toString().slice(2);
-      
-      return {
-        date: item.date,
-        symbol: symbolToUse,
-        fiscalPeriod: period === 'annual' 
-          ? `FY '${year}` 
-          : `Q${quarter} '${year}`,
-        estimatedEps: item.epsEstimated,
-        actualEps: item.eps,
-        surprisePercentage: item.surprisePercentage,
-        estimatedRevenue: item.revenueEstimated,
-        actualRevenue: item.revenue,
-        isUpcoming: false
-      };
-    });
-    
-    // Get only the last 3 historical quarters
-    const recentHistorical = processedHistorical.slice(0, 3);
-    
-    // 2. Now get the next upcoming quarter
-    let nextQuarterData = null;
-    
-    if (period === 'quarterly' && recentHistorical.length > 0) {
-      // Get the most recent quarter and year
-      const lastQuarterData = recentHistorical[0];
-      const lastDate = new Date(lastQuarterData.date);
-      const lastQuarterMatch = lastQuarterData.fiscalPeriod.match(/Q(\d+)\s+'(\d+)/);
-      
-      if (lastQuarterMatch) {
-        const lastQuarter = parseInt(lastQuarterMatch[1]);
-        const lastYear = parseInt('20' + lastQuarterMatch[2]);
-        
-        // Calculate next quarter
-        let nextQuarter = lastQuarter + 1;
-        let nextYear = lastYear;
-        if (nextQuarter > 4) {
-          nextQuarter = 1;
-          nextYear++;
-        }
-        
-        // Create the next quarter's fiscal period
-        const nextFiscalPeriod = `Q${nextQuarter} '${nextYear.toString().slice(2)}`;
-        
-        // Try to get analyst estimates for the next quarter
-        try {
-          // First check earnings calendar for upcoming earnings
-          const calendarUrl = `https://financialmodelingprep.com/api/v3/earning_calendar?symbol=${symbolToUse}&apikey=${apiKey}`;
-          const calendarResponse = await fetch(calendarUrl);
-          
-          if (calendarResponse.ok) {
-            const calendarData = await calendarResponse.json();
-            if (Array.isArray(calendarData) && calendarData.length > 0) {
-              // Find future earnings dates
-              const futureEarnings = calendarData.filter(item => new Date(item.date) > now);
-              
-              if (futureEarnings.length > 0) {
-                // Sort by date and take the closest upcoming one
-                futureEarnings.sort((a, b) => new Date(a.date) - new Date(b.date));
-                const nextEarnings = futureEarnings[0];
-                
-                nextQuarterData = {
-                  date: nextEarnings.date,
-                  symbol: symbolToUse,
-                  fiscalPeriod: nextFiscalPeriod,
-                  estimatedEps: nextEarnings.epsEstimated,
-                  actualEps: null,
-                  surprisePercentage: null,
-                  estimatedRevenue: null,
-                  actualRevenue: null,
-                  isUpcoming: true
-                };
-              }
-            }
-          }
-          
-          // If we didn't find upcoming earnings, try analyst estimates
-          if (!nextQuarterData) {
-            const estimatesUrl = `https://financialmodelingprep.com/api/v3/analyst-estimates/${symbolToUse}?apikey=${apiKey}`;
-            const estimatesResponse = await fetch(estimatesUrl);
-            
-            if (estimatesResponse.ok) {
-              const estimatesData = await estimatesResponse.json();
-              if (Array.isArray(estimatesData) && estimatesData.length > 0) {
-                // Create a placeholder for the next quarter
-                const expectedReportDate = new Date(lastDate);
-                expectedReportDate.setMonth(expectedReportDate.getMonth() + 3);
-                
-                nextQuarterData = {
-                  date: expectedReportDate.toISOString().split('T')[0],
-                  symbol: symbolToUse,
-                  fiscalPeriod: nextFiscalPeriod,
-                  estimatedEps: null,
-                  actualEps: null,
-                  surprisePercentage: null,
-                  estimatedRevenue: null,
-                  actualRevenue: null,
-                  isUpcoming: true
-                };
-                
-                // Try to find matching estimates from the response
-                estimatesData.forEach(estimate => {
-                  // Check if this estimate matches our next quarter
-                  if (estimate.period === `Q${nextQuarter}` || 
-                      (estimate.period && estimate.period.includes(`${nextQuarter}`))) {
-                    
-                    nextQuarterData.estimatedEps = estimate.epsAvg || estimate.estimatedEps;
-                    nextQuarterData.estimatedRevenue = estimate.revenueAvg || estimate.estimatedRevenue;
-                  }
-                });
-                
-                // If we couldn't find a specific estimate, use the nearest one
-                if (nextQuarterData.estimatedEps === null && estimatesData.length > 0) {
-                  nextQuarterData.estimatedEps = estimatesData[0].epsAvg;
-                  nextQuarterData.estimatedRevenue = estimatesData[0].revenueAvg;
-                }
-              }
-            }
-          }
-          
-          // If we still don't have next quarter data, create a basic placeholder
-          if (!nextQuarterData) {
-            const expectedReportDate = new Date(lastDate);
-            expectedReportDate.setMonth(expectedReportDate.getMonth() + 3);
-            
-            nextQuarterData = {
-              date: expectedReportDate.toISOString().split('T')[0],
-              symbol: symbolToUse,
-              fiscalPeriod: nextFiscalPeriod,
-              estimatedEps: null,
-              actualEps: null,
-              surprisePercentage: null,
-              estimatedRevenue: null,
-              actualRevenue: null,
-              isUpcoming: true
-            };
-          }
-        } catch (error) {
-          console.error('Error fetching next quarter estimates:', error);
-          // Continue without next quarter data if it fails
-        }
-      }
-    }
-    
-    // Combine the next quarter with historical data
-    const finalData = nextQuarterData 
-      ? [nextQuarterData, ...recentHistorical]
-      : recentHistorical;
-    
-    // Return the combined data
-    const responseData = {
-      symbol: symbolToUse,
-      period: period,
-      earnings: finalData
-    };
-    
     return {
       statusCode: 200,
       headers: {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*',
-        'Cache-Control': 'public, max-age=3600' // Cache for 1 hour
+        'Cache-Control': 'public, max-age=3600', // Cache for 1 hour
+        ...cacheHeaders(served)
       },
       body: JSON.stringify(responseData)
     };
@@ -317,3 +102,271 @@ exports.handler = async function(event, context) {
     };
   }
 };
+
+// Recent reported quarters plus the next upcoming one. Resolves to
+// { earnings, served } with earnings null when FMP has nothing for the symbol.
+// `options.reaction` adds earnings.reaction.
+async function buildEarnings(symbolToUse, period, apiKey, options = {}) {
+  // 1. Get historical earnings data first - trying multiple endpoints
+  let historicalData = [];
+  const served = []; // Cache results, reported in the X-Cache headers
+  
+  // Try multiple endpoints to get the most complete historical data; each
+  // adapter returns canonical records (lib/earnings-providers.js)
+  const endpoints = [
+    // Historical earnings calendar - best source
+    {
+      type: 'earnings',
+      endpoint: `historical/earning_calendar/${symbolToUse}`,
+      params: {},
+      adapter: fromFmpCalendar
+    },
+    // Earnings surprises - good fallback
+    {
+      type: 'earnings',
+      endpoint: `earnings-surprises/${symbolToUse}`,
+      params: {},
+      adapter: fromFmpSurprise
+    },
+    // Income statement - last resort
+    {
+      type: 'financials',
+      endpoint: `income-statement/${symbolToUse}`,
+      params: { period: period === 'annual' ? 'annual' : 'quarter', limit: 10 },
+      adapter: fromFmpIncomeStatement
+    }
+  ];
+  
+  // Try each endpoint until we get data
+  for (const endpoint of endpoints) {
+    try {
+      const result = await fetchFMP(endpoint.type, endpoint.endpoint, endpoint.params, apiKey);
+      served.push(result);
+      const data = result.data;
+      if (Array.isArray(data) && data.length > 0) {
+        historicalData = data.map(item => endpoint.adapter(item, symbolToUse));
+        break;
+      }
+    } catch (error) {
+      console.error(`Error fetching from ${endpoint.endpoint}:`, error.message);
+      // Continue to next endpoint
+    }
+  }
+  
+  // If we still have no historical data after all attempts
+  if (!historicalData || historicalData.length === 0) {
+    return { earnings: null, served };
+  }
+  
+  // Sort by date (newest first) and filter out future dates
+  const now = new Date();
+  historicalData = historicalData
+    .filter(item => {
+      const itemDate = new Date(item.date);
+      return !isNaN(itemDate.getTime()) && itemDate <= now;
+    })
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+  
+  // Label reports with the company's own fiscal quarters
+  const { calendar: fiscalCalendar, served: statements } = await getFiscalCalendar(symbolToUse, apiKey);
+  served.push(statements);
+  
+  // Create a processed data array with proper fiscal periods
+  const processedHistorical = historicalData.map(item => ({
+    date: item.date,
+    symbol: symbolToUse,
+    ...periodLabels(labelReport(item, fiscalCalendar), period),
+    estimatedEps: item.eps.estimate,
+    actualEps: item.eps.actual,
+    surprisePercentage: item.eps.surprisePercent,
+    estimatedRevenue: item.revenue.estimate,
+    actualRevenue: item.revenue.actual,
+    isUpcoming: false
+  }));
+  
+  // Get only the last 3 historical quarters
+  const recentHistorical = processedHistorical.slice(0, 3);
+  
+  // 2. Now get the next upcoming quarter
+  let nextQuarterData = null;
+  
+  if (period === 'quarterly' && recentHistorical.length > 0) {
+    // The fiscal quarter after the most recent report
+    const lastQuarterData = recentHistorical[0];
+    const lastDate = new Date(lastQuarterData.date);
+    const next = nextQuarter(lastQuarterData);
+    const nextLabels = periodLabels(periodForEnd(quarterEnd(next.fiscalYear, next.fiscalQuarter, fiscalCalendar), fiscalCalendar), period);
+    
+    // Try to get analyst estimates for the next quarter
+    try {
+      // First check earnings calendar for upcoming earnings
+      const calendar = await fetchFMP('earnings', 'earning_calendar', { symbol: symbolToUse }, apiKey)
+        .catch(error => {
+          console.error('Error fetching earnings calendar:', error.message);
+          return null;
+        });
+      served.push(calendar);
+      
+      const calendarData = calendar && calendar.data;
+      if (Array.isArray(calendarData) && calendarData.length > 0) {
+        // Find future earnings dates
+        const futureEarnings = calendarData
+          .map(item => fromFmpCalendar(item, symbolToUse))
+          .filter(item => new Date(item.date) > now);
+        
+        if (futureEarnings.length > 0) {
+          // Sort by date and take the closest upcoming one
+          futureEarnings.sort((a, b) => new Date(a.date) - new Date(b.date));
+          const nextEarnings = futureEarnings[0];
+          
+          nextQuarterData = {
+            date: nextEarnings.date,
+            symbol: symbolToUse,
+            // The calendar's own period end beats counting on from the last report
+            ...(nextEarnings.fiscalDateEnding
+              ? periodLabels(labelReport(nextEarnings, fiscalCalendar), period)
+              : nextLabels),
+            estimatedEps: nextEarnings.eps.estimate,
+            actualEps: null,
+            surprisePercentage: null,
+            estimatedRevenue: null,
+            actualRevenue: null,
+            isUpcoming: true,
+            dateProjected: false
+          };
+        }
+      }
+      
+      // If we didn't find upcoming earnings, try analyst estimates
+      if (!nextQuarterData) {
+        const estimates = await fetchFMP('estimates', `analyst-estimates/${symbolToUse}`, { period: 'quarter' }, apiKey)
+          .catch(error => {
+            console.error('Error fetching analyst estimates:', error.message);
+            return null;
+          });
+        served.push(estimates);
+        
+        const estimatesData = estimates && estimates.data;
+        if (Array.isArray(estimatesData) && estimatesData.length > 0) {
+          // Create a placeholder for the next quarter
+          const expectedReportDate = new Date(lastDate);
+          expectedReportDate.setMonth(expectedReportDate.getMonth() + 3);
+          
+          nextQuarterData = {
+            date: expectedReportDate.toISOString().split('T')[0],
+            symbol: symbolToUse,
+            ...nextLabels,
+            estimatedEps: null,
+            actualEps: null,
+            surprisePercentage: null,
+            estimatedRevenue: null,
+            actualRevenue: null,
+            isUpcoming: true,
+            // Not announced - the last report date plus three months
+            dateProjected: true
+          };
+          
+          // Estimates are dated by period end - find the next quarter's
+          const match = estimatesData.find(estimate => {
+            if (!estimate.date) return false;
+            const estimatePeriod = periodForEnd(estimate.date, fiscalCalendar);
+            return estimatePeriod.fiscalYear === next.fiscalYear && estimatePeriod.fiscalQuarter === next.fiscalQuarter;
+          });
+          
+          // Otherwise the period ending soonest after the last report - FMP
+          // lists the newest period first, so that is not estimatesData[0]
+          const lastReport = lastQuarterData.date.slice(0, 10);
+          const nearest = match || estimatesData
+            .filter(estimate => estimate.date && estimate.date.slice(0, 10) > lastReport)
+            .sort((a, b) => a.date.localeCompare(b.date))[0];
+          
+          if (nearest) {
+            nextQuarterData.estimatedEps = nearest.estimatedEpsAvg || nearest.epsAvg || null;
+            nextQuarterData.estimatedRevenue = nearest.estimatedRevenueAvg || nearest.revenueAvg || null;
+          }
+        }
+      }
+      
+      // If we still don't have next quarter data, create a basic placeholder
+      if (!nextQuarterData) {
+        const expectedReportDate = new Date(lastDate);
+        expectedReportDate.setMonth(expectedReportDate.getMonth() + 3);
+        
+        nextQuarterData = {
+          date: expectedReportDate.toISOString().split('T')[0],
+          symbol: symbolToUse,
+          ...nextLabels,
+          estimatedEps: null,
+          actualEps: null,
+          surprisePercentage: null,
+          estimatedRevenue: null,
+          actualRevenue: null,
+          isUpcoming: true,
+          dateProjected: true
+        };
+      }
+    } catch (error) {
+      console.error('Error fetching next quarter estimates:', error);
+      // Continue without next quarter data if it fails
+    }
+  }
+  
+  // Combine the next quarter with historical data
+  const finalData = nextQuarterData 
+    ? [nextQuarterData, ...recentHistorical]
+    : recentHistorical;
+  
+  const earnings = {
+    symbol: symbolToUse,
+    period: period,
+    fiscalYearEnd: describeFiscalYearEnd(fiscalCalendar),
+    earnings: finalData
+  };
+  
+  if (options.reaction) {
+    earnings.reaction = await buildReaction(symbolToUse, historicalData, nextQuarterData, served, apiKey);
+  }
+
+  return { earnings, served };
+}
+
+// Fiscal period ("Q4 '24", or "FY '24" for annual data) and the calendar
+// quarter it mostly covers
+function periodLabels(label, period) {
+  return {
+    fiscalPeriod: formatQuarter(period === 'annual' ? null : label.fiscalQuarter, label.fiscalYear),
+    fiscalYear: label.fiscalYear,
+    fiscalQuarter: period === 'annual' ? null : label.fiscalQuarter,
+    calendarPeriod: label.calendarQuarter ? formatQuarter(label.calendarQuarter, label.calendarYear) : null
+  };
+}
+
+// Price reaction to past reports. Reports without a timing (any source but
+// the historical calendar) are treated as after-market and flagged; income
+// statement dates are period ends, so there is nothing to measure.
+async function buildReaction(symbolToUse, historicalData, nextQuarterData, served, apiKey) {
+  const reports = historicalData
+    .filter(item => item.dateType === 'report')
+    .slice(0, DEFAULT_LOOKBACK);
+  if (reports.length === 0) return null;
+  
+  const oldest = new Date(reports[reports.length - 1].date);
+  oldest.setDate(oldest.getDate() - REACTION_PRICE_PADDING);
+  
+  try {
+    const prices = await getHistoricalDaily(symbolToUse, { from: oldest.toISOString().split('T')[0] }, apiKey);
+    served.push(prices);
+    const bars = (prices.data && prices.data.historical) || [];
+    
+    return {
+      ...analyzeReactions(reports, bars),
+      nextReportDate: nextQuarterData ? nextQuarterData.date : null
+    };
+  } catch (error) {
+    console.error('Error fetching prices for earnings reaction:', error.message);
+    return null;
+  }
+}
+
+// Shared with earnings-ics.js
+exports.buildEarnings = buildEarnings;
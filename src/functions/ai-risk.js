@@ -1,15 +1,95 @@
 // ai-risk.js - Netlify Serverless Function for Stock Risk Assessment
-const axios = require('axios');
+const { cacheHeaders } = require('./lib/cache');
+const {
+  getProfile,
+  getProfiles,
+  getQuote,
+  getRatiosTTM,
+  getKeyMetricsTTM,
+  getIncomeStatements,
+  getBalanceSheets,
+  getCashFlowStatements,
+  getHistoricalDaily,
+  getStockSplits,
+  getStockDividends,
+  getStockPeers,
+  getStockScreener
+} = require('./lib/fmp');
+const { adjustBars } = require('./lib/adjustments');
+const { computeRiskMetrics } = require('./lib/risk-metrics');
+const { rankAgainstPeers, MIN_PEERS, PEER_METRICS } = require('./lib/peers');
+const { computeQualityScores, qualityRisk } = require('./lib/quality-scores');
+const {
+  RISK_ANALYSIS_SCHEMA,
+  validateRiskAnalysis,
+  parseModelJson,
+  isUsable
+} = require('./lib/risk-analysis');
+const { createLLMClient } = require('./lib/llm');
+const { fetchSources, fetchSource, skippedSource, coverageReport } = require('./lib/sources');
+const { createHistoryStoreFromEnv, buildSnapshot } = require('./lib/risk-history');
+const {
+  COMPANY_FACTORS,
+  loadRiskModel,
+  scoreLevel,
+  betaScore,
+  matchBand,
+  applyOverride,
+  parseScenarios
+} = require('./lib/risk-model');
 
 // Get API keys from environment variables
 const FMP_API_KEY = process.env.FMP_API_KEY;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+
+// LLM providers and models come from the environment (see lib/llm.js)
+let llm;
+let llmError;
+try {
+  llm = createLLMClient();
+} catch (error) {
+  llmError = error;
+  console.error('Error configuring LLM providers:', error.message);
+}
+
+// Weights, thresholds and point adjustments for assessRisk (see lib/risk-model.js)
+let riskModel;
+let riskModelError;
+try {
+  riskModel = loadRiskModel();
+} catch (error) {
+  riskModelError = error;
+  console.error('Error loading risk model:', error.message);
+}
+
+// Annual risk-free rate for Sharpe/Sortino
+const RISK_FREE_RATE = process.env.RISK_FREE_RATE !== undefined ? Number(process.env.RISK_FREE_RATE) : 0.04;
+
+// Calendar days of daily history for the longest realized-risk window (3Y)
+const RISK_HISTORY_DAYS = 3 * 365 + 10;
+
+// Per-source timeout and retries for the FMP requests in fetchStockData.
+// The peer group makes many requests of its own, so it gets longer and no
+// retry.
+const SOURCE_TIMEOUT = Number(process.env.FMP_SOURCE_TIMEOUT_MS) || 8000;
+const SOURCE_RETRIES = 1;
+const PEER_TIMEOUT = 15000;
+
+// Overall confidence below this is called out in the description
+const LOW_CONFIDENCE = 0.75;
+
+// Daily risk snapshots for the history query (see lib/risk-history.js)
+const historyStore = createHistoryStoreFromEnv();
+
+// Peer group size and the history fetched per peer for its volatility
+const MAX_PEERS = 10;
+const PEER_HISTORY_DAYS = 365 + 10;
 
 exports.handler = async function(event, context) {
   // Enable CORS
   const headers = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
     'Content-Type': 'application/json'
   };
 
@@ -32,15 +112,27 @@ exports.handler = async function(event, context) {
     };
   }
   
-  if (!OPENAI_API_KEY) {
-    console.error('OPENAI_API_KEY environment variable is not set');
+  if (riskModelError) {
     return {
       statusCode: 500,
       headers,
-      body: JSON.stringify({ error: 'Server configuration error: Missing OpenAI API key' })
+      body: JSON.stringify({ error: 'Server configuration error: Invalid risk model', details: riskModelError.message })
     };
   }
-
+  
+  if (llmError) {
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Server configuration error: Invalid LLM providers', details: llmError.message })
+    };
+  }
+  
+  // POST runs what-if scenarios, which need no AI analysis
+  if (event.httpMethod === 'POST') {
+    return handleScenarios(event, headers);
+  }
+  
   try {
     // Get the stock symbol from query parameters
     const symbol = event.queryStringParameters.symbol;
@@ -56,24 +148,23 @@ exports.handler = async function(event, context) {
     // Fetch all required data from FMP
     const stockData = await fetchStockData(symbol);
     
-    if (!stockData || !stockData.profile) {
-      return {
-        statusCode: 404,
-        headers,
-        body: JSON.stringify({ error: `Company with symbol ${symbol} not found` })
-      };
+    if (!stockData.profile) {
+      return profileMissingResponse(symbol, stockData, headers);
     }
     
     // Calculate risk assessment
     const riskData = assessRisk(stockData);
     
+    // Record today's snapshot for risk-history.js
+    await recordSnapshot(symbol, stockData, riskData);
+    
     // Get AI analysis
-    const aiAnalysis = await getAIAnalysis(stockData);
+    const aiAnalysis = await getAIAnalysis(stockData, riskData);
     
     // Return complete response
     return {
       statusCode: 200,
-      headers,
+      headers: { ...headers, ...cacheHeaders(stockData.cache) },
       body: JSON.stringify({
         stockData: {
           symbol: symbol,
@@ -86,7 +177,8 @@ exports.handler = async function(event, context) {
           priceChangePercent: stockData.quote?.changesPercentage
         },
         riskData: riskData,
-        aiAnalysis: aiAnalysis
+        aiAnalysis: aiAnalysis,
+        dataCoverage: stockData.coverage
       })
     };
   } catch (error) {
@@ -100,153 +192,467 @@ exports.handler = async function(event, context) {
   }
 };
 
-// Fetch stock data from FMP API
-async function fetchStockData(symbol) {
+// 404 when FMP has no such company, 502 when the profile couldn't be fetched
+function profileMissingResponse(symbol, stockData, headers) {
+  if (stockData.sources.profile.status === 'failed') {
+    return {
+      statusCode: 502,
+      headers,
+      body: JSON.stringify({
+        error: `Company data for ${symbol} is temporarily unavailable`,
+        dataCoverage: stockData.coverage
+      })
+    };
+  }
+  
+  return {
+    statusCode: 404,
+    headers,
+    body: JSON.stringify({ error: `Company with symbol ${symbol} not found` })
+  };
+}
+
+// Baseline versus scenario scores for POST { symbol, scenarios: [{ name,
+// overrides }] }. Overrides replace scoring inputs, e.g.
+// { debtToEquity: { multiply: 2 } } or { beta: 1.5 }.
+async function handleScenarios(event, headers) {
+  let body;
   try {
-    const stockData = {
-      symbol: symbol
+    body = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Request body must be valid JSON' })
+    };
+  }
+  
+  const symbol = body.symbol || (event.queryStringParameters && event.queryStringParameters.symbol);
+  if (!symbol) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Stock symbol is required' })
+    };
+  }
+  
+  const parsed = parseScenarios(body.scenarios);
+  if (parsed.error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: parsed.error })
     };
+  }
+  
+  try {
+    const stockData = await fetchStockData(symbol);
     
-    // Fetch company profile
-    const profileResponse = await axios.get(`https://financialmodelingprep.com/api/v3/profile/${symbol}?apikey=${FMP_API_KEY}`);
-    if (profileResponse.data && profileResponse.data.length > 0) {
-      stockData.profile = profileResponse.data[0];
-      
-      // Fetch quote data
-      const quoteResponse = await axios.get(`https://financialmodelingprep.com/api/v3/quote/${symbol}?apikey=${FMP_API_KEY}`);
-      if (quoteResponse.data && quoteResponse.data.length > 0) {
-        stockData.quote = quoteResponse.data[0];
-        
-        // Fetch financial ratios
-        const ratiosResponse = await axios.get(`https://financialmodelingprep.com/api/v3/ratios-ttm/${symbol}?apikey=${FMP_API_KEY}`);
-        if (ratiosResponse.data && ratiosResponse.data.length > 0) {
-          stockData.ratios = ratiosResponse.data[0];
-        }
-        
-        // Fetch income statement
-        const incomeResponse = await axios.get(`https://financialmodelingprep.com/api/v3/income-statement/${symbol}?limit=4&apikey=${FMP_API_KEY}`);
-        if (incomeResponse.data && incomeResponse.data.length > 0) {
-          stockData.income = incomeResponse.data;
-        }
-        
-        // Fetch balance sheet
-        const balanceResponse = await axios.get(`https://financialmodelingprep.com/api/v3/balance-sheet-statement/${symbol}?limit=4&apikey=${FMP_API_KEY}`);
-        if (balanceResponse.data && balanceResponse.data.length > 0) {
-          stockData.balance = balanceResponse.data;
-        }
-        
-        // Fetch key metrics
-        const metricsResponse = await axios.get(`https://financialmodelingprep.com/api/v3/key-metrics-ttm/${symbol}?apikey=${FMP_API_KEY}`);
-        if (metricsResponse.data && metricsResponse.data.length > 0) {
-          stockData.metrics = metricsResponse.data[0];
-        }
-      }
+    if (!stockData.profile) {
+      return profileMissingResponse(symbol, stockData, headers);
     }
     
-    return stockData;
+    const round = (value) => (typeof value === 'number' ? Math.round(value * 10) / 10 : null);
+    const scores = (riskData) => ({
+      overall: { level: riskData.overall.level, score: round(riskData.overall.score) },
+      market: { level: riskData.market.level, score: round(riskData.market.score) },
+      company: { level: riskData.company.level, score: round(riskData.company.score) },
+      sector: { level: riskData.sector.level, score: round(riskData.sector.score) }
+    });
+    
+    const baseline = assessRisk(stockData);
+    const baselineScores = scores(baseline);
+    
+    const scenarios = parsed.scenarios.map(scenario => {
+      const riskData = assessRisk(stockData, { overrides: scenario.overrides });
+      const scenarioScores = scores(riskData);
+      const change = {};
+      Object.keys(scenarioScores).forEach(component => {
+        change[component] = round(scenarioScores[component].score - baselineScores[component].score);
+      });
+      
+      return {
+        name: scenario.name,
+        overrides: scenario.overrides,
+        inputs: riskData.inputs,
+        scores: scenarioScores,
+        change
+      };
+    });
+    
+    return {
+      statusCode: 200,
+      headers: { ...headers, ...cacheHeaders(stockData.cache) },
+      body: JSON.stringify({
+        symbol: symbol,
+        companyName: stockData.profile.companyName,
+        modelVersion: riskModel.version,
+        baseline: {
+          inputs: baseline.inputs,
+          scores: baselineScores
+        },
+        scenarios,
+        dataCoverage: stockData.coverage
+      })
+    };
   } catch (error) {
-    console.error('Error fetching stock data:', error);
-    throw error;
+    console.error('Error processing scenarios:', error);
+    
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Failed to process request', details: error.message })
+    };
   }
 }
 
-// Get AI analysis from OpenAI
-async function getAIAnalysis(stockData) {
-  try {
-    if (!stockData.profile) return 'Unable to generate AI analysis due to missing data.';
+// Fetch stock data from FMP API. Every source is requested at once with its
+// own timeout and retry; `coverage` records how each one fared. Pass
+// { peers: false } to skip the peer group, which leaves the sector score
+// neutral.
+async function fetchStockData(symbol, options = {}) {
+  const stockData = {
+    symbol: symbol,
+    cache: [] // Cache results, reported in the X-Cache headers
+  };
+  
+  const from = new Date(Date.now() - RISK_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const hasRows = (data) => Array.isArray(data) && data.length > 0;
+  const sources = await fetchSources([
+    { name: 'profile', fetch: (request) => getProfile(symbol, FMP_API_KEY, request) },
+    { name: 'quote', fetch: (request) => getQuote(symbol, FMP_API_KEY, request) },
+    { name: 'ratios', fetch: (request) => getRatiosTTM(symbol, FMP_API_KEY, request) },
+    { name: 'income', fetch: (request) => getIncomeStatements(symbol, { limit: 4 }, FMP_API_KEY, request), isEmpty: data => !hasRows(data) },
+    { name: 'balance', fetch: (request) => getBalanceSheets(symbol, { limit: 4 }, FMP_API_KEY, request), isEmpty: data => !hasRows(data) },
+    { name: 'cashFlow', fetch: (request) => getCashFlowStatements(symbol, { limit: 4 }, FMP_API_KEY, request), isEmpty: data => !hasRows(data) },
+    { name: 'metrics', fetch: (request) => getKeyMetricsTTM(symbol, FMP_API_KEY, request) },
+    // Daily history for realized risk, adjusted for splits and dividends below
+    { name: 'historical', fetch: (request) => getHistoricalDaily(symbol, { from }, FMP_API_KEY, request), isEmpty: data => !data || !hasRows(data.historical) },
+    { name: 'splits', fetch: (request) => getStockSplits(symbol, FMP_API_KEY, request), isEmpty: () => false },
+    { name: 'dividends', fetch: (request) => getStockDividends(symbol, FMP_API_KEY, request), isEmpty: () => false }
+  ], { timeout: SOURCE_TIMEOUT, retries: SOURCE_RETRIES });
+  
+  Object.values(sources).forEach(source => {
+    if (source.cache) stockData.cache.push(source.cache);
+  });
+  
+  const ok = (name) => sources[name].status === 'ok';
+  if (ok('profile')) stockData.profile = sources.profile.data;
+  if (ok('quote')) stockData.quote = sources.quote.data;
+  if (ok('ratios')) stockData.ratios = sources.ratios.data;
+  if (ok('income')) stockData.income = sources.income.data;
+  if (ok('balance')) stockData.balance = sources.balance.data;
+  if (ok('cashFlow')) stockData.cashFlow = sources.cashFlow.data;
+  if (ok('metrics')) stockData.metrics = sources.metrics.data;
+  
+  if (ok('historical')) {
+    stockData.historical = sources.historical.data.historical;
+    stockData.adjustment = 'none';
     
-    // Prepare data for AI analysis
-    const companyOverview = {
-      symbol: stockData.symbol,
-      name: stockData.profile.companyName,
-      sector: stockData.profile.sector,
-      industry: stockData.profile.industry,
-      beta: stockData.profile.beta,
-      price: stockData.quote?.price,
-      marketCap: stockData.profile.mktCap,
-      lastDividend: stockData.profile.lastDiv,
-      profitMargin: stockData.ratios?.netProfitMarginTTM,
-      debtToEquity: stockData.ratios?.debtEquityRatioTTM,
-      currentRatio: stockData.ratios?.currentRatioTTM,
-      returnOnEquity: stockData.ratios?.returnOnEquityTTM,
-      priceToEarnings: stockData.ratios?.priceEarningsRatioTTM,
-      revenue: stockData.income?.[0]?.revenue,
-      revenueGrowth: stockData.income?.[0]?.revenue && stockData.income?.[1]?.revenue 
-        ? ((stockData.income[0].revenue - stockData.income[1].revenue) / stockData.income[1].revenue * 100) 
-        : null
-    };
+    if (ok('splits') && ok('dividends')) {
+      stockData.historical = adjustBars(stockData.historical, {
+        splits: sources.splits.data,
+        dividends: sources.dividends.data
+      }, 'splits+dividends');
+      stockData.adjustment = 'splits+dividends';
+    } else {
+      console.error('Corporate actions unavailable, using unadjusted closes');
+    }
+  }
+  
+  // The peer group needs the profile's industry
+  if (options.peers === false) {
+    sources.peers = skippedSource('peers', 'Not requested');
+  } else if (!stockData.profile) {
+    sources.peers = skippedSource('peers', 'Needs the company profile');
+  } else {
+    sources.peers = await fetchSource({
+      name: 'peers',
+      fetch: async () => {
+        const served = [];
+        const data = await fetchPeerData(symbol, stockData.profile, served);
+        stockData.cache.push(...served);
+        return { data, ...cacheHeaderSummary(served) };
+      },
+      isEmpty: data => !data || data.peers.length === 0
+    }, { timeout: PEER_TIMEOUT, retries: 0 });
+    if (sources.peers.status === 'ok') stockData.peers = sources.peers.data;
+  }
+  
+  stockData.sources = sources;
+  stockData.coverage = coverageReport(sources);
+  return stockData;
+}
+
+// Combined status and age of several cache results, as one source result
+function cacheHeaderSummary(served) {
+  const headers = cacheHeaders(served);
+  return {
+    status: headers['X-Cache'] || 'MISS',
+    age: Number(headers['X-Cache-Age'] || 0) * 1000
+  };
+}
+
+// Peer group and each peer's scoring inputs. Uses FMP's stock peers in the
+// company's industry, or an industry screen when that leaves too few.
+async function fetchPeerData(symbol, profile, cacheResults) {
+  const upper = symbol.toUpperCase();
+  let basis = 'stock-peers';
+  
+  const peerList = await getStockPeers(upper, FMP_API_KEY);
+  cacheResults.push(peerList);
+  let candidates = ((peerList.data && peerList.data.peersList) || []).filter(s => s !== upper);
+  let peerProfiles = {};
+  
+  if (candidates.length > 0 && profile.industry) {
+    const profiles = await getProfiles(candidates, FMP_API_KEY);
+    cacheResults.push(...profiles.results);
+    peerProfiles = profiles.data;
+    const sameIndustry = candidates.filter(s => profiles.data[s] && profiles.data[s].industry === profile.industry);
+    if (sameIndustry.length >= MIN_PEERS) candidates = sameIndustry;
+  }
+  
+  if (candidates.length < MIN_PEERS && profile.industry) {
+    const screen = await getStockScreener({
+      industry: profile.industry,
+      isActivelyTrading: true,
+      limit: MAX_PEERS + 1
+    }, FMP_API_KEY);
+    cacheResults.push(screen);
+    candidates = (screen.data || []).map(c => c.symbol).filter(s => s && s !== upper);
+    basis = 'industry-screen';
+  }
+  
+  const from = new Date(Date.now() - PEER_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const peers = await Promise.all(candidates.slice(0, MAX_PEERS).map(async (peer) => {
+    const [ratios, historical] = await Promise.all([
+      getRatiosTTM(peer, FMP_API_KEY).catch(() => null),
+      getHistoricalDaily(peer, { from }, FMP_API_KEY).catch(() => null)
+    ]);
+    if (ratios) cacheResults.push(ratios);
+    if (historical) cacheResults.push(historical);
     
-    // Format large numbers helper function
-    const formatLargeNumber = (num) => {
-      if (!num) return 'N/A';
-      
-      if (num >= 1e12) {
-        return (num / 1e12).toFixed(2) + ' T';
-      } else if (num >= 1e9) {
-        return (num / 1e9).toFixed(2) + ' B';
-      } else if (num >= 1e6) {
-        return (num / 1e6).toFixed(2) + ' M';
-      } else {
-        return num.toLocaleString();
-      }
+    // FMP's adjClose keeps splits out of peer volatility without fetching
+    // every peer's corporate actions
+    const bars = historical && historical.data && historical.data.historical;
+    const window = bars
+      ? computeRiskMetrics(bars.map(b => ({ date: b.date, close: b.adjClose || b.close }))).windows['1Y']
+      : null;
+    // Same extraction as the company's own ratios so both are ranked alike
+    const r = scoringRatios(ratios && ratios.data, peerProfiles[peer]);
+    
+    return {
+      symbol: peer,
+      debtToEquity: r.debtToEquity,
+      netProfitMargin: r.profitMargin,
+      currentRatio: r.currentRatio,
+      volatility: window ? window.volatility : null
     };
+  }));
+  
+  return { basis, industry: profile.industry || null, peers };
+}
+
+// Inputs the model may cite, keyed by the names it must use. Missing
+// values are left out so the model can't cite them.
+function buildAnalysisMetrics(stockData, riskData) {
+  const round = (value, places = 4) => (typeof value === 'number' && isFinite(value)
+    ? Math.round(value * Math.pow(10, places)) / Math.pow(10, places)
+    : null);
+  const income = stockData.income || [];
+  const realized = riskData.realized && riskData.realized.windows['1Y'];
+  const quality = riskData.company.qualityScores || {};
+  const ratios = scoringRatios(stockData.ratios, stockData.profile);
+  
+  const metrics = {
+    beta: round(stockData.profile.beta),
+    marketCap: round(stockData.profile.mktCap, 0),
+    priceToEarnings: round(stockData.ratios?.priceEarningsRatioTTM),
+    profitMargin: round(ratios.profitMargin),
+    debtToEquity: round(ratios.debtToEquity),
+    currentRatio: round(ratios.currentRatio),
+    quickRatio: round(ratios.quickRatio),
+    returnOnEquity: round(ratios.returnOnEquity),
+    revenueGrowth: income[0]?.revenue && income[1]?.revenue
+      ? round(income[0].revenue / income[1].revenue - 1)
+      : null,
+    volatility1Y: round(realized?.volatility),
+    maxDrawdown1Y: round(realized?.maxDrawdown),
+    valueAtRisk95: round(realized?.var95),
+    sharpe1Y: round(realized?.sharpe),
+    altmanZ: round(quality.altmanZ?.score),
+    piotroskiF: round(quality.piotroskiF?.score),
+    beneishM: round(quality.beneishM?.score),
+    peerRiskPercentile: riskData.peers ? riskData.sector.score : null,
+    marketRiskScore: round(riskData.market.score, 1),
+    companyRiskScore: round(riskData.company.score, 1),
+    sectorRiskScore: round(riskData.sector.score, 1)
+  };
+  
+  Object.keys(metrics).forEach(key => {
+    if (metrics[key] === null) delete metrics[key];
+  });
+  return metrics;
+}
+
+// Save the day's risk snapshot. History is best-effort, so a store failure
+// never fails the request.
+async function recordSnapshot(symbol, stockData, riskData) {
+  if (!stockData.profile || !riskData.overall || typeof riskData.overall.score !== 'number') return;
+  
+  const { marketRiskScore, companyRiskScore, sectorRiskScore, ...inputs } = buildAnalysisMetrics(stockData, riskData);
+  try {
+    await historyStore.put(symbol.toUpperCase(), buildSnapshot(symbol.toUpperCase(), riskData, inputs));
+  } catch (error) {
+    console.error(`Risk history store ${historyStore.name} write failed:`, error.message);
+  }
+}
+
+// Structured AI analysis from the configured LLM, validated against the schema and
+// retried once. `status` is ok (valid), degraded (partly valid after the
+// retry, invalid entries dropped) or unavailable (nothing usable).
+async function getAIAnalysis(stockData, riskData) {
+  if (!stockData.profile) {
+    return { status: 'unavailable', reason: 'Missing company data', analysis: null };
+  }
+  
+  // The risk assessment stands on its own without a model
+  if (llm.providers.length === 0) {
+    return { status: 'unavailable', reason: 'No AI provider configured', analysis: null };
+  }
+  
+  const metrics = buildAnalysisMetrics(stockData, riskData);
+  const allowedMetrics = Object.keys(metrics);
+  
+  const messages = [
+    {
+      role: 'system',
+      content: 'You are a financial analyst specializing in stock risk assessment. ' +
+        'Reply with a single JSON object and nothing else.'
+    },
+    {
+      role: 'user',
+      content: `Assess the risks of ${stockData.profile.companyName} (${stockData.symbol}), ` +
+        `${stockData.profile.industry || stockData.profile.sector || 'unknown industry'}.\n\n` +
+        `Input metrics (ratios as decimals, risk scores 0-100 where higher is riskier):\n` +
+        `${JSON.stringify(metrics, null, 2)}\n\n` +
+        `Reply with JSON matching this schema:\n${JSON.stringify(RISK_ANALYSIS_SCHEMA, null, 2)}\n\n` +
+        'Every entry must cite the input metrics it relies on in "metrics", using only the keys above. ' +
+        'Give at most 5 entries per list, and base every point on the metrics.'
+    }
+  ];
+  
+  let last = null;
+  let served = null; // Provider and model of the latest reply
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    let content = null;
+    let result;
+    try {
+      const reply = await llm.complete({
+        messages,
+        json: true,
+        maxTokens: 900,
+        temperature: 0.2
+      });
+      content = reply.content;
+      served = { provider: reply.provider, model: reply.model };
+      const parsed = parseModelJson(content);
+      result = parsed
+        ? validateRiskAnalysis(parsed, allowedMetrics)
+        : { valid: false, errors: ['Response was not valid JSON'], value: null };
+    } catch (error) {
+      console.error(`Error getting AI analysis (attempt ${attempt}):`, error.message);
+      result = { valid: false, errors: ['AI request failed'], value: null };
+    }
     
-    // Create a prompt for the AI
-    const prompt = `
-      Provide a concise risk assessment for ${companyOverview.name} (${companyOverview.symbol}) based on the following data:
-      
-      - Sector: ${companyOverview.sector || 'N/A'}
-      - Industry: ${companyOverview.industry || 'N/A'}
-      - Beta: ${companyOverview.beta || 'N/A'}
-      - Market Cap: $${formatLargeNumber(companyOverview.marketCap)}
-      - P/E Ratio: ${companyOverview.priceToEarnings?.toFixed(2) || 'N/A'}
-      - Profit Margin: ${companyOverview.profitMargin ? (companyOverview.profitMargin * 100).toFixed(2) + '%' : 'N/A'}
-      - Debt-to-Equity: ${companyOverview.debtToEquity?.toFixed(2) || 'N/A'}
-      - Current Ratio: ${companyOverview.currentRatio?.toFixed(2) || 'N/A'}
-      - Return on Equity: ${companyOverview.returnOnEquity ? (companyOverview.returnOnEquity * 100).toFixed(2) + '%' : 'N/A'}
-      - Revenue Growth: ${companyOverview.revenueGrowth?.toFixed(2) + '%' || 'N/A'}
-      
-      Focus on key risk factors, competitive positioning, and financial health. Limit your response to 3-4 sentences.
-    `;
+    if (result.valid) {
+      return { status: 'ok', ...served, attempts: attempt, analysis: result.value };
+    }
+    if (!last || isUsable(result.value)) last = result;
     
-    // Call OpenAI API
-    const openaiResponse = await axios.post('https://api.openai.com/v1/chat/completions', {
-      model: 'gpt-4o-mini',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a financial analyst specializing in stock risk assessment. Provide concise, professional analyses based on the data given.'
-        },
+    if (content) {
+      messages.push(
+        { role: 'assistant', content },
         {
           role: 'user',
-          content: prompt
+          content: `That reply did not match the schema: ${result.errors.slice(0, 10).join('; ')}. ` +
+            'Reply again with the corrected JSON object only.'
         }
-      ],
-      temperature: 0.3,
-      max_tokens: 150
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENAI_API_KEY}`
-      }
-    });
-    
-    // Extract AI response
-    if (openaiResponse.data.choices && openaiResponse.data.choices.length > 0) {
-      return openaiResponse.data.choices[0].message.content;
-    } else {
-      return 'AI analysis currently unavailable.';
+      );
     }
-  } catch (error) {
-    console.error('Error getting AI analysis:', error);
-    return 'Failed to generate AI analysis. Please try again later.';
   }
+  
+  if (isUsable(last.value)) {
+    return { status: 'degraded', ...served, attempts: 2, analysis: last.value, errors: last.errors };
+  }
+  return {
+    status: 'unavailable',
+    reason: 'AI analysis could not be generated',
+    analysis: null,
+    errors: last.errors
+  };
+}
+
+// The first argument that is a finite number, or null
+function firstNumber(...values) {
+  const found = values.find(value => typeof value === 'number' && isFinite(value));
+  return found === undefined ? null : found;
+}
+
+// Ratios the company score and peer ranking use, from FMP's TTM ratios
+// with the profile as fallback where it has the same figure
+function scoringRatios(ratios, profile) {
+  const r = ratios || {};
+  const p = profile || {};
+  return {
+    debtToEquity: firstNumber(r.debtEquityRatioTTM, p.debtToEquity),
+    profitMargin: firstNumber(r.netProfitMarginTTM, p.profitMargin),
+    currentRatio: firstNumber(r.currentRatioTTM),
+    returnOnEquity: firstNumber(r.returnOnEquityTTM),
+    quickRatio: firstNumber(r.quickRatioTTM)
+  };
+}
+
+// Company risk description from its largest factors, e.g. "High company
+// risk: debt-to-equity of 2.40 (above 1.5) adds 25 points; ..."
+function describeCompanyFactors(level, base, factors) {
+  const top = factors
+    .filter(f => f.points !== 0 && f.metric !== 'cap')
+    .sort((a, b) => Math.abs(b.points) - Math.abs(a.points))
+    .slice(0, 2);
+  
+  if (top.length === 0) {
+    return `${level} company risk: no ratio moved the score from its base of ${base}`;
+  }
+  
+  const format = (metric, value) => (COMPANY_FACTORS[metric] && COMPANY_FACTORS[metric].percent
+    ? `${(value * 100).toFixed(1)}%`
+    : value.toFixed(2));
+  const parts = top.map(f => {
+    const effect = `${f.points > 0 ? 'adds' : 'removes'} ${Math.abs(f.points)} point${Math.abs(f.points) === 1 ? '' : 's'}`;
+    if (f.metric === 'qualityScores') {
+      return `financial quality risk of ${f.value} ${effect}`;
+    }
+    const bound = f.threshold.above !== undefined
+      ? `above ${format(f.metric, f.threshold.above)}`
+      : `below ${format(f.metric, f.threshold.below)}`;
+    return `${f.label} of ${format(f.metric, f.value)} (${bound}) ${effect}`;
+  });
+  
+  return `${level} company risk: ${parts.join('; ')}`;
 }
 
-// Assess risk based on financial data
-function assessRisk(stockData) {
+// Score the stock with a risk model (the deployment's by default).
+// `overrides` replace scoring inputs for what-if scenarios; see
+// lib/risk-model.js for the accepted forms.
+function assessRisk(stockData, options = {}) {
+  const model = options.model || riskModel;
+  const overrides = options.overrides || {};
+  const round2 = (value) => Math.round(value * 100) / 100;
+  
   // Default values if we can't calculate
   let riskData = {
+    modelVersion: model.version,
     market: {
       level: 'Low',
       score: 30,
@@ -270,143 +676,224 @@ function assessRisk(stockData) {
   };
   
   try {
-    if (stockData.profile && stockData.quote) {
-      // Get market risk (beta-based)
-      const beta = stockData.profile.beta || 1;
-      if (beta < 0.8) {
-        riskData.market.level = 'Low';
-        riskData.market.score = Math.min(30, beta * 30);
-        riskData.market.description = `Low exposure to market volatility with beta of ${beta.toFixed(1)}`;
-      } else if (beta < 1.2) {
-        riskData.market.level = 'Medium';
-        riskData.market.score = 30 + ((beta - 0.8) * 50);
-        riskData.market.description = `Average market volatility with beta of ${beta.toFixed(1)}`;
-      } else {
-        riskData.market.level = 'High';
-        riskData.market.score = Math.min(85, 70 + ((beta - 1.2) * 25));
-        riskData.market.description = `High sensitivity to market movements with beta of ${beta.toFixed(1)}`;
-      }
+    if (stockData.profile) {
+      const marketWindow = model.market.window;
       
-      // Enhanced company risk calculation using comprehensive metrics
-      const debtToEquity = stockData.ratios?.debtEquityRatioTTM || stockData.profile.debtToEquity || 0;
-      const profitMargin = stockData.ratios?.netProfitMarginTTM || stockData.profile.profitMargin || 0;
-      const currentRatio = stockData.ratios?.currentRatioTTM || 0;
-      const returnOnEquity = stockData.ratios?.returnOnEquityTTM || 0;
-      const quickRatio = stockData.ratios?.quickRatioTTM || 0;
+      // Market risk - beta, blended with realized volatility, drawdown and VaR
+      // from daily history when there is enough of it
+      const beta = applyOverride(stockData.profile.beta || 1, overrides.beta);
+      const betaPoints = betaScore(beta, model);
       
-      let companyScore = 50; // Default medium
+      const realized = stockData.historical
+        ? computeRiskMetrics(stockData.historical, { riskFreeRate: RISK_FREE_RATE })
+        : null;
+      const window = realized && realized.windows[marketWindow];
+      const volatility = window ? applyOverride(window.volatility, overrides.volatility) : null;
+      const maxDrawdown = window ? applyOverride(window.maxDrawdown, overrides.maxDrawdown) : null;
+      const valueAtRisk = window ? applyOverride(window.var95, overrides.valueAtRisk) : null;
       
-      // Adjust for debt
-      if (debtToEquity > 1.5) {
-        companyScore += 25;
-      } else if (debtToEquity > 1) {
-        companyScore += 15;
-      } else if (debtToEquity < 0.3) {
-        companyScore -= 15;
+      if (window) {
+        // 0 at the "calm" end, 100 at the "turbulent" end of each range
+        const scale = (value, [low, high]) => Math.max(0, Math.min(100, (value - low) / (high - low) * 100));
+        const { blend, ranges } = model.market;
+        
+        riskData.market.score = Math.round(
+          betaPoints * blend.beta +
+          scale(volatility, ranges.volatility) * blend.volatility +
+          scale(-maxDrawdown, ranges.drawdown) * blend.drawdown +
+          scale(valueAtRisk, ranges.valueAtRisk) * blend.valueAtRisk
+        );
+        riskData.market.window = marketWindow;
+        riskData.market.description = `Beta of ${beta.toFixed(1)} with ${(volatility * 100).toFixed(0)}% annualized volatility ` +
+          `and a ${(maxDrawdown * -100).toFixed(0)}% maximum drawdown over ${marketWindow}`;
+      } else {
+        const [betaLow, betaHigh] = model.market.beta.breakpoints;
+        riskData.market.score = betaPoints;
+        riskData.market.window = null;
+        riskData.market.description = beta < betaLow
+          ? `Low exposure to market volatility with beta of ${beta.toFixed(1)}`
+          : beta < betaHigh
+            ? `Average market volatility with beta of ${beta.toFixed(1)}`
+            : `High sensitivity to market movements with beta of ${beta.toFixed(1)}`;
       }
       
-      // Adjust for profitability
-      if (profitMargin > 0.2) {
-        companyScore -= 15;
-      } else if (profitMargin > 0.1) {
-        companyScore -= 10;
-      } else if (profitMargin < 0) {
-        companyScore += 25;
-      }
+      riskData.market.level = scoreLevel(riskData.market.score, model);
       
-      // Adjust for liquidity
-      if (currentRatio > 2) {
-        companyScore -= 10;
-      } else if (currentRatio < 1) {
-        companyScore += 15;
-      }
+      // Confidence is the share of a component's score that rests on real
+      // inputs rather than defaults, 0-1
+      const hasBeta = typeof stockData.profile.beta === 'number';
+      const missingInputs = [];
+      if (!hasBeta) missingInputs.push('beta');
+      if (!window) missingInputs.push('price history');
+      riskData.market.confidence = round2((hasBeta ? model.market.blend.beta : 0) + (window ? 1 - model.market.blend.beta : 0));
       
-      // Adjust for return on equity
-      if (returnOnEquity > 0.2) {
-        companyScore -= 10;
-      } else if (returnOnEquity < 0.05) {
-        companyScore += 10;
+      if (realized) {
+        riskData.realized = {
+          adjustment: stockData.adjustment,
+          riskFreeRate: realized.riskFreeRate,
+          windows: realized.windows
+        };
       }
       
-      // Adjust for solvency
-      if (quickRatio < 0.7) {
-        companyScore += 15;
-      } else if (quickRatio > 1.5) {
-        companyScore -= 10;
-      }
+      // Enhanced company risk calculation using comprehensive metrics.
+      // Ratios FMP doesn't report stay null and score nothing.
+      const baseRatios = scoringRatios(stockData.ratios, stockData.profile);
+      const ratios = {};
+      Object.keys(baseRatios).forEach(name => {
+        ratios[name] = applyOverride(baseRatios[name], overrides[name]);
+      });
+      const ratioNames = Object.keys(model.company.rules);
+      const missingRatios = ratioNames.filter(name => typeof ratios[name] !== 'number');
       
-      // Cap score within 0-100 range
-      companyScore = Math.max(0, Math.min(100, companyScore));
+      // Each ratio adds the points of the first band it falls in; every
+      // adjustment is kept as a factor so the score can be explained
+      const factors = [];
+      let companyScore = model.company.base;
+      ratioNames.forEach(name => {
+        if (typeof ratios[name] !== 'number') return;
+        const band = matchBand(ratios[name], model.company.rules[name]);
+        if (!band) return;
+        
+        companyScore += band.points;
+        factors.push({
+          metric: name,
+          label: COMPANY_FACTORS[name] ? COMPANY_FACTORS[name].label : name,
+          value: ratios[name],
+          threshold: typeof band.above === 'number' && ratios[name] > band.above
+            ? { above: band.above }
+            : { below: band.below },
+          points: band.points
+        });
+      });
       
-      // Set company risk level
-      if (companyScore < 40) {
-        riskData.company.level = 'Low';
-        riskData.company.description = 'Strong financials with healthy balance sheet and good profitability';
-      } else if (companyScore < 65) {
-        riskData.company.level = 'Medium';
-        riskData.company.description = `Moderate risk with debt-to-equity ratio of ${debtToEquity.toFixed(1)}`;
-      } else {
-        riskData.company.level = 'High';
-        riskData.company.description = 'Higher risk due to elevated debt levels or profitability concerns';
+      // Cap score within 0-100 range
+      const capped = Math.max(0, Math.min(100, companyScore));
+      if (capped !== companyScore) {
+        factors.push({ metric: 'cap', label: '0-100 cap', value: companyScore, threshold: null, points: capped - companyScore });
+        companyScore = capped;
       }
       
-      riskData.company.score = companyScore;
-      
-      // Enhanced sector risk assessment
-      const sector = stockData.profile.sector || "";
+      // Blend in Altman Z, Piotroski F and Beneish M when the statements allow
+      const qualityScores = computeQualityScores({
+        income: stockData.income,
+        balance: stockData.balance,
+        cashFlow: stockData.cashFlow,
+        marketCap: stockData.profile.mktCap
+      });
+      const quality = qualityRisk(qualityScores);
+      if (quality.score !== null) {
+        const qualityWeight = model.company.qualityWeight;
+        const blended = Math.round(companyScore * (1 - qualityWeight) + quality.score * qualityWeight);
+        factors.push({
+          metric: 'qualityScores',
+          label: 'Altman Z, Piotroski F and Beneish M',
+          value: Math.round(quality.score * 10) / 10,
+          threshold: null,
+          weight: qualityWeight,
+          points: blended - companyScore
+        });
+        companyScore = blended;
+      }
       
-      // More nuanced sector risk categorization
-      const highRiskSectors = ['Energy', 'Basic Materials', 'Financial Services', 'Real Estate', 'Cryptocurrency'];
-      const mediumRiskSectors = ['Technology', 'Communication Services', 'Consumer Cyclical', 'Industrials', 'Transportation'];
-      const lowRiskSectors = ['Healthcare', 'Consumer Defensive', 'Utilities', 'Infrastructure'];
+      // Describe the score by the factors that moved it most
+      riskData.company.level = scoreLevel(companyScore, model);
+      riskData.company.description = describeCompanyFactors(riskData.company.level, model.company.base, factors);
       
-      // Adjust sector risk based on current market conditions
-      let sectorScore = 50;
+      const warnings = [];
+      if (qualityScores.altmanZ.zone === 'distress') warnings.push(`Altman Z of ${qualityScores.altmanZ.score} is in the distress zone`);
+      if (qualityScores.piotroskiF.zone === 'weak') warnings.push(`Piotroski F of ${qualityScores.piotroskiF.score}/9 signals weak fundamentals`);
+      if (qualityScores.beneishM.zone === 'likely-manipulator') warnings.push(`Beneish M of ${qualityScores.beneishM.score} flags possible earnings manipulation`);
+      if (warnings.length > 0) riskData.company.description += `; ${warnings.join('; ')}`;
       
-      if (highRiskSectors.includes(sector)) {
-        sectorScore += 25;
-      } else if (mediumRiskSectors.includes(sector)) {
-        sectorScore += 0;
-      } else if (lowRiskSectors.includes(sector)) {
-        sectorScore -= 25;
+      // Confidence counts the ratios that could be scored
+      if (missingRatios.length === ratioNames.length) {
+        missingInputs.push('financial ratios');
+      } else if (missingRatios.length > 0) {
+        missingInputs.push(...missingRatios.map(name => (COMPANY_FACTORS[name] ? COMPANY_FACTORS[name].label : name)));
       }
+      if (quality.score === null) missingInputs.push('financial statements');
+      const ratioCoverage = ratioNames.length > 0 ? 1 - missingRatios.length / ratioNames.length : 0;
+      riskData.company.confidence = round2(
+        ratioCoverage * (1 - model.company.qualityWeight) +
+        (quality.score !== null ? model.company.qualityWeight : 0)
+      );
       
-      // Cap score within 0-100 range
-      sectorScore = Math.max(0, Math.min(100, sectorScore));
+      riskData.company.score = companyScore;
+      riskData.company.baseScore = model.company.base;
+      riskData.company.factors = factors;
+      riskData.company.qualityScores = qualityScores;
       
-      if (sectorScore < 40) {
-        riskData.sector.level = 'Low';
-        riskData.sector.score = sectorScore;
-        riskData.sector.description = `${sector} sector typically demonstrates stability through economic cycles`;
-      } else if (sectorScore < 65) {
-        riskData.sector.level = 'Medium';
+      // Sector risk - the company ranked within its peer group on leverage,
+      // margins, liquidity and volatility
+      const industry = stockData.profile.industry || stockData.profile.sector || 'industry';
+      const peerRank = stockData.peers && stockData.peers.peers.length > 0
+        ? rankAgainstPeers({
+          debtToEquity: ratios.debtToEquity,
+          netProfitMargin: ratios.profitMargin,
+          currentRatio: ratios.currentRatio,
+          volatility: volatility
+        }, stockData.peers.peers)
+        : null;
+      
+      if (peerRank && peerRank.score !== null) {
+        const sectorScore = peerRank.score;
+        const peerCount = stockData.peers.peers.length;
+        const standout = peerRank.standout
+          ? `; ${peerRank.standout.label} is riskier than ${peerRank.standout.percentile}% of peers`
+          : '';
+        
+        riskData.sector.level = scoreLevel(sectorScore, model);
         riskData.sector.score = sectorScore;
-        riskData.sector.description = `${sector} sector shows moderate sensitivity to economic cycles`;
+        riskData.sector.description = `Riskier than ${sectorScore}% of ${peerCount} ${industry} peers${standout}`;
+        
+        const rankedMetrics = Object.values(peerRank.metrics).filter(m => m.riskPercentile !== null).length;
+        riskData.sector.confidence = round2(rankedMetrics / PEER_METRICS.length);
+        
+        riskData.peers = {
+          basis: stockData.peers.basis,
+          industry: stockData.peers.industry,
+          symbols: stockData.peers.peers.map(p => p.symbol),
+          metrics: peerRank.metrics
+        };
       } else {
-        riskData.sector.level = 'High';
-        riskData.sector.score = sectorScore;
-        riskData.sector.description = `${sector} sector experiences higher volatility and cyclicality`;
+        // No usable peer group - stay neutral rather than guess from the sector name
+        riskData.sector.score = model.sector.neutralScore;
+        riskData.sector.level = scoreLevel(riskData.sector.score, model);
+        riskData.sector.description = `Not enough peer data to rank ${stockData.profile.companyName} within ${industry}`;
+        riskData.sector.confidence = 0;
+        riskData.peers = null;
+        missingInputs.push('peer group');
       }
       
       // Calculate overall risk score (weighted average)
       const overallScore = (
-        (riskData.market.score * 0.3) + 
-        (riskData.company.score * 0.5) + 
-        (riskData.sector.score * 0.2)
+        (riskData.market.score * model.weights.market) + 
+        (riskData.company.score * model.weights.company) + 
+        (riskData.sector.score * model.weights.sector)
       );
       
-      if (overallScore < 40) {
-        riskData.overall.level = 'Low';
+      riskData.overall.level = scoreLevel(overallScore, model);
+      if (riskData.overall.level === 'Low') {
         riskData.overall.description = `${stockData.profile.companyName} demonstrates strong fundamentals and stability relative to peers.`;
-      } else if (overallScore < 65) {
-        riskData.overall.level = 'Medium';
+      } else if (riskData.overall.level === 'Medium') {
         riskData.overall.description = `${stockData.profile.companyName} shows balanced risk profile with some areas of moderate concern.`;
       } else {
-        riskData.overall.level = 'High';
         riskData.overall.description = `${stockData.profile.companyName} faces elevated risk factors that may impact performance.`;
       }
       
       riskData.overall.score = overallScore;
+      riskData.overall.confidence = round2(
+        riskData.market.confidence * model.weights.market +
+        riskData.company.confidence * model.weights.company +
+        riskData.sector.confidence * model.weights.sector
+      );
+      riskData.overall.missingInputs = missingInputs;
+      if (riskData.overall.confidence < LOW_CONFIDENCE) {
+        riskData.overall.description += ` Based on limited data (missing ${missingInputs.join(', ')}).`;
+      }
+      
+      // The values the scores were computed from, after any overrides
+      riskData.inputs = { beta, volatility, maxDrawdown, valueAtRisk, ...ratios };
     }
   } catch (error) {
     console.error('Error calculating risk factors:', error);
@@ -414,3 +901,7 @@ function assessRisk(stockData) {
   
   return riskData;
 }
+
+// Shared with portfolio-risk.js
+exports.fetchStockData = fetchStockData;
+exports.assessRisk = assessRisk;
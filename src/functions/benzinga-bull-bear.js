@@ -1,6 +1,7 @@
 // netlify/functions/benzinga-bull-bear.js
 
 const https = require('https');
+const { cache, cacheHeaders } = require('./lib/cache');
 
 exports.handler = async function(event, context) {
   // CORS headers
@@ -39,12 +40,14 @@ exports.handler = async function(event, context) {
     const queryString = `token=${API_KEY}&symbols=${ticker}`;
     
     // Make the API request using native https module
-    const data = await makeRequest('api.benzinga.com', `/api/v1/bulls_bears_say?${queryString}`);
+    const result = await cache.wrap('bull-bear', ticker.toUpperCase(), () =>
+      makeRequest('api.benzinga.com', `/api/v1/bulls_bears_say?${queryString}`)
+    );
     
     return {
       statusCode: 200,
-      headers,
-      body: data
+      headers: { ...headers, ...cacheHeaders(result) },
+      body: result.data
     };
   } catch (error) {
     console.error('Error fetching bull/bear data:', error);
@@ -1,5 +1,10 @@
 // functions/benzinga-earnings.js
-const axios = require('axios');
+//
+// Fiscal periods follow the company's fiscal year (lib/fiscal-calendar.js),
+// resolved from FMP income statements when FMP_API_KEY is set.
+const { cacheHeaders } = require('./lib/cache');
+const { getBenzingaEarnings, fromBenzinga } = require('./lib/earnings-providers');
+const { DEFAULT_CALENDAR, getFiscalCalendar, labelReport, formatQuarter, describeFiscalYearEnd } = require('./lib/fiscal-calendar');
 
 exports.handler = async function(event, context) {
   // Enable CORS
@@ -49,47 +54,51 @@ exports.handler = async function(event, context) {
       };
     }
 
-    // Determine the endpoint based on the period (quarterly vs annual)
-    const isAnnual = period === 'annual';
-    
-    // Set up the Benzinga API request
-    const apiUrl = 'https://api.benzinga.com/api/v2.1/calendar/earnings';
-    const response = await axios.get(apiUrl, {
-      params: {
-        token: apiKey,
-        parameters: JSON.stringify({
-          symbols: symbol.toUpperCase(),
-          // Add any additional parameters based on period
-          ...(isAnnual ? { annualOnly: true } : {})
-        })
-      }
-    });
+    // Quarterly unless period is 'annual'
+    const [result, fiscal] = await Promise.all([
+      getBenzingaEarnings(symbol, { period }, apiKey),
+      process.env.FMP_API_KEY
+        ? getFiscalCalendar(symbol.toUpperCase(), process.env.FMP_API_KEY)
+        : { calendar: DEFAULT_CALENDAR, served: null }
+    ]);
 
     let earningsData = [];
     
-    if (response.data && response.data.earnings) {
+    if (result.data && result.data.earnings) {
       // Benzinga returns an array of earnings reports
-      earningsData = response.data.earnings
+      earningsData = result.data.earnings
         // Filter by symbol to ensure we only get data for the requested ticker
         .filter(item => item.symbol === symbol.toUpperCase())
         // Sort by date, newest first
         .sort((a, b) => new Date(b.date) - new Date(a.date))
-        // Transform to match our expected format
-        .map(item => ({
-          fiscalPeriod: `${item.fiscalQuarter ? 'Q' + item.fiscalQuarter : ''} ${item.fiscalYear || ''}`.trim(),
-          date: item.date,
-          timeOfDay: item.timeOfDay || null,
-          estimatedEps: item.eps?.estimate || null,
-          actualEps: item.eps?.actual || null,
-          epsEstimated: item.eps?.estimate || null,
-          eps: item.eps?.actual || null,
-          surprisePercentage: item.eps?.surprise_percent || null,
-          estimatedRevenue: item.revenue?.estimate || null,
-          actualRevenue: item.revenue?.actual || null, 
-          revenueEstimated: item.revenue?.estimate || null,
-          revenue: item.revenue?.actual || null,
-          isUpcoming: item.date ? new Date(item.date) > new Date() : false
-        }));
+        // Canonical records in this function's response shape
+        .map(raw => {
+          const item = fromBenzinga(raw);
+          const label = labelReport(item, fiscal.calendar);
+          return {
+            // Annual rows are just the year ("2024"), as they always were
+            fiscalPeriod: period === 'annual'
+              ? String(label.fiscalYear || '')
+              : formatQuarter(label.fiscalQuarter, label.fiscalYear, true),
+            fiscalYear: label.fiscalYear,
+            fiscalQuarter: period === 'annual' ? null : label.fiscalQuarter,
+            calendarPeriod: label.calendarQuarter ? formatQuarter(label.calendarQuarter, label.calendarYear, true) : null,
+            date: item.date,
+            // Benzinga's own value; the canonical `time` is the bmo/amc code
+            timeOfDay: raw.timeOfDay || null,
+            estimatedEps: item.eps.estimate,
+            actualEps: item.eps.actual,
+            epsEstimated: item.eps.estimate,
+            eps: item.eps.actual,
+            // Benzinga's own figure, as this response has always carried
+            surprisePercentage: (raw.eps && raw.eps.surprise_percent) || null,
+            estimatedRevenue: item.revenue.estimate,
+            actualRevenue: item.revenue.actual,
+            revenueEstimated: item.revenue.estimate,
+            revenue: item.revenue.actual,
+            isUpcoming: item.date ? new Date(item.date) > new Date() : false
+          };
+        });
       
       // For upcoming earnings not yet in the release schedule, we may need to add another API call
       // to get the earnings calendar data, but this varies by data provider
@@ -110,8 +119,11 @@ exports.handler = async function(event, context) {
     // Return the formatted earnings data
     return {
       statusCode: 200,
-      headers,
-      body: JSON.stringify({ earnings: earningsData })
+      headers: { ...headers, ...cacheHeaders([result, fiscal.served]) },
+      body: JSON.stringify({
+        earnings: earningsData,
+        fiscalYearEnd: describeFiscalYearEnd(fiscal.calendar)
+      })
     };
   } catch (error) {
     console.error('Error fetching earnings data:', error);
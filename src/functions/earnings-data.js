@@ -0,0 +1,110 @@
+// earnings-data.js - Netlify Serverless Function for merged earnings from every provider
+//
+// GET ?symbol=AAPL[&providers=fmp,benzinga]
+// One record per report in the canonical schema (lib/earnings-providers.js),
+// merged across providers by lib/earnings-data.js. Each record lists the
+// provider behind every field in `sources` and any disagreements between
+// providers in `conflicts`.
+const { cacheHeaders } = require('./lib/cache');
+const { PROVIDERS, isProvider } = require('./lib/earnings-providers');
+const { getEarnings } = require('./lib/earnings-data');
+
+exports.handler = async function(event, context) {
+  // Enable CORS
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json'
+  };
+
+  // Handle OPTIONS request (preflight)
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  const params = event.queryStringParameters || {};
+  const symbol = (params.symbol || '').trim().toUpperCase();
+
+  if (!symbol) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Missing required parameter: symbol' })
+    };
+  }
+
+  const providers = params.providers
+    ? params.providers.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    : Object.keys(PROVIDERS);
+  const unknown = providers.find(name => !isProvider(name));
+  if (unknown) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `Unknown provider "${unknown}". Use ${Object.keys(PROVIDERS).join(', ')}` })
+    };
+  }
+
+  try {
+    const result = await getEarnings(symbol, { providers });
+    const { coverage } = result;
+
+    if (coverage.skipped.length === providers.length) {
+      console.error('No earnings provider API key is configured');
+      return {
+        statusCode: 500,
+        headers,
+        body: JSON.stringify({ error: 'API key is not configured', dataCoverage: coverage })
+      };
+    }
+
+    if (result.earnings.length === 0) {
+      // Nothing came back because the providers failed, not because the
+      // symbol has no earnings
+      const failed = coverage.failed.length > 0 && coverage.empty.length === 0;
+      return {
+        statusCode: failed ? 502 : 404,
+        headers,
+        body: JSON.stringify({
+          error: failed ? 'Earnings providers are unavailable' : `No earnings data available for ${symbol}`,
+          noData: true,
+          dataCoverage: coverage
+        })
+      };
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const earnings = result.earnings.map(item => ({
+      ...item,
+      isUpcoming: item.date > today
+    }));
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Cache-Control': 'public, max-age=3600',
+        ...cacheHeaders(result.served)
+      },
+      body: JSON.stringify({
+        symbol,
+        providers,
+        earnings,
+        conflicts: earnings.reduce((count, item) => count + item.conflicts.length, 0),
+        dataCoverage: coverage
+      })
+    };
+  } catch (error) {
+    console.error('Error merging earnings data:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Failed to fetch earnings data', details: error.message })
+    };
+  }
+};
@@ -0,0 +1,260 @@
+// earnings-ics.js - Netlify Serverless Function for iCalendar earnings feeds
+//
+// Subscribe from Outlook, Google or Apple Calendar:
+//   ?symbols=AAPL,MSFT                 watchlist feed
+//   ?sector=Technology&marketCap=mega  filtered feed (same filters as earnings.js)
+//   ?symbol=AAPL  or  /earnings-ics/AAPL.ics   one company's next report
+// Feeds cover the next `days` days (default 60, at most 90).
+//
+// Each report keeps the same UID while its date moves, so subscribed
+// calendars move the event instead of adding a second one. The UID is keyed
+// by the month the fiscal period ends (lib/fiscal-calendar.js), which the
+// calendar feeds and the single-company feed derive alike. Dates projected
+// from the last report rather than announced are TENTATIVE.
+const { cacheHeaders } = require('./lib/cache');
+const { fetchFMP } = require('./lib/fmp');
+const { getEnrichedCalendar, parseFilters, filterEarnings, reportTiming, TIMINGS } = require('./lib/earnings-calendar');
+const { exchangeInstant, sessionTimes } = require('./lib/market-calendar');
+const { buildCalendar } = require('./lib/ical');
+const { buildEarnings } = require('./ai-earnings');
+const { DEFAULT_CALENDAR, getFiscalCalendar, quarterEnd, quarterEndBefore, periodEndMonth } = require('./lib/fiscal-calendar');
+
+const DEFAULT_DAYS = 60;
+const MAX_DAYS = 90; // FMP's earnings calendar spans at most three months
+const MAX_EVENTS = 1000;
+const MAX_WATCHLIST = 100;
+
+// Event windows in exchange time, minutes after midnight
+const PRE_MARKET_START = 8 * 60;
+const AFTER_MARKET_LENGTH = 60;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function formatMoney(value) {
+  if (typeof value !== 'number' || !isFinite(value)) return null;
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `$${(value / 1e9).toFixed(2)}B`;
+  if (abs >= 1e6) return `$${(value / 1e6).toFixed(2)}M`;
+  return `$${value.toFixed(2)}`;
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY).toISOString().slice(0, 10);
+}
+
+// One report as a calendar event. Before-market reports run from 8:00 to
+// the open, after-market ones for an hour from the close, during-market
+// ones across the session; unknown timing is an all-day event.
+function earningsEvent(report) {
+  const timing = report.timing || 'tbd';
+  const session = sessionTimes(report.date);
+  const name = report.companyName && report.companyName !== report.symbol
+    ? `${report.companyName} (${report.symbol})`
+    : report.symbol;
+
+  const event = {
+    uid: `earnings-${report.symbol}-${periodEndMonth(report.periodEnd)}@marketlinks`,
+    summary: `${name} earnings${timing !== 'tbd' ? ` - ${TIMINGS[timing]}` : ''}${report.projected ? ' (projected)' : ''}`,
+    categories: ['Earnings', report.symbol],
+    status: report.projected ? 'TENTATIVE' : 'CONFIRMED',
+    description: [
+      report.projected ? 'Date not announced - projected from the last report' : null,
+      `Report timing: ${TIMINGS[timing]}`,
+      report.fiscalPeriod ? `Fiscal period: ${report.fiscalPeriod}` : null,
+      report.fiscalDateEnding ? `Fiscal period ending: ${report.fiscalDateEnding}` : null,
+      `EPS estimate: ${formatMoney(report.epsEstimate) || 'n/a'}`,
+      formatMoney(report.revenueEstimate) ? `Revenue estimate: ${formatMoney(report.revenueEstimate)}` : null
+    ].filter(Boolean).join('\n')
+  };
+
+  // FMP's updatedFromDate moves forward whenever the entry changes, which
+  // is what SEQUENCE and LAST-MODIFIED need to signal an update
+  if (report.updatedFromDate && !isNaN(Date.parse(report.updatedFromDate))) {
+    const updated = new Date(`${report.updatedFromDate.slice(0, 10)}T00:00:00Z`);
+    event.sequence = Math.max(0, Math.floor(updated.getTime() / DAY) - Math.floor(Date.parse('2020-01-01') / DAY));
+    event.lastModified = updated;
+  }
+
+  if (timing === 'tbd' || !session) {
+    return { ...event, allDay: true, start: report.date, end: addDays(report.date, 1) };
+  }
+
+  let startMinutes;
+  let endMinutes;
+  if (timing === 'bmo') {
+    startMinutes = PRE_MARKET_START;
+    endMinutes = session.regularOpen;
+  } else if (timing === 'amc') {
+    startMinutes = session.regularClose;
+    endMinutes = session.regularClose + AFTER_MARKET_LENGTH;
+  } else {
+    startMinutes = session.regularOpen;
+    endMinutes = session.regularClose;
+  }
+
+  return {
+    ...event,
+    start: exchangeInstant(report.date, startMinutes),
+    end: exchangeInstant(report.date, endMinutes)
+  };
+}
+
+// Feed for a watchlist and/or calendar filters
+async function calendarFeed(params, apiKey) {
+  const days = Math.min(MAX_DAYS, Math.max(1, parseInt(params.days || DEFAULT_DAYS) || DEFAULT_DAYS));
+  const parsed = parseFilters({ ...params, symbol: '' });
+  if (parsed.error) return { error: parsed.error };
+
+  const watchlist = (params.symbols || '').split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+  if (watchlist.length > MAX_WATCHLIST) {
+    return { error: `At most ${MAX_WATCHLIST} symbols are supported` };
+  }
+
+  const from = new Date().toISOString().slice(0, 10);
+  const to = addDays(from, days);
+  const calendar = await getEnrichedCalendar({ from, to }, apiKey);
+
+  let reports = filterEarnings(calendar.data || [], parsed.filters);
+  if (watchlist.length > 0) {
+    reports = reports.filter(item => watchlist.includes((item.symbol || '').toUpperCase()));
+  }
+  reports = reports
+    .filter(item => item.date >= from)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.symbol.localeCompare(b.symbol))
+    .slice(0, MAX_EVENTS);
+
+  const described = [
+    watchlist.length > 0 ? watchlist.join(', ') : null,
+    ...['sector', 'industry', 'exchange', 'marketCap', 'time'].filter(key => params[key]).map(key => `${key}: ${params[key]}`)
+  ].filter(Boolean);
+
+  return {
+    served: [calendar],
+    calendar: {
+      name: `Earnings${described.length > 0 ? ` - ${described.join('; ')}` : ''}`,
+      description: `Upcoming earnings reports, ${from} to ${to}`,
+      events: reports.map(item => earningsEvent({
+        symbol: item.symbol,
+        companyName: item.companyName,
+        date: item.date,
+        timing: item.timing,
+        // FMP's period end; otherwise the calendar quarter before the report
+        periodEnd: item.fiscalDateEnding || quarterEndBefore(item.date, DEFAULT_CALENDAR),
+        fiscalDateEnding: item.fiscalDateEnding,
+        updatedFromDate: item.updatedFromDate,
+        epsEstimate: item.eps.estimate,
+        revenueEstimate: item.revenue.estimate
+      }))
+    }
+  };
+}
+
+// One company's upcoming report, from the same data as ai-earnings.js. The
+// calendar entry for that date (a cache hit after buildEarnings) supplies
+// the timing and fiscal period end; without one the period end follows from
+// the fiscal quarter and the company's fiscal year (also a cache hit).
+async function symbolFeed(symbol, apiKey) {
+  const { earnings, served } = await buildEarnings(symbol, 'quarterly', apiKey);
+  const upcoming = earnings ? earnings.earnings.filter(item => item.isUpcoming) : [];
+  const fiscal = upcoming.length > 0 ? await getFiscalCalendar(symbol, apiKey) : { calendar: DEFAULT_CALENDAR, served: null };
+
+  const calendar = await fetchFMP('earnings', 'earning_calendar', { symbol }, apiKey).catch(() => null);
+  const entries = (calendar && Array.isArray(calendar.data) ? calendar.data : [])
+    .filter(item => (item.symbol || '').toUpperCase() === symbol);
+
+  return {
+    served: served.concat(calendar, fiscal.served),
+    calendar: {
+      name: `${symbol} earnings`,
+      description: `Upcoming earnings reports for ${symbol}`,
+      events: upcoming.map(item => {
+        const entry = entries.find(e => e.date === item.date) || {};
+        const periodEnd = entry.fiscalDateEnding ||
+          (item.fiscalQuarter ? quarterEnd(item.fiscalYear, item.fiscalQuarter, fiscal.calendar) : quarterEndBefore(item.date, fiscal.calendar));
+        return earningsEvent({
+          symbol,
+          date: item.date,
+          timing: reportTiming(entry.time),
+          projected: Boolean(item.dateProjected),
+          periodEnd,
+          fiscalPeriod: item.fiscalPeriod,
+          fiscalDateEnding: entry.fiscalDateEnding,
+          updatedFromDate: entry.updatedFromDate,
+          epsEstimate: item.estimatedEps,
+          revenueEstimate: item.estimatedRevenue
+        });
+      })
+    }
+  };
+}
+
+exports.handler = async function(event, context) {
+  // Enable CORS
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  };
+
+  // Handle OPTIONS request (preflight)
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  const apiKey = process.env.FMP_API_KEY;
+  if (!apiKey) {
+    console.error('FMP_API_KEY environment variable is not set');
+    return {
+      statusCode: 500,
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: 'API key is not configured' })
+    };
+  }
+
+  const params = event.queryStringParameters || {};
+
+  // /earnings-ics/AAPL.ics
+  const pathMatch = (event.path || '').match(/\/([A-Za-z0-9.^-]+)\.ics$/);
+  const symbol = (params.symbol || (pathMatch ? pathMatch[1] : '')).trim().toUpperCase();
+
+  try {
+    const result = symbol
+      ? await symbolFeed(symbol, apiKey)
+      : await calendarFeed(params, apiKey);
+
+    if (result.error) {
+      return {
+        statusCode: 400,
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: result.error })
+      };
+    }
+
+    const filename = symbol ? `${symbol}-earnings.ics` : 'earnings.ics';
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `inline; filename="${filename}"`,
+        'Cache-Control': 'public, max-age=3600',
+        ...cacheHeaders(result.served)
+      },
+      body: buildCalendar(result.calendar)
+    };
+  } catch (error) {
+    console.error('Error building earnings calendar feed:', error);
+
+    return {
+      statusCode: 500,
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: 'Failed to build calendar feed', details: error.message })
+    };
+  }
+};
+
+// Exported for tests
+exports.earningsEvent = earningsEvent;
@@ -1,12 +1,17 @@
 // Netlify Function: earnings.js
 // Place this in your netlify/functions folder
 
-const axios = require('axios');
+const { cacheHeaders } = require('./lib/cache');
+const {
+  isSortField,
+  getEnrichedCalendar,
+  parseFilters,
+  filterEarnings,
+  sortEarnings,
+  filterOptions
+} = require('./lib/earnings-calendar');
 
-// Fixed batch size to prevent EMFILE errors (too many open files)
-const BATCH_SIZE = 5; // Reduced from 25 to prevent hitting system limits
-const MAX_CONCURRENT_REQUESTS = 3; // Limit concurrent requests
-const MAX_RESULTS = 100; // Limit number of results to prevent response size exceeding 6MB
+const MAX_RESULTS = 100; // Limit page size to prevent response size exceeding 6MB
 
 exports.handler = async function(event, context) {
   // Set CORS headers
@@ -37,12 +42,23 @@ exports.handler = async function(event, context) {
     const queryParams = event.queryStringParameters || {};
     const from = queryParams.from || '';
     const to = queryParams.to || '';
-    const page = parseInt(queryParams.page || '1');
-    const limit = parseInt(queryParams.limit || '50');
-    const sortBy = queryParams.sortBy || 'volume';
-    const sortDirection = queryParams.sortDirection || 'desc';
-    const symbol = queryParams.symbol || '';
-    const sector = queryParams.sector || '';
+    const page = Math.max(1, parseInt(queryParams.page || '1') || 1);
+    const limit = Math.min(MAX_RESULTS, Math.max(1, parseInt(queryParams.limit || '50') || 50));
+    // Unknown sort keys sort by date, as they always have; metadata.sort
+    // reports the key actually used
+    const sortBy = isSortField(queryParams.sortBy || 'volume') ? (queryParams.sortBy || 'volume') : 'date';
+    const sortDirection = queryParams.sortDirection === 'asc' ? 'asc' : 'desc';
+    
+    // sector, industry, exchange, marketCap (band) and time accept
+    // comma-separated lists
+    const parsed = parseFilters(queryParams);
+    if (parsed.error) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: parsed.error })
+      };
+    }
     
     // If no date range provided, use current week
     let fromDate = from;
@@ -65,73 +81,20 @@ exports.handler = async function(event, context) {
     }
     
     // Build request parameters
-    const params = { apikey: apiKey };
+    const params = {};
     if (fromDate) params.from = fromDate;
     if (toDate) params.to = toDate;
 
-    // Fetch earnings calendar data
-    console.log('Fetching earnings calendar data...');
-    const response = await axios.get(
-      `https://financialmodelingprep.com/api/v3/earning_calendar`, 
-      { params }
-    );
-
-    // Process the data without additional API calls to reduce load
-    let earningsData = response.data;
+    // The whole range, enriched with profiles and quotes and cached, so
+    // filters and sorting see every report rather than one page
+    const calendar = await getEnrichedCalendar(params, apiKey);
+    const earningsData = calendar.data || [];
     
     console.log(`Found ${earningsData.length} earnings reports.`);
     
-    // Apply filters if provided
-    if (symbol) {
-      earningsData = earningsData.filter(item => 
-        item.symbol.toLowerCase().includes(symbol.toLowerCase())
-      );
-    }
-    
-    // Basic preprocessing of data
-    const processedData = earningsData.map(item => ({
-      ...item,
-      companyName: item.company || "",
-      sector: "N/A", // Will be populated for the limited displayed items
-      volume: 0,     // Will be populated for the limited displayed items
-      avgVolume: 0,  // Will be populated for the limited displayed items
-      marketCap: 0,  // Will be populated for the limited displayed items
-      time: item.time || "N/A",
-      eps: {
-        estimate: item.epsEstimated || null,
-        actual: item.eps || null,
-        surprise: item.epsSurprise || null
-      },
-      revenue: {
-        estimate: item.revenueEstimated || null,
-        actual: item.revenue || null,
-        surprise: item.revenueSurprise || null
-      }
-    }));
-    
-    // Sort data based on parameters
-    let sortedData = [...processedData];
-    if (sortBy === 'volume') {
-      // We'll sort by date as a default since we don't have volume data yet
-      sortedData.sort((a, b) => {
-        const dateA = new Date(a.date).getTime();
-        const dateB = new Date(b.date).getTime();
-        return sortDirection === 'asc' ? dateA - dateB : dateB - dateA;
-      });
-    } else if (sortBy === 'eps') {
-      sortedData.sort((a, b) => {
-        const epsA = a.eps?.estimate || 0;
-        const epsB = b.eps?.estimate || 0;
-        return sortDirection === 'asc' ? epsA - epsB : epsB - epsA;
-      });
-    } else {
-      // Default sort by date
-      sortedData.sort((a, b) => {
-        const dateA = new Date(a.date).getTime();
-        const dateB = new Date(b.date).getTime();
-        return sortDirection === 'asc' ? dateA - dateB : dateB - dateA;
-      });
-    }
+    // Filter, then sort, then paginate
+    const filteredData = filterEarnings(earningsData, parsed.filters);
+    const sortedData = sortEarnings(filteredData, sortBy, sortDirection);
     
     // Calculate total pages and limits for pagination
     const totalItems = sortedData.length;
@@ -142,11 +105,8 @@ exports.handler = async function(event, context) {
     // Get the paginated data
     const paginatedData = sortedData.slice(startIndex, endIndex);
     
-    // For the paginated subset, get additional data
-    const enhancedPaginatedData = await enhanceEarningsData(paginatedData, apiKey, sector);
-    
-    // Get unique dates and sectors from the entire dataset (for filters)
-    const uniqueDates = [...new Set(processedData.map(item => item.date))].filter(Boolean).sort();
+    // Filter choices come from the entire range, before filtering
+    const options = filterOptions(earningsData);
     
     // Build metadata for pagination and filters
     const metadata = {
@@ -156,16 +116,22 @@ exports.handler = async function(event, context) {
         totalItems: totalItems,
         itemsPerPage: limit
       },
+      sort: {
+        sortBy,
+        sortDirection
+      },
       filters: {
-        dates: uniqueDates.slice(0, 30) // Limit to prevent response size issues
-      }
+        ...options,
+        dates: options.dates.slice(0, 30) // Limit to prevent response size issues
+      },
+      appliedFilters: parsed.filters
     };
     
     return {
       statusCode: 200,
-      headers,
+      headers: { ...headers, ...cacheHeaders(calendar) },
       body: JSON.stringify({
-        earningsCalendar: enhancedPaginatedData,
+        earningsCalendar: paginatedData,
         metadata: metadata
       })
     };
@@ -182,168 +148,3 @@ exports.handler = async function(event, context) {
     };
   }
 };
-
-// Helper function to process batches with limited concurrency
-async function processBatchesWithLimits(batches, processBatch) {
-  const results = [];
-  
-  // Process batches with limited concurrency
-  for (let i = 0; i < batches.length; i += MAX_CONCURRENT_REQUESTS) {
-    const currentBatch = batches.slice(i, i + MAX_CONCURRENT_REQUESTS);
-    const batchResults = await Promise.all(currentBatch.map(processBatch));
-    results.push(...batchResults);
-    
-    // Add a small delay between batch groups to prevent overwhelming the API
-    if (i + MAX_CONCURRENT_REQUESTS < batches.length) {
-      await new Promise(resolve => setTimeout(resolve, 300));
-    }
-  }
-  
-  return results;
-}
-
-async function enhanceEarningsData(earningsData, apiKey, sectorFilter) {
-  try {
-    // Get unique symbols from earnings data
-    const symbols = [...new Set(earningsData.map(item => item.symbol))];
-    
-    // Batch the symbols into smaller groups to avoid EMFILE errors
-    const batches = [];
-    for (let i = 0; i < symbols.length; i += BATCH_SIZE) {
-      batches.push(symbols.slice(i, i + BATCH_SIZE));
-    }
-    
-    console.log(`Processing ${symbols.length} unique symbols in ${batches.length} batches of ${BATCH_SIZE}`);
-    
-    // Get additional data for all companies in batches
-    const profileData = {};
-    const quoteData = {};
-    
-    // Process profile data
-    await processBatchesWithLimits(batches, async (batch) => {
-      const batchSymbols = batch.join(',');
-      
-      try {
-        // Get company profiles (for sector, market cap, etc.)
-        console.log(`Fetching profile data for batch: ${batchSymbols}`);
-        const profileResponse = await axios.get(
-          `https://financialmodelingprep.com/api/v3/profile/${batchSymbols}`,
-          { params: { apikey: apiKey } }
-        );
-        
-        // Map the data by symbol
-        profileResponse.data.forEach(item => {
-          profileData[item.symbol] = item;
-        });
-      } catch (error) {
-        console.error(`Error fetching profile data for batch ${batchSymbols}:`, error.message);
-        // Continue despite errors for individual batches
-      }
-    });
-    
-    // Process quote data
-    await processBatchesWithLimits(batches, async (batch) => {
-      const batchSymbols = batch.join(',');
-      
-      try {
-        // Get quote data (for volume information)
-        console.log(`Fetching quote data for batch: ${batchSymbols}`);
-        const quoteResponse = await axios.get(
-          `https://financialmodelingprep.com/api/v3/quote/${batchSymbols}`,
-          { params: { apikey: apiKey } }
-        );
-        
-        // Map the data by symbol
-        quoteResponse.data.forEach(item => {
-          quoteData[item.symbol] = item;
-        });
-      } catch (error) {
-        console.error(`Error fetching quote data for batch ${batchSymbols}:`, error.message);
-        // Continue despite errors for individual batches
-      }
-    });
-    
-    console.log(`Successfully fetched additional data for ${Object.keys(profileData).length} profiles and ${Object.keys(quoteData).length} quotes`);
-    
-    // Apply sector filter if provided
-    let filteredData = earningsData;
-    if (sectorFilter) {
-      filteredData = earningsData.filter(item => {
-        const profile = profileData[item.symbol] || {};
-        return profile.sector === sectorFilter;
-      });
-    }
-    
-    // Enhance earnings data with profile and quote information
-    return filteredData.map(item => {
-      const profile = profileData[item.symbol] || {};
-      const quote = quoteData[item.symbol] || {};
-      
-      // Format volume as needed
-      const volume = quote.volume || 0;
-      const avgVolume = quote.avgVolume || 0;
-      
-      // Get market cap
-      const marketCap = profile.mktCap || 0;
-      
-      // Determine earnings time (before or after market)
-      let time = "N/A";
-      if (item.epsEstimated) {
-        // Simple heuristic based on time - FMP doesn't directly provide this
-        time = item.time ? item.time : "TBD";
-        if (!item.time) {
-          time = "TBD";
-        } else if (parseInt(item.time.split(':')[0]) < 9) {
-          time = "Before Market";
-        } else if (parseInt(item.time.split(':')[0]) >= 16) {
-          time = "After Market";
-        } else {
-          time = "During Market";
-        }
-      }
-      
-      return {
-        ...item,
-        companyName: profile.companyName || item.company || "",
-        sector: profile.sector || "N/A",
-        industry: profile.industry || "N/A",
-        volume: volume,
-        avgVolume: avgVolume,
-        marketCap: marketCap,
-        time: time,
-        eps: {
-          estimate: item.epsEstimated || null,
-          actual: item.eps || null,
-          surprise: item.epsSurprise || null
-        },
-        revenue: {
-          estimate: item.revenueEstimated || null,
-          actual: item.revenue || null,
-          surprise: item.revenueSurprise || null
-        }
-      };
-    });
-  } catch (error) {
-    console.error('Error in enhanceEarningsData:', error);
-    // Return the original data if enhancement fails
-    return earningsData.map(item => ({
-      ...item,
-      companyName: item.company || "",
-      volume: 0,
-      avgVolume: 0,
-      marketCap: 0,
-      sector: "N/A",
-      time: item.time || "N/A",
-      eps: {
-        estimate: item.epsEstimated || null,
-        actual: item.eps || null,
-        surprise: item.epsSurprise || null
-      },
-      revenue: {
-        estimate: item.revenueEstimated || null,
-        actual: item.revenue || null,
-        surprise: item.revenueSurprise || null
-      }
-    }));
-  }
-}
@@ -1,5 +1,7 @@
 // functions/fmp-api.js
 const axios = require('axios');
+const { cache, cacheHeaders } = require('./lib/cache');
+const { requestKey } = require('./lib/fmp');
 
 exports.handler = async function(event, context) {
   // Handle CORS preflight requests
@@ -81,16 +83,20 @@ exports.handler = async function(event, context) {
     // Log the URL being requested (useful for debugging)
     console.log(`Making request to: ${url}`);
     
-    // Make the request to FMP
-    const response = await axios.get(url);
+    // Make the request to FMP, through the shared cache
+    const result = await cache.wrap('proxy', `stable/${requestKey(endpoint, queryParams)}`, async () => {
+      const response = await axios.get(url);
+      return response.data;
+    });
     
     return {
       statusCode: 200,
       headers: {
         "Access-Control-Allow-Origin": "*",
-        "Content-Type": "application/json"
+        "Content-Type": "application/json",
+        ...cacheHeaders(result)
       },
-      body: JSON.stringify(response.data)
+      body: JSON.stringify(result.data)
     };
   } catch (error) {
     console.error('Error:', error);
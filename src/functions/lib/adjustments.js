@@ -0,0 +1,132 @@
+// functions/lib/adjustments.js - Split/dividend adjusted prices and total return
+//
+// Bars are FMP daily bars, newest first. Adjustments are backward: the
+// newest bar keeps its price and older bars are restated in its terms, so
+// only splits and dividends dated inside the series are applied.
+
+const ADJUSTMENTS = ['none', 'splits', 'splits+dividends'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(value, places = 4) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// Normalise FMP split/dividend payloads ({ historical: [...] } or an array)
+// to events sorted newest first
+function toEvents(payload) {
+  const list = Array.isArray(payload) ? payload : (payload && payload.historical) || [];
+  return list
+    .filter(event => event && event.date)
+    .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+}
+
+// Price and volume factors for each bar. A split or dividend applies to the
+// bars before its (ex-)date; a dividend scales them by 1 - dividend / close
+// on the last bar before the ex-date.
+function adjustmentFactors(bars, actions, mode) {
+  const useSplits = mode === 'splits' || mode === 'splits+dividends';
+  const useDividends = mode === 'splits+dividends';
+  if (bars.length === 0) return [];
+
+  const newest = bars[0].date.slice(0, 10);
+  const events = [
+    ...(useSplits ? toEvents(actions.splits).map(e => ({ ...e, kind: 'split' })) : []),
+    ...(useDividends ? toEvents(actions.dividends).map(e => ({ ...e, kind: 'dividend' })) : [])
+  ]
+    .filter(event => event.date <= newest)
+    .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+
+  let price = 1;
+  let volume = 1;
+  let next = 0;
+
+  return bars.map(bar => {
+    const date = bar.date.slice(0, 10);
+
+    while (next < events.length && events[next].date > date) {
+      const event = events[next++];
+      if (event.kind === 'split') {
+        const ratio = event.numerator / event.denominator;
+        if (ratio > 0 && isFinite(ratio)) {
+          price /= ratio;
+          volume *= ratio;
+        }
+      } else {
+        // Raw dividend against the raw close - both in that day's share terms
+        const dividend = event.dividend !== undefined ? event.dividend : event.adjDividend;
+        if (dividend > 0 && bar.close > dividend) price *= 1 - dividend / bar.close;
+      }
+    }
+
+    return { price, volume };
+  });
+}
+
+// Adjusted copies of the bars; 'none' returns them as they are
+function adjustBars(bars, actions, mode = 'none') {
+  if (mode === 'none') return bars;
+
+  const factors = adjustmentFactors(bars, actions, mode);
+  return bars.map((bar, i) => {
+    const { price, volume } = factors[i];
+    const adjusted = { ...bar };
+    ['open', 'high', 'low', 'close', 'vwap'].forEach(field => {
+      if (typeof bar[field] === 'number') adjusted[field] = round(bar[field] * price);
+    });
+    if (typeof bar.volume === 'number') adjusted.volume = Math.round(bar.volume * volume);
+    return adjusted;
+  });
+}
+
+// Price and total-return indexes (base 100 at the oldest bar) plus summary
+// stats for the series. Returns are not annualised for spans under a year.
+function totalReturn(bars, actions) {
+  if (bars.length < 2) return null;
+
+  const priceOnly = adjustBars(bars, actions, 'splits');
+  const withDividends = adjustBars(bars, actions, 'splits+dividends');
+  const last = bars.length - 1;
+
+  const series = bars.map((bar, i) => ({
+    date: bar.date,
+    close: bar.close,
+    priceIndex: round(priceOnly[i].close / priceOnly[last].close * 100),
+    totalReturnIndex: round(withDividends[i].close / withDividends[last].close * 100)
+  }));
+
+  const startDate = bars[last].date.slice(0, 10);
+  const endDate = bars[0].date.slice(0, 10);
+  const priceReturn = priceOnly[0].close / priceOnly[last].close - 1;
+  const total = withDividends[0].close / withDividends[last].close - 1;
+  const years = (Date.parse(endDate) - Date.parse(startDate)) / DAY_MS / 365.25;
+
+  const dividends = toEvents(actions.dividends)
+    .filter(event => event.date > startDate && event.date <= endDate)
+    .map(event => ({
+      date: event.date,
+      amount: event.dividend !== undefined ? event.dividend : event.adjDividend
+    }));
+
+  return {
+    series,
+    stats: {
+      startDate,
+      endDate,
+      years: round(years, 2),
+      priceReturn: round(priceReturn),
+      totalReturn: round(total),
+      annualizedReturn: years >= 1 ? round(Math.pow(1 + total, 1 / years) - 1) : null,
+      dividendContribution: round(total - priceReturn),
+      dividends
+    }
+  };
+}
+
+module.exports = {
+  ADJUSTMENTS,
+  adjustmentFactors,
+  adjustBars,
+  totalReturn
+};
@@ -0,0 +1,357 @@
+// functions/lib/cache.js - Shared cache layer for the FMP/Benzinga-backed functions
+//
+// Entries are shared between functions (a quote fetched by stock-data can be
+// served to ai-risk) and, with the file or redis store, between containers.
+// Pick the store with CACHE_STORE=memory|file|redis (defaults to memory).
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Freshness per data type
+const TTL = {
+  quote: MINUTE,
+  market: 5 * MINUTE,
+  intraday: 5 * MINUTE,
+  historical: 24 * HOUR,
+  profile: DAY,
+  ratios: DAY,
+  metrics: DAY,
+  financials: DAY,
+  actions: DAY,
+  earnings: HOUR,
+  'earnings-calendar': 5 * MINUTE,
+  estimates: 6 * HOUR,
+  news: 2 * MINUTE,
+  'bull-bear': 6 * HOUR,
+  proxy: MINUTE,
+  default: 5 * MINUTE
+};
+
+// How long past expiry an entry may still be served while it is refreshed
+const STALE = {
+  quote: 30 * 1000,
+  market: MINUTE,
+  intraday: MINUTE,
+  historical: DAY,
+  profile: 7 * DAY,
+  ratios: 7 * DAY,
+  metrics: 7 * DAY,
+  financials: 7 * DAY,
+  actions: 7 * DAY,
+  earnings: 6 * HOUR,
+  'earnings-calendar': 5 * MINUTE,
+  estimates: DAY,
+  news: MINUTE,
+  'bull-bear': DAY,
+  proxy: 30 * 1000,
+  default: MINUTE
+};
+
+// In-memory store - only lives as long as the warm container
+function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const item = entries.get(key);
+      if (!item) return null;
+      if (item.expires <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return item.value;
+    },
+    async set(key, value, ttl) {
+      entries.set(key, { value, expires: Date.now() + ttl });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+// Filesystem key-value store - one JSON file per key
+function createFileStore(dir) {
+  const fileFor = (key) => path.join(dir, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+
+  return {
+    name: 'file',
+    async get(key) {
+      try {
+        const item = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+        if (item.expires <= Date.now()) {
+          await fs.promises.unlink(fileFor(key)).catch(() => {});
+          return null;
+        }
+        return item.value;
+      } catch (e) {
+        return null;
+      }
+    },
+    async set(key, value, ttl) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      // Write to a temp file first so parallel readers never see a partial entry
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify({ key, value, expires: Date.now() + ttl }));
+      await fs.promises.rename(tmp, file);
+    },
+    async delete(key) {
+      await fs.promises.unlink(fileFor(key)).catch(() => {});
+    },
+    async clear() {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Redis-compatible store speaking the REST protocol (Upstash and compatible proxies)
+function createRedisStore({ url, token, timeout = 2000 }) {
+  const command = async (args) => {
+    const response = await axios.post(url, args, {
+      timeout,
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+    return response.data ? response.data.result : null;
+  };
+
+  return {
+    name: 'redis',
+    async get(key) {
+      const raw = await command(['GET', key]);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(key, value, ttl) {
+      await command(['SET', key, JSON.stringify(value), 'PX', String(Math.ceil(ttl))]);
+    },
+    async delete(key) {
+      await command(['DEL', key]);
+    },
+    async clear() {
+      // Keys are namespaced, but flushing a shared Redis is never safe from here
+    }
+  };
+}
+
+// Memory in front of a persistent store, so a warm container skips the round-trip
+function createTieredStore(stores) {
+  return {
+    name: stores.map(store => store.name).join('+'),
+    async get(key) {
+      for (let i = 0; i < stores.length; i++) {
+        let value = null;
+        try {
+          value = await stores[i].get(key);
+        } catch (e) {
+          console.error(`Cache store ${stores[i].name} read failed:`, e.message);
+        }
+        if (value) {
+          // Backfill the faster layers with what is left of the entry's lifetime
+          const remaining = value.storedAt + value.ttl + value.stale - Date.now();
+          if (remaining > 0) {
+            await Promise.all(stores.slice(0, i).map(store => store.set(key, value, remaining).catch(() => {})));
+          }
+          return value;
+        }
+      }
+      return null;
+    },
+    async set(key, value, ttl) {
+      await Promise.all(stores.map(store => store.set(key, value, ttl).catch(e => {
+        console.error(`Cache store ${store.name} write failed:`, e.message);
+      })));
+    },
+    async delete(key) {
+      await Promise.all(stores.map(store => store.delete(key).catch(() => {})));
+    },
+    async clear() {
+      await Promise.all(stores.map(store => store.clear().catch(() => {})));
+    }
+  };
+}
+
+// Build the store selected by the environment
+function createStoreFromEnv(env = process.env) {
+  const memory = createMemoryStore();
+  const driver = (env.CACHE_STORE || 'memory').toLowerCase();
+
+  if (driver === 'file') {
+    const dir = env.CACHE_DIR || path.join(os.tmpdir(), 'marketlinks-cache');
+    return createTieredStore([memory, createFileStore(dir)]);
+  }
+
+  if (driver === 'redis') {
+    if (!env.CACHE_REDIS_URL) {
+      console.error('CACHE_STORE=redis but CACHE_REDIS_URL is not set, falling back to memory');
+      return memory;
+    }
+    return createTieredStore([memory, createRedisStore({
+      url: env.CACHE_REDIS_URL,
+      token: env.CACHE_REDIS_TOKEN
+    })]);
+  }
+
+  return memory;
+}
+
+// Nothing worth keeping - don't cache "not found" answers
+function isEmpty(data) {
+  if (data === null || data === undefined) return true;
+  if (Array.isArray(data)) return data.length === 0;
+  return false;
+}
+
+function createCache({ store = createMemoryStore(), namespace = 'ml' } = {}) {
+  const pending = new Map();
+
+  const keyFor = (type, key) => `${namespace}:${type}:${key}`;
+  const ttlFor = (type) => TTL[type] || TTL.default;
+  const staleFor = (type) => STALE[type] !== undefined ? STALE[type] : STALE.default;
+
+  async function read(fullKey) {
+    try {
+      return await store.get(fullKey);
+    } catch (e) {
+      console.error('Cache read failed:', e.message);
+      return null;
+    }
+  }
+
+  async function write(fullKey, data, ttl, stale) {
+    const entry = { data, storedAt: Date.now(), ttl, stale };
+    try {
+      await store.set(fullKey, entry, ttl + stale);
+    } catch (e) {
+      console.error('Cache write failed:', e.message);
+    }
+    return entry;
+  }
+
+  // Run the fetcher once per key, however many callers are waiting on it
+  function refresh(fullKey, fetcher, ttl, stale) {
+    if (pending.has(fullKey)) return pending.get(fullKey);
+
+    const promise = (async () => {
+      try {
+        const data = await fetcher();
+        if (!isEmpty(data)) await write(fullKey, data, ttl, stale);
+        return data;
+      } finally {
+        pending.delete(fullKey);
+      }
+    })();
+
+    pending.set(fullKey, promise);
+    return promise;
+  }
+
+  return {
+    store,
+
+    // Fresh cached data for a key, or null
+    async get(type, key) {
+      const entry = await read(keyFor(type, key));
+      if (!entry || Date.now() - entry.storedAt >= entry.ttl) return null;
+      return entry.data;
+    },
+
+    async set(type, key, data, options = {}) {
+      if (isEmpty(data)) return;
+      await write(keyFor(type, key), data, options.ttl || ttlFor(type),
+        options.stale !== undefined ? options.stale : staleFor(type));
+    },
+
+    async delete(type, key) {
+      await store.delete(keyFor(type, key));
+    },
+
+    // Serve from cache, falling back to the fetcher. Resolves to
+    // { data, status: 'HIT' | 'STALE' | 'MISS', age } where age is in ms.
+    async wrap(type, key, fetcher, options = {}) {
+      const fullKey = keyFor(type, key);
+      const ttl = options.ttl || ttlFor(type);
+      const stale = options.stale !== undefined ? options.stale : staleFor(type);
+      const entry = await read(fullKey);
+
+      if (entry) {
+        const age = Date.now() - entry.storedAt;
+
+        if (age < ttl) {
+          return { data: entry.data, status: 'HIT', age };
+        }
+
+        // Stale-while-revalidate: answer now, refresh in the background
+        if (age < ttl + stale) {
+          refresh(fullKey, fetcher, ttl, stale).catch(e => {
+            console.error(`Background refresh failed for ${fullKey}:`, e.message);
+          });
+          return { data: entry.data, status: 'STALE', age };
+        }
+      }
+
+      try {
+        const data = await refresh(fullKey, fetcher, ttl, stale);
+        return { data, status: 'MISS', age: 0 };
+      } catch (error) {
+        // Upstream is down - an expired answer beats none
+        if (entry) {
+          console.error(`Serving expired ${fullKey} after fetch error:`, error.message);
+          return { data: entry.data, status: 'STALE', age: Date.now() - entry.storedAt };
+        }
+        throw error;
+      }
+    },
+
+    async clear() {
+      pending.clear();
+      await store.clear();
+    }
+  };
+}
+
+// Response headers describing how a response was served. Accepts the
+// results of one or more wrap() calls; any MISS makes the response a MISS.
+function cacheHeaders(...results) {
+  const served = results.flat().filter(Boolean);
+  if (served.length === 0) return {};
+
+  let status = 'HIT';
+  if (served.some(result => result.status === 'MISS')) {
+    status = 'MISS';
+  } else if (served.some(result => result.status === 'STALE')) {
+    status = 'STALE';
+  }
+
+  const age = Math.max(...served.map(result => result.age || 0));
+
+  return {
+    'X-Cache': status,
+    'X-Cache-Age': String(Math.floor(age / 1000))
+  };
+}
+
+// Shared instance used by every function in this container
+const cache = createCache({ store: createStoreFromEnv() });
+
+module.exports = {
+  cache,
+  cacheHeaders,
+  createCache,
+  createMemoryStore,
+  createFileStore,
+  createRedisStore,
+  createTieredStore,
+  TTL,
+  STALE
+};
@@ -0,0 +1,137 @@
+// functions/lib/comparison.js - Benchmark-relative performance
+//
+// Compares a symbol's daily closes with one or more benchmarks over the
+// dates they all traded. Bars are FMP daily bars, newest first.
+
+// SPDR sector ETFs keyed by FMP profile `sector`
+const SECTOR_ETFS = {
+  'Technology': 'XLK',
+  'Financial Services': 'XLF',
+  'Healthcare': 'XLV',
+  'Consumer Cyclical': 'XLY',
+  'Consumer Defensive': 'XLP',
+  'Energy': 'XLE',
+  'Industrials': 'XLI',
+  'Basic Materials': 'XLB',
+  'Real Estate': 'XLRE',
+  'Utilities': 'XLU',
+  'Communication Services': 'XLC'
+};
+
+function round(value, places = 4) {
+  if (value === null || !isFinite(value)) return null;
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Closes keyed by date for every series, restricted to the dates all of them
+// have. Returns the shared dates oldest first and the closes in that order.
+function alignCloses(seriesBySymbol) {
+  const symbols = Object.keys(seriesBySymbol);
+  const maps = {};
+  symbols.forEach(symbol => {
+    maps[symbol] = new Map(seriesBySymbol[symbol].map(bar => [bar.date.slice(0, 10), bar.close]));
+  });
+
+  const dates = [...maps[symbols[0]].keys()]
+    .filter(date => symbols.every(symbol => typeof maps[symbol].get(date) === 'number'))
+    .sort();
+
+  const closes = {};
+  symbols.forEach(symbol => {
+    closes[symbol] = dates.map(date => maps[symbol].get(date));
+  });
+
+  return { dates, closes };
+}
+
+function dailyReturns(closes) {
+  return closes.slice(1).map((close, i) => close / closes[i] - 1);
+}
+
+// Beta and correlation of daily returns against a benchmark
+function regression(returns, benchmarkReturns) {
+  if (returns.length < 2) return { beta: null, correlation: null };
+
+  const meanA = mean(returns);
+  const meanB = mean(benchmarkReturns);
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  returns.forEach((r, i) => {
+    const a = r - meanA;
+    const b = benchmarkReturns[i] - meanB;
+    covariance += a * b;
+    varianceA += a * a;
+    varianceB += b * b;
+  });
+
+  return {
+    beta: varianceB > 0 ? covariance / varianceB : null,
+    correlation: varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : null
+  };
+}
+
+// Rebased series (100 at the first shared date), relative strength (symbol
+// rebased over benchmark rebased, x100) and per-benchmark stats.
+// `series` holds the symbol's bars and each benchmark's under its ticker.
+function compareToBenchmarks(symbol, benchmarks, series) {
+  const { dates, closes } = alignCloses(series);
+  if (dates.length < 2) return null;
+
+  const last = dates.length - 1;
+  const rebase = (values) => values.map(v => v / values[0] * 100);
+  const rebased = {};
+  Object.keys(closes).forEach(key => {
+    rebased[key] = rebase(closes[key]);
+  });
+
+  const symbolReturn = closes[symbol][last] / closes[symbol][0] - 1;
+  const symbolDaily = dailyReturns(closes[symbol]);
+
+  const stats = benchmarks.map(benchmark => {
+    const benchmarkReturn = closes[benchmark.symbol][last] / closes[benchmark.symbol][0] - 1;
+    const { beta, correlation } = regression(symbolDaily, dailyReturns(closes[benchmark.symbol]));
+    return {
+      ...benchmark,
+      return: round(benchmarkReturn),
+      excessReturn: round(symbolReturn - benchmarkReturn),
+      relativeStrength: round(rebased[symbol][last] / rebased[benchmark.symbol][last] * 100, 2),
+      beta: round(beta, 3),
+      correlation: round(correlation, 3)
+    };
+  });
+
+  // Newest first, like the bars
+  const points = dates.map((date, i) => {
+    const values = {};
+    const relativeStrength = {};
+    Object.keys(rebased).forEach(key => {
+      values[key] = round(rebased[key][i], 2);
+    });
+    benchmarks.forEach(benchmark => {
+      relativeStrength[benchmark.symbol] = round(rebased[symbol][i] / rebased[benchmark.symbol][i] * 100, 2);
+    });
+    return { date, values, relativeStrength };
+  }).reverse();
+
+  return {
+    startDate: dates[0],
+    endDate: dates[last],
+    observations: dates.length,
+    return: round(symbolReturn),
+    benchmarks: stats,
+    series: points
+  };
+}
+
+module.exports = {
+  SECTOR_ETFS,
+  alignCloses,
+  regression,
+  compareToBenchmarks
+};
@@ -0,0 +1,129 @@
+// functions/lib/downsample.js - Shrink long daily price series for charting
+//
+// Bars are FMP daily bars ({ date, open, high, low, close, volume, ... }),
+// newest first, and come back newest first.
+
+const AGGREGATIONS = ['auto', 'none', 'weekly', 'monthly', 'lttb'];
+
+// Monday of the week a YYYY-MM-DD date falls in
+function weekKey(date) {
+  const d = new Date(`${date.slice(0, 10)}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+function monthKey(date) {
+  return date.slice(0, 7);
+}
+
+// Combine daily bars into one OHLC bar per period. Each bar is dated with
+// the first trading day in its period.
+function aggregateBars(bars, period) {
+  const keyOf = period === 'weekly' ? weekKey : monthKey;
+  const groups = [];
+  const byKey = {};
+
+  // Walk oldest to newest so open/close come from the right ends
+  [...bars].reverse().forEach(bar => {
+    const key = keyOf(bar.date);
+    if (!byKey[key]) {
+      byKey[key] = [];
+      groups.push(byKey[key]);
+    }
+    byKey[key].push(bar);
+  });
+
+  return groups.map(group => {
+    const first = group[0];
+    const last = group[group.length - 1];
+    const aggregated = {
+      date: first.date,
+      open: first.open,
+      high: Math.max(...group.map(b => (b.high !== undefined ? b.high : b.close))),
+      low: Math.min(...group.map(b => (b.low !== undefined ? b.low : b.close))),
+      close: last.close,
+      volume: group.reduce((sum, b) => sum + (b.volume || 0), 0)
+    };
+    if (last.adjClose !== undefined) aggregated.adjClose = last.adjClose;
+    return aggregated;
+  }).reverse();
+}
+
+// Largest-Triangle-Three-Buckets on closes. Keeps `threshold` of the
+// original bars, always including the first and last.
+function lttb(bars, threshold) {
+  if (threshold >= bars.length || threshold < 3) return [...bars];
+
+  const data = [...bars].reverse(); // oldest first
+  const sampled = [data[0]];
+  const bucketSize = (data.length - 2) / (threshold - 2);
+  let a = 0;
+
+  for (let i = 0; i < threshold - 2; i++) {
+    // Average point of the next bucket
+    const nextStart = Math.floor((i + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, data.length);
+    let avgX = 0;
+    let avgY = 0;
+    for (let j = nextStart; j < nextEnd; j++) {
+      avgX += j;
+      avgY += data[j].close;
+    }
+    avgX /= nextEnd - nextStart;
+    avgY /= nextEnd - nextStart;
+
+    // Point in this bucket forming the largest triangle with a and the average
+    const start = Math.floor(i * bucketSize) + 1;
+    const end = Math.floor((i + 1) * bucketSize) + 1;
+    let maxArea = -1;
+    let chosen = start;
+    for (let j = start; j < end; j++) {
+      const area = Math.abs(
+        (a - avgX) * (data[j].close - data[a].close) -
+        (a - j) * (avgY - data[a].close)
+      );
+      if (area > maxArea) {
+        maxArea = area;
+        chosen = j;
+      }
+    }
+
+    sampled.push(data[chosen]);
+    a = chosen;
+  }
+
+  sampled.push(data[data.length - 1]);
+  return sampled.reverse();
+}
+
+// Bring a series down to at most `points` bars. 'auto' prefers OHLC
+// aggregation (weekly, then monthly) and falls back to LTTB.
+// Resolves to { bars, aggregation } naming what was applied.
+function downsample(bars, points, method = 'auto') {
+  if (method === 'none' || !points || bars.length <= points) {
+    return { bars, aggregation: 'none' };
+  }
+
+  if (method === 'weekly' || method === 'monthly') {
+    return { bars: aggregateBars(bars, method), aggregation: method };
+  }
+
+  if (method === 'lttb') {
+    return { bars: lttb(bars, points), aggregation: 'lttb' };
+  }
+
+  const weekly = aggregateBars(bars, 'weekly');
+  if (weekly.length <= points) return { bars: weekly, aggregation: 'weekly' };
+
+  const monthly = aggregateBars(bars, 'monthly');
+  if (monthly.length <= points) return { bars: monthly, aggregation: 'monthly' };
+
+  return { bars: lttb(monthly, points), aggregation: 'monthly+lttb' };
+}
+
+module.exports = {
+  AGGREGATIONS,
+  aggregateBars,
+  lttb,
+  downsample
+};
@@ -0,0 +1,236 @@
+// functions/lib/earnings-calendar.js - FMP earnings calendar enriched for sorting and filtering
+//
+// The whole date range is enriched with profile and quote data once and
+// cached, so every page, sort and filter works on the complete set.
+
+const { cache } = require('./cache');
+const { requestKey, getEarningCalendar, getProfiles, getQuotes } = require('./fmp');
+
+// Market-cap bands, largest first; `min` is inclusive
+const MARKET_CAP_BANDS = [
+  { name: 'mega', min: 200e9 },
+  { name: 'large', min: 10e9 },
+  { name: 'mid', min: 2e9 },
+  { name: 'small', min: 300e6 },
+  { name: 'micro', min: 50e6 },
+  { name: 'nano', min: 0 }
+];
+
+// Report timing codes as FMP sends them, and how they are shown
+const TIMINGS = {
+  bmo: 'Before Market',
+  amc: 'After Market',
+  dmh: 'During Market',
+  tbd: 'TBD'
+};
+
+// Accepted `time` filter values
+const TIMING_ALIASES = {
+  bmo: 'bmo',
+  before: 'bmo',
+  amc: 'amc',
+  after: 'amc',
+  dmh: 'dmh',
+  during: 'dmh',
+  tbd: 'tbd'
+};
+
+// Sort keys and the value each sorts on (null when unknown - no quote or
+// profile leaves volume and market cap at 0). `eps` is kept for older clients.
+const SORT_FIELDS = {
+  date: item => item.date,
+  symbol: item => item.symbol,
+  volume: item => item.volume || null,
+  marketCap: item => item.marketCap || null,
+  epsSurprise: item => item.eps.surprisePercent,
+  revenueSurprise: item => item.revenue.surprisePercent,
+  eps: item => item.eps.surprisePercent
+};
+
+// Own keys only, so query values like "constructor" aren't found on the
+// prototype
+function hasKey(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function isSortField(sortBy) {
+  return hasKey(SORT_FIELDS, sortBy);
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+function marketCapBand(marketCap) {
+  if (!isNumber(marketCap) || marketCap <= 0) return null;
+  return MARKET_CAP_BANDS.find(band => marketCap >= band.min).name;
+}
+
+// FMP sends bmo/amc/dmh, occasionally a clock time, or nothing
+function reportTiming(time) {
+  const value = (time || '').toString().trim().toLowerCase();
+  if (hasKey(TIMINGS, value) && value !== 'tbd') return value;
+
+  const clock = value.match(/^(\d{1,2}):(\d{2})/);
+  if (clock) {
+    const minutes = Number(clock[1]) * 60 + Number(clock[2]);
+    if (minutes < 9 * 60 + 30) return 'bmo';
+    if (minutes >= 16 * 60) return 'amc';
+    return 'dmh';
+  }
+  return 'tbd';
+}
+
+// Actual versus estimate, as a difference and a percentage of the estimate.
+// FMP's own surprise figure wins over the computed difference when it sends one.
+function surprise(actual, estimate, reported) {
+  const result = {
+    estimate: isNumber(estimate) ? estimate : null,
+    actual: isNumber(actual) ? actual : null,
+    surprise: isNumber(reported) ? reported : null,
+    surprisePercent: null
+  };
+  if (result.actual !== null && result.estimate !== null) {
+    if (result.surprise === null) result.surprise = Math.round((result.actual - result.estimate) * 10000) / 10000;
+    if (result.estimate !== 0) {
+      result.surprisePercent = Math.round((result.actual - result.estimate) / Math.abs(result.estimate) * 10000) / 100;
+    }
+  }
+  return result;
+}
+
+function enrichItem(item, profile = {}, quote = {}) {
+  const timing = reportTiming(item.time);
+  const marketCap = profile.mktCap || quote.marketCap || 0;
+
+  return {
+    ...item,
+    companyName: profile.companyName || item.company || '',
+    sector: profile.sector || 'N/A',
+    industry: profile.industry || 'N/A',
+    exchange: profile.exchangeShortName || quote.exchange || 'N/A',
+    volume: quote.volume || 0,
+    avgVolume: quote.avgVolume || 0,
+    marketCap,
+    marketCapBand: marketCapBand(marketCap),
+    // `time` stays as FMP sent it; `timing` is the normalized code
+    time: item.time || 'N/A',
+    timing,
+    timingLabel: TIMINGS[timing],
+    eps: surprise(item.eps, item.epsEstimated, item.epsSurprise),
+    revenue: surprise(item.revenue, item.revenueEstimated, item.revenueSurprise)
+  };
+}
+
+// Calendar for a date range with every entry enriched. Resolves to a cache
+// result ({ data, status, age }) like the lib/fmp.js helpers.
+function getEnrichedCalendar(params, apiKey) {
+  return cache.wrap('earnings-calendar', requestKey('earning_calendar', params), async () => {
+    const calendar = await getEarningCalendar(params, apiKey);
+    const items = calendar.data || [];
+    const symbols = [...new Set(items.map(item => item.symbol).filter(Boolean))];
+
+    const [profiles, quotes] = await Promise.all([
+      getProfiles(symbols, apiKey),
+      getQuotes(symbols, apiKey)
+    ]);
+
+    return items.map(item => enrichItem(
+      item,
+      profiles.data[(item.symbol || '').toUpperCase()],
+      quotes.data[(item.symbol || '').toUpperCase()]
+    ));
+  });
+}
+
+// Comma-separated, case-insensitive filter values
+function listParam(value) {
+  return (value || '').split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+// Validate filter parameters. Returns { filters } or { error }.
+function parseFilters(params) {
+  const filters = {
+    symbol: (params.symbol || '').trim().toLowerCase(),
+    sector: listParam(params.sector),
+    industry: listParam(params.industry),
+    exchange: listParam(params.exchange),
+    marketCap: listParam(params.marketCap),
+    time: listParam(params.time)
+  };
+
+  const bands = MARKET_CAP_BANDS.map(band => band.name);
+  const unknownBand = filters.marketCap.find(band => !bands.includes(band));
+  if (unknownBand) {
+    return { error: `Unknown marketCap band "${unknownBand}". Use ${bands.join(', ')}` };
+  }
+
+  const unknownTime = filters.time.find(time => !hasKey(TIMING_ALIASES, time));
+  if (unknownTime) {
+    return { error: `Unknown time "${unknownTime}". Use ${Object.keys(TIMING_ALIASES).join(', ')}` };
+  }
+  filters.time = filters.time.map(time => TIMING_ALIASES[time]);
+
+  return { filters };
+}
+
+function filterEarnings(items, filters) {
+  const matches = (wanted, value) => wanted.length === 0 || wanted.includes((value || '').toLowerCase());
+
+  return items.filter(item =>
+    (!filters.symbol || (item.symbol || '').toLowerCase().includes(filters.symbol)) &&
+    matches(filters.sector, item.sector) &&
+    matches(filters.industry, item.industry) &&
+    matches(filters.exchange, item.exchange) &&
+    matches(filters.marketCap, item.marketCapBand) &&
+    matches(filters.time, item.timing)
+  );
+}
+
+// Sort by one of SORT_FIELDS, or date for anything else. Missing values go
+// last either way; ties fall back to date, then symbol.
+function sortEarnings(items, sortBy, direction) {
+  const valueOf = isSortField(sortBy) ? SORT_FIELDS[sortBy] : SORT_FIELDS.date;
+  const sign = direction === 'asc' ? 1 : -1;
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+  return [...items].sort((a, b) => {
+    const valueA = valueOf(a);
+    const valueB = valueOf(b);
+    const missingA = valueA === null || valueA === undefined;
+    const missingB = valueB === null || valueB === undefined;
+    if (missingA !== missingB) return missingA ? 1 : -1;
+
+    return (!missingA && sign * compare(valueA, valueB)) ||
+      compare(a.date, b.date) ||
+      compare(a.symbol, b.symbol);
+  });
+}
+
+// Distinct values present in the range, for building filter menus
+function filterOptions(items) {
+  const distinct = (key) => [...new Set(items.map(item => item[key]))].filter(v => v && v !== 'N/A').sort();
+  return {
+    dates: distinct('date'),
+    sectors: distinct('sector'),
+    industries: distinct('industry'),
+    exchanges: distinct('exchange'),
+    marketCapBands: MARKET_CAP_BANDS.map(band => band.name).filter(name => items.some(item => item.marketCapBand === name)),
+    times: Object.keys(TIMINGS).filter(code => items.some(item => item.timing === code))
+  };
+}
+
+module.exports = {
+  MARKET_CAP_BANDS,
+  TIMINGS,
+  SORT_FIELDS,
+  isSortField,
+  marketCapBand,
+  reportTiming,
+  enrichItem,
+  getEnrichedCalendar,
+  parseFilters,
+  filterEarnings,
+  sortEarnings,
+  filterOptions
+};
@@ -0,0 +1,242 @@
+// functions/lib/earnings-data.js - Earnings from every provider, merged into one record per report
+//
+// Canonical records from lib/earnings-providers.js are grouped by symbol and
+// fiscal quarter, then each field is taken from the first provider in
+// FIELD_PRIORITY that has it. Providers that disagree beyond TOLERANCES are
+// listed in `conflicts`.
+//
+// Benzinga labels reports with the fiscal quarter; FMP only gives the period
+// end. Once the company's fiscal year end is known (lib/fiscal-calendar.js)
+// FMP records get the fiscal quarter their period end falls in. Without it,
+// records lacking a fiscal quarter are matched on the period end, then on
+// report dates at most MATCH_WINDOW_DAYS apart.
+const { PROVIDERS, isProvider } = require('./earnings-providers');
+const { fetchSources, skippedSource, coverageReport } = require('./sources');
+const { DEFAULT_CALENDAR, getFiscalCalendar, periodForEnd } = require('./fiscal-calendar');
+
+// Reports without a fiscal quarter this many days apart are the same report
+const MATCH_WINDOW_DAYS = 7;
+
+// Preferred provider per field, best first. Benzinga tracks company
+// announcements, so it leads on dates, timing, fiscal labels and consensus;
+// FMP leads on reported results and period ends.
+const FIELD_PRIORITY = {
+  'date': ['benzinga', 'fmp'],
+  'time': ['benzinga', 'fmp'],
+  'timeOfDay': ['benzinga', 'fmp'],
+  'fiscalYear': ['benzinga', 'fmp'],
+  'fiscalQuarter': ['benzinga', 'fmp'],
+  'fiscalDateEnding': ['fmp', 'benzinga'],
+  'eps.estimate': ['benzinga', 'fmp'],
+  'eps.actual': ['fmp', 'benzinga'],
+  'eps.surprisePercent': ['fmp', 'benzinga'],
+  'revenue.estimate': ['benzinga', 'fmp'],
+  'revenue.actual': ['fmp', 'benzinga'],
+  'revenue.surprisePercent': ['fmp', 'benzinga']
+};
+
+// Numeric differences that are not a disagreement: at least `absolute`,
+// or `relative` of the larger value
+const TOLERANCES = {
+  'eps.estimate': { absolute: 0.01, relative: 0.02 },
+  'eps.actual': { absolute: 0.01, relative: 0.02 },
+  'revenue.estimate': { absolute: 0, relative: 0.01 },
+  'revenue.actual': { absolute: 0, relative: 0.01 }
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function getField(item, path) {
+  return path.split('.').reduce((value, key) => (value == null ? null : value[key]), item);
+}
+
+function setField(item, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((value, key) => value[key], item);
+  target[last] = value;
+}
+
+function daysApart(a, b) {
+  return Math.abs(Date.parse(a) - Date.parse(b)) / DAY;
+}
+
+// Same report? Fiscal period decides when both records have one, then the
+// period end, then how close the dates are.
+function sameReport(a, b) {
+  if (a.symbol !== b.symbol) return false;
+  if (a.fiscalYear !== null && b.fiscalYear !== null && a.fiscalQuarter !== null && b.fiscalQuarter !== null) {
+    return a.fiscalYear === b.fiscalYear && a.fiscalQuarter === b.fiscalQuarter;
+  }
+  if (a.fiscalDateEnding && b.fiscalDateEnding) {
+    return a.fiscalDateEnding === b.fiscalDateEnding;
+  }
+  return Boolean(a.date && b.date) && daysApart(a.date, b.date) <= MATCH_WINDOW_DAYS;
+}
+
+// Fiscal year and quarter for records that only have a period end. A
+// December default would mislabel other fiscal years, so it labels nothing.
+function labelFiscalQuarters(records, calendar) {
+  if (!calendar || calendar.source === 'default') return records;
+  return records.map(item => {
+    if (item.fiscalQuarter !== null || !item.fiscalDateEnding) return item;
+    const { fiscalYear, fiscalQuarter } = periodForEnd(item.fiscalDateEnding, calendar);
+    return { ...item, fiscalYear, fiscalQuarter };
+  });
+}
+
+// Group records into reports, at most one record per provider in each
+function groupRecords(records) {
+  const groups = [];
+  records.forEach(item => {
+    const group = groups.find(candidate =>
+      !candidate.some(member => member.provider === item.provider) &&
+      candidate.some(member => sameReport(member, item))
+    );
+    if (group) {
+      group.push(item);
+    } else {
+      groups.push([item]);
+    }
+  });
+  return groups;
+}
+
+function disagree(path, a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    const tolerance = TOLERANCES[path];
+    if (!tolerance) return false;
+    const allowed = Math.max(tolerance.absolute, tolerance.relative * Math.max(Math.abs(a), Math.abs(b)));
+    return Math.abs(a - b) > allowed;
+  }
+  if (path === 'time') return a !== 'tbd' && b !== 'tbd' && a !== b;
+  return a !== b;
+}
+
+function surprisePercent(actual, estimate) {
+  if (actual === null || estimate === null || estimate === 0) return null;
+  return Math.round((actual - estimate) / Math.abs(estimate) * 10000) / 100;
+}
+
+// One merged record with the provider each field came from and any
+// disagreements between providers
+function reconcile(group) {
+  const merged = {
+    symbol: group[0].symbol,
+    date: null,
+    dateType: 'report',
+    time: 'tbd',
+    timeOfDay: null,
+    fiscalYear: null,
+    fiscalQuarter: null,
+    fiscalDateEnding: null,
+    eps: { estimate: null, actual: null, surprisePercent: null },
+    revenue: { estimate: null, actual: null, surprisePercent: null },
+    providers: group.map(item => item.provider),
+    sources: {},
+    conflicts: []
+  };
+
+  Object.keys(FIELD_PRIORITY).forEach(path => {
+    const known = (value) => value !== null && !(path === 'time' && value === 'tbd');
+    const ranked = [...group]
+      .filter(item => known(getField(item, path)))
+      .sort((a, b) => FIELD_PRIORITY[path].indexOf(a.provider) - FIELD_PRIORITY[path].indexOf(b.provider));
+    if (ranked.length === 0) return;
+
+    const chosen = ranked[0];
+    setField(merged, path, getField(chosen, path));
+    merged.sources[path] = chosen.provider;
+
+    const others = ranked.slice(1).filter(item => disagree(path, getField(chosen, path), getField(item, path)));
+    if (others.length > 0) {
+      const values = {};
+      [chosen, ...others].forEach(item => {
+        values[item.provider] = getField(item, path);
+      });
+      merged.conflicts.push({ field: path, values, chosen: chosen.provider });
+    }
+  });
+
+  // The date is a report date or period end depending on who supplied it
+  if (merged.sources.date) {
+    merged.dateType = group.find(item => item.provider === merged.sources.date).dateType;
+  }
+
+  // Surprise follows the chosen actual and estimate, which may come from
+  // different providers; a provider's own figure only fills in without them
+  ['eps', 'revenue'].forEach(key => {
+    const derived = surprisePercent(merged[key].actual, merged[key].estimate);
+    if (derived !== null) {
+      merged[key].surprisePercent = derived;
+      merged.sources[`${key}.surprisePercent`] = 'derived';
+    }
+  });
+
+  return merged;
+}
+
+// Merge canonical records from any providers, newest report first.
+// `calendar` is the company's fiscal calendar, when known.
+function mergeEarnings(records, calendar = DEFAULT_CALENDAR) {
+  const sorted = labelFiscalQuarters(records, calendar)
+    .filter(item => item.date)
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+  return groupRecords(sorted)
+    .map(reconcile)
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+// Fetch every configured provider (or just `options.providers`) for a
+// symbol and merge the results. Providers without an API key are skipped.
+// The fiscal calendar comes from FMP whenever FMP_API_KEY is set.
+async function getEarnings(symbol, options = {}) {
+  const env = options.env || process.env;
+  const names = options.providers || Object.keys(PROVIDERS);
+  const upper = symbol.toUpperCase();
+
+  const unknown = names.find(name => !isProvider(name));
+  if (unknown) throw new Error(`Unknown provider "${unknown}"`);
+
+  const configured = names.filter(name => env[PROVIDERS[name].apiKeyEnv]);
+  const [results, fiscal] = await Promise.all([
+    fetchSources(configured.map(name => ({
+      name,
+      fetch: (request) => PROVIDERS[name].fetch(upper, env[PROVIDERS[name].apiKeyEnv], request),
+      isEmpty: data => PROVIDERS[name].records(data, upper).length === 0
+    })), options),
+    env.FMP_API_KEY
+      ? getFiscalCalendar(upper, env.FMP_API_KEY)
+      : { calendar: DEFAULT_CALENDAR, served: null }
+  ]);
+
+  names.filter(name => !configured.includes(name)).forEach(name => {
+    results[name] = skippedSource(name, `${PROVIDERS[name].apiKeyEnv} is not set`);
+  });
+
+  const records = [];
+  configured.forEach(name => {
+    if (results[name].status === 'ok') {
+      records.push(...PROVIDERS[name].records(results[name].data, upper));
+    }
+  });
+
+  return {
+    symbol: upper,
+    earnings: mergeEarnings(records, fiscal.calendar),
+    coverage: coverageReport(results),
+    served: Object.values(results).map(result => result.cache).concat(fiscal.served).filter(Boolean)
+  };
+}
+
+module.exports = {
+  FIELD_PRIORITY,
+  TOLERANCES,
+  MATCH_WINDOW_DAYS,
+  labelFiscalQuarters,
+  groupRecords,
+  reconcile,
+  mergeEarnings,
+  getEarnings
+};
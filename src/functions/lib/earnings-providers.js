@@ -0,0 +1,179 @@
+// functions/lib/earnings-providers.js - Earnings provider adapters and the canonical record
+//
+// Every provider's rows are normalized to one canonical record:
+//   {
+//     symbol, provider,
+//     date,              report date (YYYY-MM-DD), or the period end when
+//     dateType,          dateType is 'periodEnd' rather than 'report'
+//     time,              bmo/amc/dmh/tbd (see lib/earnings-calendar.js)
+//     timeOfDay,         provider's clock time, when it sends one
+//     fiscalYear, fiscalQuarter (null for annual), fiscalDateEnding,
+//     eps:     { estimate, actual, surprisePercent },
+//     revenue: { estimate, actual, surprisePercent }
+//   }
+// Missing values are null, never undefined. Surprise percentages are the
+// provider's own; lib/earnings-data.js derives any that are missing.
+const axios = require('axios');
+const { cache } = require('./cache');
+const { fetchFMP, REQUEST_TIMEOUT } = require('./fmp');
+const { reportTiming } = require('./earnings-calendar');
+
+const BENZINGA_EARNINGS_URL = 'https://api.benzinga.com/api/v2.1/calendar/earnings';
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return isFinite(number) ? number : null;
+}
+
+function toDate(value) {
+  return value ? String(value).slice(0, 10) : null;
+}
+
+function toQuarter(value) {
+  const match = String(value || '').match(/^Q?([1-4])$/i);
+  return match ? Number(match[1]) : null;
+}
+
+function record(fields) {
+  return {
+    symbol: (fields.symbol || '').toUpperCase(),
+    provider: fields.provider,
+    date: toDate(fields.date),
+    dateType: fields.dateType || 'report',
+    time: reportTiming(fields.time),
+    timeOfDay: fields.timeOfDay || null,
+    fiscalYear: toNumber(fields.fiscalYear),
+    fiscalQuarter: toQuarter(fields.fiscalQuarter),
+    fiscalDateEnding: toDate(fields.fiscalDateEnding),
+    eps: {
+      estimate: toNumber(fields.epsEstimate),
+      actual: toNumber(fields.epsActual),
+      surprisePercent: toNumber(fields.epsSurprisePercent)
+    },
+    revenue: {
+      estimate: toNumber(fields.revenueEstimate),
+      actual: toNumber(fields.revenueActual),
+      surprisePercent: toNumber(fields.revenueSurprisePercent)
+    }
+  };
+}
+
+// FMP earning_calendar and historical/earning_calendar rows
+function fromFmpCalendar(item, symbol) {
+  return record({
+    provider: 'fmp',
+    symbol: item.symbol || symbol,
+    date: item.date,
+    time: item.time,
+    fiscalDateEnding: item.fiscalDateEnding,
+    epsEstimate: item.epsEstimated,
+    epsActual: item.eps,
+    epsSurprisePercent: item.surprisePercentage,
+    revenueEstimate: item.revenueEstimated,
+    revenueActual: item.revenue
+  });
+}
+
+// FMP earnings-surprises rows
+function fromFmpSurprise(item, symbol) {
+  return record({
+    provider: 'fmp',
+    symbol: item.symbol || symbol,
+    date: item.date,
+    epsEstimate: item.estimatedEps,
+    epsActual: item.actualEps,
+    epsSurprisePercent: item.surprisePercentage,
+    revenueEstimate: item.estimatedRevenue,
+    revenueActual: item.actualRevenue
+  });
+}
+
+// FMP income-statement rows - dated by period end, with no estimates
+function fromFmpIncomeStatement(item, symbol) {
+  return record({
+    provider: 'fmp',
+    symbol: item.symbol || symbol,
+    date: item.date,
+    dateType: 'periodEnd',
+    fiscalYear: item.calendarYear,
+    fiscalQuarter: item.period,
+    fiscalDateEnding: item.date,
+    epsActual: item.eps,
+    revenueActual: item.revenue
+  });
+}
+
+// Benzinga calendar/earnings rows
+function fromBenzinga(item) {
+  const eps = item.eps || {};
+  const revenue = item.revenue || {};
+  return record({
+    provider: 'benzinga',
+    symbol: item.symbol,
+    date: item.date,
+    time: item.timeOfDay,
+    timeOfDay: item.timeOfDay,
+    fiscalYear: item.fiscalYear,
+    fiscalQuarter: item.fiscalQuarter,
+    epsEstimate: eps.estimate,
+    epsActual: eps.actual,
+    epsSurprisePercent: eps.surprise_percent,
+    revenueEstimate: revenue.estimate,
+    revenueActual: revenue.actual
+  });
+}
+
+// Benzinga earnings calendar for one symbol, through the shared cache.
+// options.timeout bounds the request (lib/fmp.js's REQUEST_TIMEOUT by default).
+function getBenzingaEarnings(symbol, options, apiKey) {
+  const annual = options.period === 'annual';
+  return cache.wrap('earnings', `benzinga:${symbol.toUpperCase()}:${annual ? 'annual' : 'quarterly'}`, async () => {
+    const response = await axios.get(BENZINGA_EARNINGS_URL, {
+      params: {
+        token: apiKey,
+        parameters: JSON.stringify({
+          symbols: symbol.toUpperCase(),
+          ...(annual ? { annualOnly: true } : {})
+        })
+      },
+      timeout: options.timeout || REQUEST_TIMEOUT
+    });
+    return response.data;
+  });
+}
+
+// Providers lib/earnings-data.js merges. `fetch` resolves to a cache result
+// (options as for lib/sources.js) and `records` turns its data into
+// canonical records for the symbol.
+const PROVIDERS = {
+  fmp: {
+    name: 'fmp',
+    apiKeyEnv: 'FMP_API_KEY',
+    fetch: (symbol, apiKey, options) => fetchFMP('earnings', `historical/earning_calendar/${symbol}`, {}, apiKey, options),
+    records: (data, symbol) => (Array.isArray(data) ? data : []).map(item => fromFmpCalendar(item, symbol))
+  },
+  benzinga: {
+    name: 'benzinga',
+    apiKeyEnv: 'BENZINGA_API_KEY',
+    fetch: (symbol, apiKey, options) => getBenzingaEarnings(symbol, { ...options }, apiKey),
+    records: (data, symbol) => ((data && data.earnings) || [])
+      .filter(item => item.symbol === symbol)
+      .map(fromBenzinga)
+  }
+};
+
+// Own keys only, so a name like "constructor" isn't a provider
+function isProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+module.exports = {
+  PROVIDERS,
+  isProvider,
+  fromFmpCalendar,
+  fromFmpSurprise,
+  fromFmpIncomeStatement,
+  fromBenzinga,
+  getBenzingaEarnings
+};
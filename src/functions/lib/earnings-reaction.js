@@ -0,0 +1,131 @@
+// functions/lib/earnings-reaction.js - How the stock moved after each earnings report
+//
+// Reports are canonical earnings records (lib/earnings-providers.js); bars
+// are FMP daily bars. Before- and during-market reports
+// trade on the report date; after-market ones (and unknown timing, flagged
+// as assumed) on the next session. Moves are measured from the last close
+// before the news:
+//   gap     reaction-day open
+//   move1d  reaction-day close
+//   move5d  close of the fifth session from the reaction day
+// Moves are fractions (0.05 = +5%). Raw open/close prices are used so the
+// gap compares like with like.
+
+// Reports used for the averages and the expected move
+const DEFAULT_LOOKBACK = 12;
+const EXPECTED_MOVE_REPORTS = 8;
+
+function round(value, places = 4) {
+  if (value === null || value === undefined || !isFinite(value)) return null;
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+// beat, miss or inline against the EPS estimate
+function outcome(report) {
+  const { actual, estimate } = report.eps;
+  if (!isNumber(actual) || !isNumber(estimate)) return null;
+  if (actual > estimate) return 'beat';
+  if (actual < estimate) return 'miss';
+  return 'inline';
+}
+
+// Reaction to one report. `bars` are oldest first.
+function priceReaction(report, bars) {
+  const timing = report.time || 'tbd';
+  const afterClose = timing === 'amc' || timing === 'tbd';
+  const date = report.date.slice(0, 10);
+
+  // First session that could react, and the close just before it
+  const reactionIndex = bars.findIndex(bar => (afterClose ? bar.date > date : bar.date >= date));
+  if (reactionIndex < 1) return null;
+
+  const before = bars[reactionIndex - 1];
+  const reaction = bars[reactionIndex];
+  const fifth = bars[reactionIndex + 4];
+  if (!isNumber(before.close) || before.close <= 0) return null;
+
+  return {
+    date,
+    timing,
+    timingAssumed: timing === 'tbd',
+    outcome: outcome(report),
+    epsSurprisePercent: isNumber(report.eps.actual) && isNumber(report.eps.estimate) && report.eps.estimate !== 0
+      ? round((report.eps.actual - report.eps.estimate) / Math.abs(report.eps.estimate) * 100, 2)
+      : null,
+    previousClose: round(before.close, 2),
+    reactionDate: reaction.date,
+    gap: isNumber(reaction.open) ? round(reaction.open / before.close - 1) : null,
+    move1d: round(reaction.close / before.close - 1),
+    move5d: fifth ? round(fifth.close / before.close - 1) : null
+  };
+}
+
+// Reactions to every report the bars cover, their averages and an
+// expected move for the next report
+function analyzeReactions(reports, bars, options = {}) {
+  const lookback = options.lookback || DEFAULT_LOOKBACK;
+  const sorted = [...bars]
+    .map(bar => ({ date: bar.date.slice(0, 10), open: bar.open, close: bar.close }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  // Reports the bars can't measure (too recent, before the history) don't
+  // count towards the lookback
+  const reactions = [...reports]
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .map(report => priceReaction(report, sorted))
+    .filter(Boolean)
+    .slice(0, lookback);
+
+  const values = (list, key) => list.map(r => r[key]).filter(isNumber);
+  const byOutcome = (name) => {
+    const matching = reactions.filter(r => r.outcome === name);
+    return {
+      count: matching.length,
+      averageMove1d: round(mean(values(matching, 'move1d'))),
+      averageMove5d: round(mean(values(matching, 'move5d')))
+    };
+  };
+
+  const recent = reactions.slice(0, EXPECTED_MOVE_REPORTS);
+  const expected = mean(values(recent, 'move1d').map(Math.abs));
+  const lastClose = sorted.length > 0 ? sorted[sorted.length - 1].close : null;
+
+  return {
+    reactions,
+    summary: {
+      reports: reactions.length,
+      averageAbsGap: round(mean(values(reactions, 'gap').map(Math.abs))),
+      averageAbsMove1d: round(mean(values(reactions, 'move1d').map(Math.abs))),
+      averageAbsMove5d: round(mean(values(reactions, 'move5d').map(Math.abs))),
+      upMoves: values(reactions, 'move1d').filter(v => v > 0).length,
+      beat: byOutcome('beat'),
+      miss: byOutcome('miss'),
+      inline: byOutcome('inline')
+    },
+    expectedMove: expected !== null
+      ? {
+        move: round(expected),
+        basedOn: recent.length,
+        method: `Mean absolute 1-day reaction over the last ${recent.length} reports`,
+        referencePrice: lastClose,
+        low: isNumber(lastClose) ? round(lastClose * (1 - expected), 2) : null,
+        high: isNumber(lastClose) ? round(lastClose * (1 + expected), 2) : null
+      }
+      : null
+  };
+}
+
+module.exports = {
+  DEFAULT_LOOKBACK,
+  priceReaction,
+  analyzeReactions
+};
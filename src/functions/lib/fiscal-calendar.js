@@ -0,0 +1,193 @@
+// functions/lib/fiscal-calendar.js - Company fiscal years and fiscal period labels
+//
+// A company's fiscal year end comes from its FMP income statements: each
+// quarterly row carries its period end (`date`), fiscal quarter (`period`)
+// and fiscal year (`calendarYear`). Apple's year ends in September, so a
+// report on 2024-10-31 covers Q4 FY2024 (calendar Q3 2024); Walmart's ends
+// in January, so its quarter ending 2025-01-31 is Q4 FY2025 (calendar Q4
+// 2024). The calendar quarter is the one the fiscal quarter's middle month
+// falls in.
+//
+// 52/53-week years end on a weekday near the month end, sometimes a few
+// days into the next month (2025-02-01); those count as the month before.
+// Companies with no statements fall back to a December year end.
+const { getIncomeStatements } = require('./fmp');
+
+// Quarterly statements used to resolve the year end - shares the cache
+// entry with ai-earnings.js's income statement fallback
+const STATEMENT_PARAMS = { period: 'quarter', limit: 10 };
+
+// Period ends this many days into a month belong to the month before
+const EARLY_MONTH_DAYS = 7;
+
+const DEFAULT_CALENDAR = { fiscalYearEndMonth: 12, yearOffset: 0, source: 'default' };
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+// { year, month } a period end belongs to (month 1-12)
+function periodMonth(date) {
+  const [year, month, day] = date.slice(0, 10).split('-').map(Number);
+  if (day > EARLY_MONTH_DAYS) return { year, month };
+  return month === 1 ? { year: year - 1, month: 12 } : { year, month: month - 1 };
+}
+
+function mostCommon(values) {
+  const counts = {};
+  values.forEach(value => {
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  const best = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+  return best === undefined ? null : Number(best);
+}
+
+// Fiscal year a period ending in `year`/`month` belongs to, named by the
+// calendar year the fiscal year ends in
+function naturalFiscalYear(year, month, fiscalYearEndMonth) {
+  return month <= fiscalYearEndMonth ? year : year + 1;
+}
+
+// Fiscal year end month and naming from FMP income statement rows. Most
+// companies name the fiscal year after the year it ends in; `yearOffset`
+// covers those that do not.
+function resolveFiscalCalendar(statements) {
+  const rows = (Array.isArray(statements) ? statements : [])
+    .filter(row => row && row.date && /^(Q[1-4]|FY)$/.test(row.period));
+  if (rows.length === 0) return DEFAULT_CALENDAR;
+
+  const fiscalYearEndMonth = mostCommon(rows.map(row => {
+    const { month } = periodMonth(row.date);
+    const quartersLeft = row.period === 'FY' ? 0 : 4 - Number(row.period[1]);
+    return ((month - 1 + quartersLeft * 3) % 12) + 1;
+  }));
+
+  const yearOffset = mostCommon(rows
+    .filter(row => isFinite(parseInt(row.calendarYear)))
+    .map(row => {
+      const { year, month } = periodMonth(row.date);
+      return parseInt(row.calendarYear) - naturalFiscalYear(year, month, fiscalYearEndMonth);
+    })) || 0;
+
+  return { fiscalYearEndMonth, yearOffset, source: 'income-statement' };
+}
+
+// Fiscal year end for a symbol. Resolves to { calendar, served }; falls
+// back to a December year end when the statements are unavailable.
+async function getFiscalCalendar(symbol, apiKey) {
+  try {
+    const result = await getIncomeStatements(symbol, STATEMENT_PARAMS, apiKey);
+    return { calendar: resolveFiscalCalendar(result.data), served: result };
+  } catch (error) {
+    console.error(`Error resolving fiscal calendar for ${symbol}:`, error.message);
+    return { calendar: DEFAULT_CALENDAR, served: null };
+  }
+}
+
+// Fiscal and calendar quarter of the period ending on `periodEnd`
+function periodForEnd(periodEnd, calendar) {
+  const { year, month } = periodMonth(periodEnd);
+  const monthsIntoYear = (month - calendar.fiscalYearEndMonth + 12) % 12;
+  const middleMonth = month === 1 ? 12 : month - 1;
+
+  return {
+    fiscalYear: naturalFiscalYear(year, month, calendar.fiscalYearEndMonth) + calendar.yearOffset,
+    fiscalQuarter: monthsIntoYear === 0 ? 4 : Math.ceil(monthsIntoYear / 3),
+    calendarYear: month === 1 ? year - 1 : year,
+    calendarQuarter: Math.ceil(middleMonth / 3)
+  };
+}
+
+// Last day of the month a fiscal quarter ends in
+function quarterEnd(fiscalYear, fiscalQuarter, calendar) {
+  const endMonth = calendar.fiscalYearEndMonth - (4 - fiscalQuarter) * 3;
+  const month = ((endMonth - 1 + 12) % 12) + 1;
+  const year = fiscalYear - calendar.yearOffset - (endMonth < 1 ? 1 : 0);
+  return new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+}
+
+// Most recent fiscal quarter end before a report date - the quarter the
+// report covers
+function quarterEndBefore(reportDate, calendar) {
+  const date = reportDate.slice(0, 10);
+  let [year, month] = date.split('-').map(Number);
+
+  for (let i = 0; i < 4; i++) {
+    const monthsIntoYear = (month - calendar.fiscalYearEndMonth + 12) % 12;
+    const end = new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+    if (monthsIntoYear % 3 === 0 && end < date) return end;
+
+    month--;
+    if (month === 0) {
+      month = 12;
+      year--;
+    }
+  }
+  return null;
+}
+
+// Fiscal and calendar quarter of a canonical earnings record
+// (lib/earnings-providers.js). A provider's own fiscal quarter wins; the
+// calendar quarter is then only known once the fiscal year end is.
+function labelReport(record, calendar) {
+  if (record.fiscalYear !== null && record.fiscalQuarter !== null) {
+    const known = calendar.source !== 'default' || record.fiscalDateEnding;
+    const periodEnd = record.fiscalDateEnding || quarterEnd(record.fiscalYear, record.fiscalQuarter, calendar);
+    const { calendarYear, calendarQuarter } = periodForEnd(periodEnd, calendar);
+    return {
+      fiscalYear: record.fiscalYear,
+      fiscalQuarter: record.fiscalQuarter,
+      calendarYear: known ? calendarYear : null,
+      calendarQuarter: known ? calendarQuarter : null
+    };
+  }
+
+  const periodEnd = record.fiscalDateEnding ||
+    (record.dateType === 'periodEnd' ? record.date : record.date && quarterEndBefore(record.date, calendar));
+  if (!periodEnd) {
+    return { fiscalYear: null, fiscalQuarter: null, calendarYear: null, calendarQuarter: null };
+  }
+  return periodForEnd(periodEnd, calendar);
+}
+
+// "2024-09" for any period ending in (or just after) September 2024 - the
+// same key whichever provider's period end or fiscal label it came from
+function periodEndMonth(periodEnd) {
+  const { year, month } = periodMonth(periodEnd);
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+function nextQuarter({ fiscalYear, fiscalQuarter }) {
+  return fiscalQuarter === 4
+    ? { fiscalYear: fiscalYear + 1, fiscalQuarter: 1 }
+    : { fiscalYear, fiscalQuarter: fiscalQuarter + 1 };
+}
+
+// "Q4 '24", or "Q4 2024" with fullYear; "FY '24" when quarter is null
+function formatQuarter(quarter, year, fullYear) {
+  if (year === null || year === undefined) return null;
+  const yearText = fullYear ? String(year) : `'${String(year).slice(-2)}`;
+  return `${quarter ? `Q${quarter}` : 'FY'} ${yearText}`;
+}
+
+// Fiscal year end in responses
+function describeFiscalYearEnd(calendar) {
+  return {
+    month: calendar.fiscalYearEndMonth,
+    name: MONTHS[calendar.fiscalYearEndMonth - 1],
+    source: calendar.source
+  };
+}
+
+module.exports = {
+  DEFAULT_CALENDAR,
+  resolveFiscalCalendar,
+  getFiscalCalendar,
+  periodForEnd,
+  quarterEnd,
+  quarterEndBefore,
+  labelReport,
+  periodEndMonth,
+  nextQuarter,
+  formatQuarter,
+  describeFiscalYearEnd
+};
@@ -0,0 +1,207 @@
+// functions/lib/fmp.js - Cached Financial Modeling Prep requests shared by the functions
+const axios = require('axios');
+const { cache } = require('./cache');
+
+const FMP_BASE = 'https://financialmodelingprep.com/api/v3';
+const FMP_BASE_V4 = 'https://financialmodelingprep.com/api/v4';
+
+// Per-request timeout unless options.timeout says otherwise. A request that
+// times out rejects, so the cache stops treating it as in flight.
+const REQUEST_TIMEOUT = 10000;
+
+// Stable cache key for a request - never includes the API key
+function requestKey(endpoint, params = {}) {
+  const query = Object.keys(params)
+    .filter(key => key !== 'apikey' && params[key] !== undefined && params[key] !== '')
+    .sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+  return query ? `${endpoint}?${query}` : endpoint;
+}
+
+// GET an FMP endpoint through the shared cache (v3 unless options.version is 'v4')
+async function fetchFMP(type, endpoint, params, apiKey, options = {}) {
+  const v4 = options.version === 'v4';
+  const key = requestKey(endpoint, params);
+  return cache.wrap(type, v4 ? `v4/${key}` : key, async () => {
+    const response = await axios.get(`${v4 ? FMP_BASE_V4 : FMP_BASE}/${endpoint}`, {
+      params: { ...params, apikey: apiKey },
+      timeout: options.timeout || REQUEST_TIMEOUT
+    });
+    return response.data;
+  }, options);
+}
+
+// Single-record endpoints return an array - unwrap the first item
+function first(result) {
+  const data = Array.isArray(result.data) ? result.data[0] : result.data;
+  return { ...result, data: data || null };
+}
+
+// Per-symbol entries for endpoints that accept a comma-separated list, so a
+// symbol fetched in one batch is a cache hit for any later single lookup.
+// Misses are fetched in chunks with limited concurrency; a failed chunk is
+// reported per symbol in `errors` instead of failing the whole call.
+async function fetchPerSymbol(type, endpoint, symbols, apiKey, options = {}) {
+  const chunkSize = options.chunkSize || 50;
+  const concurrency = options.concurrency || 3;
+  const wanted = [...new Set(symbols.map(s => s.toUpperCase()))];
+  const data = {};
+  const errors = {};
+  const results = [];
+  const missing = [];
+
+  // options.fresh skips the lookup but still refreshes the cache
+  await Promise.all(wanted.map(async (symbol) => {
+    const cached = options.fresh ? null : await cache.get(type, symbol);
+    if (cached) {
+      data[symbol] = cached;
+      results.push({ status: 'HIT', age: 0 });
+    } else {
+      missing.push(symbol);
+    }
+  }));
+
+  const chunks = [];
+  for (let i = 0; i < missing.length; i += chunkSize) {
+    chunks.push(missing.slice(i, i + chunkSize));
+  }
+
+  for (let i = 0; i < chunks.length; i += concurrency) {
+    await Promise.all(chunks.slice(i, i + concurrency).map(async (chunk) => {
+      try {
+        const response = await axios.get(`${FMP_BASE}/${endpoint}/${chunk.join(',')}`, {
+          params: { apikey: apiKey },
+          timeout: options.timeout || REQUEST_TIMEOUT
+        });
+
+        await Promise.all((response.data || []).map(item => {
+          data[item.symbol] = item;
+          return cache.set(type, item.symbol, item);
+        }));
+        results.push({ status: 'MISS', age: 0 });
+      } catch (error) {
+        console.error(`Error fetching ${endpoint} for ${chunk.join(',')}:`, error.message);
+        chunk.forEach(symbol => {
+          errors[symbol] = 'Upstream request failed';
+        });
+      }
+    }));
+  }
+
+  return { data, errors, results };
+}
+
+function getQuote(symbol, apiKey, options = {}) {
+  return cache.wrap('quote', symbol.toUpperCase(), async () => {
+    const response = await axios.get(`${FMP_BASE}/quote/${symbol}`, {
+      params: { apikey: apiKey },
+      timeout: options.timeout || REQUEST_TIMEOUT
+    });
+    return Array.isArray(response.data) && response.data.length > 0 ? response.data[0] : null;
+  }, options);
+}
+
+function getQuotes(symbols, apiKey, options) {
+  return fetchPerSymbol('quote', 'quote', symbols, apiKey, options);
+}
+
+function getProfile(symbol, apiKey, options = {}) {
+  return cache.wrap('profile', symbol.toUpperCase(), async () => {
+    const response = await axios.get(`${FMP_BASE}/profile/${symbol}`, {
+      params: { apikey: apiKey },
+      timeout: options.timeout || REQUEST_TIMEOUT
+    });
+    return Array.isArray(response.data) && response.data.length > 0 ? response.data[0] : null;
+  }, options);
+}
+
+function getProfiles(symbols, apiKey, options) {
+  return fetchPerSymbol('profile', 'profile', symbols, apiKey, options);
+}
+
+async function getRatiosTTM(symbol, apiKey, options) {
+  return first(await fetchFMP('ratios', `ratios-ttm/${symbol.toUpperCase()}`, {}, apiKey, options));
+}
+
+async function getKeyMetricsTTM(symbol, apiKey, options) {
+  return first(await fetchFMP('metrics', `key-metrics-ttm/${symbol.toUpperCase()}`, {}, apiKey, options));
+}
+
+function getIncomeStatements(symbol, params, apiKey, options) {
+  return fetchFMP('financials', `income-statement/${symbol.toUpperCase()}`, params, apiKey, options);
+}
+
+function getBalanceSheets(symbol, params, apiKey, options) {
+  return fetchFMP('financials', `balance-sheet-statement/${symbol.toUpperCase()}`, params, apiKey, options);
+}
+
+function getCashFlowStatements(symbol, params, apiKey, options) {
+  return fetchFMP('financials', `cash-flow-statement/${symbol.toUpperCase()}`, params, apiKey, options);
+}
+
+// Daily bars - resolves to FMP's { symbol, historical: [...] } payload
+function getHistoricalDaily(symbol, params, apiKey, options) {
+  return fetchFMP('historical', `historical-price-full/${symbol.toUpperCase()}`, params, apiKey, options);
+}
+
+// Intraday bars (Eastern time, newest first) - params may narrow with from/to
+function getIntradayChart(interval, symbol, params, apiKey, options) {
+  return fetchFMP('intraday', `historical-chart/${interval}/${symbol.toUpperCase()}`, params, apiKey, options);
+}
+
+// Split and dividend history - full history, newest first, as
+// { symbol, historical: [...] }
+function getStockSplits(symbol, apiKey, options) {
+  return fetchFMP('actions', `historical-price-full/stock_split/${symbol.toUpperCase()}`, {}, apiKey, options);
+}
+
+function getStockDividends(symbol, apiKey, options) {
+  return fetchFMP('actions', `historical-price-full/stock_dividend/${symbol.toUpperCase()}`, {}, apiKey, options);
+}
+
+async function getAnalystRecommendations(symbol, apiKey) {
+  return first(await fetchFMP('estimates', `analyst-stock-recommendations/${symbol.toUpperCase()}`, {}, apiKey));
+}
+
+async function getPriceTargetConsensus(symbol, apiKey) {
+  return first(await fetchFMP('estimates', 'price-target-consensus', { symbol: symbol.toUpperCase() }, apiKey, { version: 'v4' }));
+}
+
+// FMP's peer list - same exchange, sector and similar market cap
+async function getStockPeers(symbol, apiKey) {
+  return first(await fetchFMP('profile', 'stock_peers', { symbol: symbol.toUpperCase() }, apiKey, { version: 'v4' }));
+}
+
+function getStockScreener(params, apiKey) {
+  return fetchFMP('profile', 'stock-screener', params, apiKey);
+}
+
+function getEarningCalendar(params, apiKey) {
+  return fetchFMP('earnings', 'earning_calendar', params, apiKey);
+}
+
+module.exports = {
+  FMP_BASE,
+  REQUEST_TIMEOUT,
+  requestKey,
+  fetchFMP,
+  getQuote,
+  getQuotes,
+  getProfile,
+  getProfiles,
+  getRatiosTTM,
+  getKeyMetricsTTM,
+  getIncomeStatements,
+  getBalanceSheets,
+  getCashFlowStatements,
+  getHistoricalDaily,
+  getIntradayChart,
+  getStockSplits,
+  getStockDividends,
+  getAnalystRecommendations,
+  getPriceTargetConsensus,
+  getStockPeers,
+  getStockScreener,
+  getEarningCalendar
+};
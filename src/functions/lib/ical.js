@@ -0,0 +1,114 @@
+// functions/lib/ical.js - Minimal RFC 5545 (iCalendar) writer
+//
+// buildCalendar({ name, description, refresh, events }) returns the .ics
+// text. Events are { uid, start, end, allDay, summary, description,
+// sequence, lastModified, url, categories, status }; timed events take Date
+// instants and are written in UTC, all-day events take YYYY-MM-DD dates.
+// `status` is CONFIRMED (the default) or TENTATIVE.
+
+const PRODID = '-//MarketLinks//Earnings Calendar//EN';
+
+// Lines longer than this many octets are folded
+const MAX_LINE_OCTETS = 75;
+
+// TEXT values escape backslash, semicolon, comma and newlines
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold to 75 octets per line, continuation lines starting with a space.
+// Never splits a multi-byte character.
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+// 20261020T123000Z
+function formatInstant(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// 20261020
+function formatDate(date) {
+  return date.replace(/-/g, '');
+}
+
+function eventLines(event, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+    `SEQUENCE:${event.sequence || 0}`
+  ];
+
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(event.end)}`);
+    lines.push('TRANSP:TRANSPARENT');
+  } else {
+    lines.push(`DTSTART:${formatInstant(event.start)}`);
+    lines.push(`DTEND:${formatInstant(event.end)}`);
+    lines.push('TRANSP:OPAQUE');
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.categories && event.categories.length > 0) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  }
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatInstant(event.lastModified)}`);
+  lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+function buildCalendar({ name, description, refresh = 'PT6H', events = [], now = new Date() }) {
+  const stamp = formatInstant(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+  // How often subscribers should re-fetch (Outlook and Apple, respectively)
+  lines.push(`X-PUBLISHED-TTL:${refresh}`);
+  lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${refresh}`);
+
+  events.forEach(event => {
+    lines.push(...eventLines(event, stamp));
+  });
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildCalendar
+};
@@ -0,0 +1,198 @@
+// functions/lib/indicators.js - Technical indicators computed from price bars
+//
+// Every indicator takes closes in chronological order (oldest first) and
+// returns values aligned to them, with null until enough history exists.
+
+// Indicator definitions: default parameters, how they're written in a spec
+// string and how many earlier bars are needed before values are reliable
+const INDICATORS = {
+  sma: {
+    params: ['period'],
+    defaults: [20],
+    warmup: ({ period }) => period - 1
+  },
+  ema: {
+    params: ['period'],
+    defaults: [20],
+    warmup: ({ period }) => period * 3 // Seed plus enough bars to converge
+  },
+  rsi: {
+    params: ['period'],
+    defaults: [14],
+    warmup: ({ period }) => period * 4
+  },
+  macd: {
+    params: ['fast', 'slow', 'signal'],
+    defaults: [12, 26, 9],
+    warmup: ({ slow, signal }) => slow * 3 + signal
+  },
+  bb: {
+    params: ['period', 'stdDev'],
+    defaults: [20, 2],
+    warmup: ({ period }) => period - 1
+  }
+};
+
+const MAX_INDICATORS = 10;
+const MAX_PERIOD = 500;
+
+function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+
+  return out;
+}
+
+// Seeded with the SMA of the first `period` values
+function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  const k = 2 / (period + 1);
+  let prev = null;
+
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] === null) continue;
+
+    if (prev === null) {
+      // Wait for `period` consecutive values to seed
+      const start = i - period + 1;
+      if (start < 0 || values.slice(start, i + 1).some(v => v === null)) continue;
+      prev = values.slice(start, i + 1).reduce((sum, v) => sum + v, 0) / period;
+    } else {
+      prev = values[i] * k + prev * (1 - k);
+    }
+
+    out[i] = prev;
+  }
+
+  return out;
+}
+
+// Wilder's RSI - averages seeded with the simple mean of the first `period` changes
+function rsi(values, period) {
+  const out = new Array(values.length).fill(null);
+  if (values.length <= period) return out;
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    if (change > 0) gain += change; else loss -= change;
+  }
+  gain /= period;
+  loss /= period;
+
+  const value = () => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+  out[period] = value();
+
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    out[i] = value();
+  }
+
+  return out;
+}
+
+function macd(values, fast, slow, signal) {
+  const fastLine = ema(values, fast);
+  const slowLine = ema(values, slow);
+  const line = values.map((_, i) =>
+    fastLine[i] !== null && slowLine[i] !== null ? fastLine[i] - slowLine[i] : null
+  );
+  const signalLine = ema(line, signal);
+
+  return {
+    macd: line,
+    signal: signalLine,
+    histogram: line.map((v, i) => (v !== null && signalLine[i] !== null ? v - signalLine[i] : null))
+  };
+}
+
+// Bollinger Bands - population standard deviation around the SMA
+function bollinger(values, period, stdDev) {
+  const middle = sma(values, period);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+
+  for (let i = period - 1; i < values.length; i++) {
+    const window = values.slice(i - period + 1, i + 1);
+    const variance = window.reduce((sum, v) => sum + Math.pow(v - middle[i], 2), 0) / period;
+    const band = stdDev * Math.sqrt(variance);
+    upper[i] = middle[i] + band;
+    lower[i] = middle[i] - band;
+  }
+
+  return { middle, upper, lower };
+}
+
+// Parse "sma:50,rsi:14,macd:12:26:9" into specs. Throws on anything invalid.
+function parseIndicatorSpecs(input) {
+  const parts = String(input || '').split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+
+  if (parts.length === 0) throw new Error('At least one indicator is required');
+  if (parts.length > MAX_INDICATORS) throw new Error(`At most ${MAX_INDICATORS} indicators per request`);
+
+  return parts.map(part => {
+    const [type, ...args] = part.split(':');
+    const definition = INDICATORS[type];
+    if (!definition) {
+      throw new Error(`Unknown indicator "${type}". Use one of: ${Object.keys(INDICATORS).join(', ')}`);
+    }
+    if (args.length > definition.params.length) {
+      throw new Error(`Too many parameters for ${type}`);
+    }
+
+    const params = {};
+    definition.params.forEach((name, i) => {
+      const value = args[i] !== undefined && args[i] !== '' ? Number(args[i]) : definition.defaults[i];
+      const integer = name !== 'stdDev';
+      if (!isFinite(value) || value <= 0 || value > MAX_PERIOD || (integer && !Number.isInteger(value))) {
+        throw new Error(`Invalid ${name} for ${type}: ${args[i]}`);
+      }
+      params[name] = value;
+    });
+
+    if (type === 'macd' && params.fast >= params.slow) {
+      throw new Error('MACD fast period must be shorter than the slow period');
+    }
+
+    const key = [type, ...definition.params.map(name => params[name])].join(':');
+    return { key, type, params };
+  });
+}
+
+// Bars of history needed before the first visible bar
+function lookbackFor(specs) {
+  return Math.max(0, ...specs.map(spec => INDICATORS[spec.type].warmup(spec.params)));
+}
+
+function computeIndicator(spec, closes) {
+  const p = spec.params;
+  switch (spec.type) {
+    case 'sma': return sma(closes, p.period);
+    case 'ema': return ema(closes, p.period);
+    case 'rsi': return rsi(closes, p.period);
+    case 'macd': return macd(closes, p.fast, p.slow, p.signal);
+    case 'bb': return bollinger(closes, p.period, p.stdDev);
+    default: throw new Error(`Unknown indicator "${spec.type}"`);
+  }
+}
+
+module.exports = {
+  sma,
+  ema,
+  rsi,
+  macd,
+  bollinger,
+  parseIndicatorSpecs,
+  lookbackFor,
+  computeIndicator,
+  INDICATORS
+};
@@ -0,0 +1,190 @@
+// functions/lib/llm.js - Provider-agnostic chat completions with fallback
+//
+// complete({ messages, json, maxTokens, temperature, timeout }) tries each
+// configured provider in order and resolves to the first success:
+//   { content, provider, model, failures: [{ provider, error }] }
+// Messages use the OpenAI shape ({ role: system|user|assistant, content }).
+//
+// Configuration (environment):
+//   LLM_PROVIDERS    ordered list, e.g. "anthropic,openai" or "stub". Defaults
+//                    to every provider with an API key, OpenAI first.
+//   OPENAI_MODEL     defaults to gpt-4o-mini
+//   ANTHROPIC_MODEL  defaults to claude-3-5-haiku-latest
+//   LLM_TIMEOUT_MS   per-provider request timeout, defaults to 20000
+//   LLM_STUB_RESPONSE  fixed content for the stub provider
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT = 20000;
+const DEFAULT_MAX_TOKENS = 500;
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o-mini',
+  anthropic: 'claude-3-5-haiku-latest',
+  stub: 'stub'
+};
+
+const JSON_INSTRUCTION = 'Respond with a single valid JSON object and no other text.';
+
+// Thrown when every provider failed; `failures` says why each one did
+class LLMError extends Error {
+  constructor(message, failures) {
+    super(message);
+    this.name = 'LLMError';
+    this.failures = failures;
+  }
+}
+
+function describeError(error) {
+  if (error.code === 'ECONNABORTED' || /timeout/i.test(error.message)) return 'timeout';
+  if (error.response) return `HTTP ${error.response.status}`;
+  return error.message;
+}
+
+function createOpenAIProvider(config) {
+  return {
+    name: 'openai',
+    model: config.model || DEFAULT_MODELS.openai,
+    async complete(request) {
+      const response = await axios.post('https://api.openai.com/v1/chat/completions', {
+        model: this.model,
+        messages: request.messages,
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+        ...(request.json ? { response_format: { type: 'json_object' } } : {})
+      }, {
+        timeout: request.timeout,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${config.apiKey}`
+        }
+      });
+
+      const choice = response.data.choices && response.data.choices[0];
+      if (!choice || !choice.message || !choice.message.content) throw new Error('Empty response');
+      return choice.message.content;
+    }
+  };
+}
+
+// Anthropic takes the system prompt separately and has no JSON mode, so
+// JSON requests get an extra system instruction instead
+function createAnthropicProvider(config) {
+  return {
+    name: 'anthropic',
+    model: config.model || DEFAULT_MODELS.anthropic,
+    async complete(request) {
+      const system = request.messages.filter(m => m.role === 'system').map(m => m.content);
+      if (request.json) system.push(JSON_INSTRUCTION);
+
+      const response = await axios.post('https://api.anthropic.com/v1/messages', {
+        model: this.model,
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+        ...(system.length > 0 ? { system: system.join('\n\n') } : {}),
+        messages: request.messages.filter(m => m.role !== 'system')
+      }, {
+        timeout: request.timeout,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': config.apiKey,
+          'anthropic-version': '2023-06-01'
+        }
+      });
+
+      const text = (response.data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      if (!text) throw new Error('Empty response');
+      return text;
+    }
+  };
+}
+
+// Offline provider - the same request always gets the same reply. `respond`
+// (a function of the request) or `response` (LLM_STUB_RESPONSE) supplies
+// the content; otherwise it is a digest of the request.
+function createStubProvider(config = {}) {
+  return {
+    name: 'stub',
+    model: DEFAULT_MODELS.stub,
+    async complete(request) {
+      if (config.respond) return config.respond(request);
+      if (config.response !== undefined) return config.response;
+
+      const digest = crypto.createHash('sha1').update(JSON.stringify(request.messages)).digest('hex').slice(0, 12);
+      return request.json
+        ? JSON.stringify({ stub: true, digest })
+        : `Stub response ${digest}`;
+    }
+  };
+}
+
+// Providers from the environment, in fallback order
+function providersFromEnv(env = process.env) {
+  const names = env.LLM_PROVIDERS
+    ? env.LLM_PROVIDERS.split(',').map(n => n.trim().toLowerCase()).filter(Boolean)
+    : ['openai', 'anthropic'].filter(name => env[`${name.toUpperCase()}_API_KEY`]);
+
+  return names.map(name => {
+    switch (name) {
+      case 'openai':
+        return createOpenAIProvider({ apiKey: env.OPENAI_API_KEY, model: env.OPENAI_MODEL });
+      case 'anthropic':
+        return createAnthropicProvider({ apiKey: env.ANTHROPIC_API_KEY, model: env.ANTHROPIC_MODEL });
+      case 'stub':
+        return createStubProvider({ response: env.LLM_STUB_RESPONSE });
+      default:
+        throw new Error(`Unknown LLM provider "${name}"`);
+    }
+  });
+}
+
+function createLLMClient(options = {}) {
+  const providers = options.providers || providersFromEnv(options.env);
+  const env = options.env || process.env;
+  const defaultTimeout = Number(env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT;
+
+  async function complete(request) {
+    if (providers.length === 0) {
+      throw new LLMError('No LLM provider is configured', []);
+    }
+
+    const normalized = {
+      messages: request.messages,
+      json: Boolean(request.json),
+      maxTokens: request.maxTokens || DEFAULT_MAX_TOKENS,
+      temperature: request.temperature !== undefined ? request.temperature : 0.3,
+      timeout: request.timeout || defaultTimeout
+    };
+
+    const failures = [];
+    for (const provider of providers) {
+      try {
+        const content = await provider.complete(normalized);
+        return { content, provider: provider.name, model: provider.model, failures };
+      } catch (error) {
+        console.error(`LLM provider ${provider.name} failed:`, describeError(error));
+        failures.push({ provider: provider.name, error: describeError(error) });
+      }
+    }
+
+    throw new LLMError('All LLM providers failed', failures);
+  }
+
+  return {
+    complete,
+    providers: providers.map(p => ({ name: p.name, model: p.model }))
+  };
+}
+
+module.exports = {
+  LLMError,
+  createLLMClient,
+  createOpenAIProvider,
+  createAnthropicProvider,
+  createStubProvider,
+  providersFromEnv
+};
@@ -0,0 +1,275 @@
+// functions/lib/market-calendar.js - NYSE/NASDAQ trading calendar
+//
+// Holidays and early closes follow the NYSE rules; both exchanges share the
+// same schedule. All session times are exchange time (America/New_York),
+// whatever time zone the server runs in.
+
+const TIME_ZONE = 'America/New_York';
+
+// Session boundaries in exchange time, as minutes after midnight
+const SESSION = {
+  preMarketOpen: 4 * 60,
+  regularOpen: 9 * 60 + 30,
+  regularClose: 16 * 60,
+  earlyClose: 13 * 60,
+  afterHoursClose: 20 * 60,
+  earlyAfterHoursClose: 17 * 60
+};
+
+// Unscheduled closures that no rule can predict
+const SPECIAL_CLOSURES = {
+  '2018-12-05': 'National Day of Mourning for President George H.W. Bush',
+  '2025-01-09': 'National Day of Mourning for President Jimmy Carter'
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+const ymd = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+
+// Calendar arithmetic on YYYY-MM-DD strings, independent of the server zone
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function weekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+// nth (1-based) given weekday of a month; n = -1 for the last one
+function nthWeekday(year, month, dow, n) {
+  if (n > 0) {
+    const first = weekday(ymd(year, month, 1));
+    return ymd(year, month, 1 + ((dow - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const last = weekday(ymd(year, month, lastDay));
+  return ymd(year, month, lastDay - ((last - dow + 7) % 7));
+}
+
+// Anonymous Gregorian algorithm
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return ymd(year, month, day);
+}
+
+// Saturday holidays move to Friday, Sunday holidays to Monday
+function observed(date) {
+  const dow = weekday(date);
+  if (dow === 6) return addDays(date, -1);
+  if (dow === 0) return addDays(date, 1);
+  return date;
+}
+
+// Full-day closures for a year, keyed by date
+function holidaysFor(year) {
+  const holidays = {};
+
+  // New Year's Day on a Saturday is not observed on the Friday before
+  const newYear = ymd(year, 1, 1);
+  if (weekday(newYear) !== 6) holidays[observed(newYear)] = "New Year's Day";
+
+  holidays[nthWeekday(year, 1, 1, 3)] = 'Martin Luther King Jr. Day';
+  holidays[nthWeekday(year, 2, 1, 3)] = "Washington's Birthday";
+  holidays[addDays(easterSunday(year), -2)] = 'Good Friday';
+  holidays[nthWeekday(year, 5, 1, -1)] = 'Memorial Day';
+  if (year >= 2022) holidays[observed(ymd(year, 6, 19))] = 'Juneteenth National Independence Day';
+  holidays[observed(ymd(year, 7, 4))] = 'Independence Day';
+  holidays[nthWeekday(year, 9, 1, 1)] = 'Labor Day';
+  holidays[nthWeekday(year, 11, 4, 4)] = 'Thanksgiving Day';
+  holidays[observed(ymd(year, 12, 25))] = 'Christmas Day';
+
+  Object.keys(SPECIAL_CLOSURES)
+    .filter(date => date.startsWith(`${year}-`))
+    .forEach(date => {
+      holidays[date] = SPECIAL_CLOSURES[date];
+    });
+
+  return holidays;
+}
+
+// 1:00 PM closes, keyed by date
+function earlyClosesFor(year) {
+  const closes = {};
+
+  // July 3rd, when it is a Monday-Thursday
+  const july3 = ymd(year, 7, 3);
+  if (weekday(july3) >= 1 && weekday(july3) <= 4) closes[july3] = 'Independence Day Eve';
+
+  closes[addDays(nthWeekday(year, 11, 4, 4), 1)] = 'Day after Thanksgiving';
+
+  // Christmas Eve, when it is a Monday-Thursday
+  const christmasEve = ymd(year, 12, 24);
+  if (weekday(christmasEve) >= 1 && weekday(christmasEve) <= 4) closes[christmasEve] = 'Christmas Eve';
+
+  return closes;
+}
+
+const yearCache = {};
+function calendarFor(year) {
+  if (!yearCache[year]) {
+    yearCache[year] = { holidays: holidaysFor(year), earlyCloses: earlyClosesFor(year) };
+  }
+  return yearCache[year];
+}
+
+// Exchange-local date and minutes after midnight for an instant
+function exchangeTime(instant = new Date()) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: TIME_ZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    time: `${parts.hour}:${parts.minute}:${parts.second}`
+  };
+}
+
+// UTC instant for an exchange-local date and minutes after midnight
+function exchangeInstant(date, minutes) {
+  const guess = new Date(`${date}T${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}:00Z`);
+  // Shift by the zone offset at that moment; a second pass settles DST edges
+  let instant = guess;
+  for (let i = 0; i < 2; i++) {
+    const local = exchangeTime(instant);
+    const drift = (Date.parse(`${local.date}T00:00:00Z`) - Date.parse(`${date}T00:00:00Z`)) / 60000 +
+      local.minutes - minutes;
+    instant = new Date(instant.getTime() - drift * 60000);
+  }
+  return instant;
+}
+
+function holidayName(date) {
+  return calendarFor(Number(date.slice(0, 4))).holidays[date] || null;
+}
+
+function earlyCloseName(date) {
+  return calendarFor(Number(date.slice(0, 4))).earlyCloses[date] || null;
+}
+
+function isTradingDay(date) {
+  const dow = weekday(date);
+  return dow !== 0 && dow !== 6 && !holidayName(date);
+}
+
+// Session boundaries (minutes after midnight) for a trading day, or null
+function sessionTimes(date) {
+  if (!isTradingDay(date)) return null;
+  const early = Boolean(earlyCloseName(date));
+  return {
+    preMarketOpen: SESSION.preMarketOpen,
+    regularOpen: SESSION.regularOpen,
+    regularClose: early ? SESSION.earlyClose : SESSION.regularClose,
+    afterHoursClose: early ? SESSION.earlyAfterHoursClose : SESSION.afterHoursClose,
+    earlyClose: early
+  };
+}
+
+function nextTradingDay(date) {
+  let next = addDays(date, 1);
+  while (!isTradingDay(next)) next = addDays(next, 1);
+  return next;
+}
+
+// Why the exchange is shut for the whole of `date`
+function closedReason(date) {
+  const holiday = holidayName(date);
+  if (holiday) return holiday;
+  const dow = weekday(date);
+  return dow === 0 || dow === 6 ? 'Weekend' : null;
+}
+
+// Full market status at an instant: session, next open/close and, when
+// closed, the reason
+function getMarketStatus(instant = new Date()) {
+  const local = exchangeTime(instant);
+  const times = sessionTimes(local.date);
+
+  let session = 'closed';
+  let reason = closedReason(local.date);
+
+  if (times) {
+    if (local.minutes >= times.preMarketOpen && local.minutes < times.regularOpen) {
+      session = 'pre-market';
+    } else if (local.minutes >= times.regularOpen && local.minutes < times.regularClose) {
+      session = 'regular';
+    } else if (local.minutes >= times.regularClose && local.minutes < times.afterHoursClose) {
+      session = 'after-hours';
+    }
+
+    if (session !== 'regular') {
+      if (local.minutes < times.regularOpen) {
+        reason = 'Before the opening bell';
+      } else {
+        reason = times.earlyClose
+          ? `Early close (${earlyCloseName(local.date)})`
+          : 'After the closing bell';
+      }
+    }
+  }
+
+  // Next regular open: today if it hasn't opened yet, else the next trading day
+  const openDate = times && local.minutes < times.regularOpen ? local.date : nextTradingDay(local.date);
+  const nextOpen = exchangeInstant(openDate, SESSION.regularOpen);
+
+  // Next regular close: today's if the session is still running, else the next session's
+  const closeDate = times && local.minutes < times.regularClose ? local.date : openDate;
+  const nextClose = exchangeInstant(closeDate, sessionTimes(closeDate).regularClose);
+
+  return {
+    timezone: TIME_ZONE,
+    exchangeTime: `${local.date}T${local.time}`,
+    tradingDay: Boolean(times),
+    session,
+    isOpen: session === 'regular',
+    isEarlyClose: Boolean(times && times.earlyClose),
+    reason: session === 'regular' ? null : reason,
+    holiday: holidayName(local.date),
+    nextOpen: nextOpen.toISOString(),
+    nextClose: nextClose.toISOString()
+  };
+}
+
+// Whether the regular session is open at an instant
+function isMarketOpen(instant = new Date()) {
+  return getMarketStatus(instant).isOpen;
+}
+
+module.exports = {
+  TIME_ZONE,
+  getMarketStatus,
+  isMarketOpen,
+  exchangeTime,
+  exchangeInstant,
+  isTradingDay,
+  sessionTimes,
+  nextTradingDay,
+  holidayName,
+  earlyCloseName,
+  holidaysFor,
+  earlyClosesFor
+};
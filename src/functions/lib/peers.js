@@ -0,0 +1,81 @@
+// functions/lib/peers.js - Rank a company's risk metrics within its peer group
+//
+// Each metric is turned into a risk percentile: the share of peers the
+// company is riskier than on that metric (0 = safest in the group, 100 =
+// riskiest). Ties count as half.
+
+// `higherIsRiskier` says which way a metric points
+const PEER_METRICS = [
+  { name: 'debtToEquity', label: 'debt-to-equity', higherIsRiskier: true },
+  { name: 'netProfitMargin', label: 'net margin', higherIsRiskier: false },
+  { name: 'currentRatio', label: 'current ratio', higherIsRiskier: false },
+  { name: 'volatility', label: 'volatility', higherIsRiskier: true }
+];
+
+// A group needs at least this many peers with a value to rank a metric
+const MIN_PEERS = 3;
+
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Share of `values` that `value` is riskier than, 0-100
+function riskPercentile(value, values, higherIsRiskier) {
+  let below = 0;
+  let equal = 0;
+  values.forEach(v => {
+    if (v === value) equal++;
+    else if (higherIsRiskier ? v < value : v > value) below++;
+  });
+  return (below + equal / 2) / values.length * 100;
+}
+
+// `company` and each entry of `peers` are { symbol, debtToEquity,
+// netProfitMargin, currentRatio, volatility }. Resolves to the per-metric
+// ranks and their mean as `score`, or score null when nothing could be ranked.
+function rankAgainstPeers(company, peers) {
+  const metrics = {};
+  const ranked = [];
+
+  PEER_METRICS.forEach(def => {
+    const value = company[def.name];
+    const values = peers.map(p => p[def.name]).filter(isNumber);
+
+    if (!isNumber(value) || values.length < MIN_PEERS) {
+      metrics[def.name] = { value: isNumber(value) ? value : null, peerMedian: null, riskPercentile: null, peerCount: values.length };
+      return;
+    }
+
+    const percentile = Math.round(riskPercentile(value, values, def.higherIsRiskier));
+    metrics[def.name] = {
+      value: Math.round(value * 10000) / 10000,
+      peerMedian: Math.round(median(values) * 10000) / 10000,
+      riskPercentile: percentile,
+      peerCount: values.length
+    };
+    ranked.push({ ...def, percentile });
+  });
+
+  const score = ranked.length > 0
+    ? Math.round(ranked.reduce((sum, m) => sum + m.percentile, 0) / ranked.length)
+    : null;
+
+  // The metric that stands out most, for the description
+  const standout = ranked.reduce((worst, m) =>
+    !worst || Math.abs(m.percentile - 50) > Math.abs(worst.percentile - 50) ? m : worst, null);
+
+  return { score, metrics, standout };
+}
+
+module.exports = {
+  PEER_METRICS,
+  MIN_PEERS,
+  riskPercentile,
+  rankAgainstPeers
+};
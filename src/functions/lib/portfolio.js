@@ -0,0 +1,233 @@
+// functions/lib/portfolio.js - Portfolio-level risk from per-holding data
+//
+// Holdings are { symbol, weight, beta, sector, industry, bars } with weights
+// summing to 1 and bars as FMP daily bars (newest first). Volatility comes
+// from the sample covariance of daily returns over the dates every holding
+// traded, annualised with 252 trading days.
+
+const { alignCloses } = require('./comparison');
+const { TRADING_DAYS } = require('./risk-metrics');
+
+// Trailing daily returns used for the covariance matrix
+const RETURN_WINDOW = TRADING_DAYS;
+
+// Fewer shared daily returns than this and volatility is not reported
+const MIN_OBSERVATIONS = 60;
+
+// Concentration warning thresholds, as portfolio weights
+const SINGLE_NAME_LIMIT = 0.2;
+const SECTOR_LIMIT = 0.4;
+const INDUSTRY_LIMIT = 0.3;
+
+function round(value, places = 4) {
+  if (value === null || value === undefined || !isFinite(value)) return null;
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function percent(weight) {
+  return `${(weight * 100).toFixed(0)}%`;
+}
+
+// Weights from share counts (at the given prices) or from raw weights, which
+// may be fractions or percentages. Either way they are scaled to sum to 1.
+function resolveWeights(holdings, prices) {
+  const values = holdings.map(h => h.shares !== undefined ? h.shares * prices[h.symbol] : h.weight);
+  const total = values.reduce((sum, v) => sum + v, 0);
+  const weights = {};
+  holdings.forEach((h, i) => {
+    weights[h.symbol] = values[i] / total;
+  });
+  return { weights, total };
+}
+
+// Sample covariance matrix of daily returns, rows and columns in `symbols` order
+function covarianceMatrix(returns, symbols) {
+  const means = symbols.map(symbol => mean(returns[symbol]));
+  const n = returns[symbols[0]].length;
+
+  return symbols.map((a, i) => symbols.map((b, j) => {
+    let sum = 0;
+    for (let t = 0; t < n; t++) {
+      sum += (returns[a][t] - means[i]) * (returns[b][t] - means[j]);
+    }
+    return sum / (n - 1);
+  }));
+}
+
+function correlationMatrix(covariance) {
+  return covariance.map((row, i) => row.map((value, j) => {
+    const denominator = Math.sqrt(covariance[i][i] * covariance[j][j]);
+    return denominator > 0 ? value / denominator : null;
+  }));
+}
+
+// Portfolio volatility and each holding's share of it. The marginal
+// contribution is d(sigma)/d(w_i) = (Sigma w)_i / sigma; weighted by w_i the
+// contributions add up to sigma.
+function riskContributions(weights, covariance) {
+  const sigmaW = covariance.map(row => row.reduce((sum, value, j) => sum + value * weights[j], 0));
+  const variance = weights.reduce((sum, w, i) => sum + w * sigmaW[i], 0);
+  const volatility = Math.sqrt(variance);
+
+  return {
+    volatility,
+    contributions: weights.map((w, i) => {
+      const marginal = volatility > 0 ? sigmaW[i] / volatility : 0;
+      return {
+        marginal,
+        contribution: w * marginal,
+        percentOfRisk: volatility > 0 ? w * marginal / volatility : 0
+      };
+    })
+  };
+}
+
+// Covariance-based risk over the trailing window. Returns null when the
+// holdings share too few trading days.
+function historicalRisk(holdings) {
+  const symbols = holdings.map(h => h.symbol);
+  const series = {};
+  holdings.forEach(h => {
+    series[h.symbol] = h.bars;
+  });
+
+  const aligned = alignCloses(series);
+  const dates = aligned.dates.slice(-(RETURN_WINDOW + 1));
+  if (dates.length - 1 < MIN_OBSERVATIONS) return null;
+
+  const returns = {};
+  symbols.forEach(symbol => {
+    const closes = aligned.closes[symbol].slice(-(RETURN_WINDOW + 1));
+    returns[symbol] = closes.slice(1).map((close, i) => close / closes[i] - 1);
+  });
+
+  const daily = covarianceMatrix(returns, symbols);
+  const annualized = daily.map(row => row.map(value => value * TRADING_DAYS));
+  const correlation = correlationMatrix(daily);
+  const risk = riskContributions(holdings.map(h => h.weight), annualized);
+
+  return {
+    startDate: dates[0],
+    endDate: dates[dates.length - 1],
+    observations: dates.length - 1,
+    volatility: risk.volatility,
+    volatilities: symbols.map((symbol, i) => Math.sqrt(annualized[i][i])),
+    covariance: annualized,
+    correlation,
+    contributions: risk.contributions
+  };
+}
+
+// Weight per group (sector or industry), largest first
+function groupWeights(holdings, key) {
+  const groups = {};
+  holdings.forEach(h => {
+    const name = h[key] || 'Unknown';
+    groups[name] = (groups[name] || 0) + h.weight;
+  });
+  return Object.keys(groups)
+    .map(name => ({ name, weight: round(groups[name]) }))
+    .sort((a, b) => b.weight - a.weight);
+}
+
+function concentration(holdings) {
+  const hhi = holdings.reduce((sum, h) => sum + h.weight * h.weight, 0);
+  const sectors = groupWeights(holdings, 'sector');
+  const industries = groupWeights(holdings, 'industry');
+  const warnings = [];
+
+  holdings
+    .filter(h => h.weight > SINGLE_NAME_LIMIT)
+    .sort((a, b) => b.weight - a.weight)
+    .forEach(h => {
+      warnings.push({
+        type: 'single-name',
+        symbol: h.symbol,
+        weight: round(h.weight),
+        message: `${h.symbol} is ${percent(h.weight)} of the portfolio (limit ${percent(SINGLE_NAME_LIMIT)})`
+      });
+    });
+  sectors.filter(s => s.name !== 'Unknown' && s.weight > SECTOR_LIMIT).forEach(s => {
+    warnings.push({
+      type: 'sector',
+      name: s.name,
+      weight: s.weight,
+      message: `${s.name} is ${percent(s.weight)} of the portfolio (limit ${percent(SECTOR_LIMIT)})`
+    });
+  });
+  industries.filter(s => s.name !== 'Unknown' && s.weight > INDUSTRY_LIMIT).forEach(s => {
+    warnings.push({
+      type: 'industry',
+      name: s.name,
+      weight: s.weight,
+      message: `${s.name} is ${percent(s.weight)} of the portfolio (limit ${percent(INDUSTRY_LIMIT)})`
+    });
+  });
+
+  return {
+    herfindahl: round(hhi),
+    effectiveHoldings: round(1 / hhi, 2),
+    largestHolding: round(Math.max(...holdings.map(h => h.weight))),
+    sectors,
+    industries,
+    warnings
+  };
+}
+
+// Weighted beta over the holdings that have one. `coverage` is the share of
+// the portfolio the figure is based on.
+function portfolioBeta(holdings) {
+  const covered = holdings.filter(h => typeof h.beta === 'number' && isFinite(h.beta));
+  const coverage = covered.reduce((sum, h) => sum + h.weight, 0);
+  if (coverage === 0) return { beta: null, coverage: 0 };
+
+  return {
+    beta: round(covered.reduce((sum, h) => sum + h.weight * h.beta, 0) / coverage, 3),
+    coverage: round(coverage)
+  };
+}
+
+function analyzePortfolio(holdings) {
+  const beta = portfolioBeta(holdings);
+  const withBars = holdings.filter(h => h.bars && h.bars.length > 0);
+  const risk = withBars.length === holdings.length ? historicalRisk(holdings) : null;
+  const symbols = holdings.map(h => h.symbol);
+
+  return {
+    beta: beta.beta,
+    betaCoverage: beta.coverage,
+    volatility: risk ? round(risk.volatility) : null,
+    startDate: risk ? risk.startDate : null,
+    endDate: risk ? risk.endDate : null,
+    observations: risk ? risk.observations : 0,
+    correlation: risk
+      ? { symbols, matrix: risk.correlation.map(row => row.map(value => round(value))) }
+      : null,
+    contributions: holdings.map((h, i) => ({
+      symbol: h.symbol,
+      weight: round(h.weight),
+      volatility: risk ? round(risk.volatilities[i]) : null,
+      marginalContribution: risk ? round(risk.contributions[i].marginal) : null,
+      riskContribution: risk ? round(risk.contributions[i].contribution) : null,
+      percentOfRisk: risk ? round(risk.contributions[i].percentOfRisk) : null
+    })),
+    concentration: concentration(holdings)
+  };
+}
+
+module.exports = {
+  RETURN_WINDOW,
+  SINGLE_NAME_LIMIT,
+  SECTOR_LIMIT,
+  INDUSTRY_LIMIT,
+  resolveWeights,
+  covarianceMatrix,
+  correlationMatrix,
+  riskContributions,
+  analyzePortfolio
+};
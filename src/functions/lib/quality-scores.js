@@ -0,0 +1,251 @@
+// functions/lib/quality-scores.js - Altman Z, Piotroski F and Beneish M scores
+//
+// Computed from FMP annual statements (newest first). Each score resolves
+// to { score, zone, components, inputs } or, when inputs are missing,
+// { score: null, zone: 'unavailable', missing, note }.
+
+const ALTMAN_ZONES = { safe: 2.99, distress: 1.81 };
+const PIOTROSKI_ZONES = { strong: 7, weak: 3 };
+const BENEISH_ZONES = { likely: -1.78, unlikely: -2.22 };
+
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+function round(value, places = 4) {
+  if (!isNumber(value)) return null;
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// Read named fields from statements, recording any that are absent.
+// `spec` maps input names to [statements, index, field, label].
+function collect(spec) {
+  const inputs = {};
+  const missing = [];
+  Object.keys(spec).forEach(name => {
+    const [statements, index, field, label] = spec[name];
+    const value = statements && statements[index] ? statements[index][field] : undefined;
+    if (isNumber(value)) {
+      inputs[name] = value;
+    } else {
+      missing.push(label);
+    }
+  });
+  return { inputs, missing };
+}
+
+function unavailable(missing, note) {
+  return { score: null, zone: 'unavailable', missing, note };
+}
+
+// Altman Z (original public-company model):
+// 1.2 WC/TA + 1.4 RE/TA + 3.3 EBIT/TA + 0.6 MVE/TL + 1.0 Sales/TA
+function altmanZ(income, balance, marketCap) {
+  const { inputs, missing } = collect({
+    currentAssets: [balance, 0, 'totalCurrentAssets', 'total current assets'],
+    currentLiabilities: [balance, 0, 'totalCurrentLiabilities', 'total current liabilities'],
+    totalAssets: [balance, 0, 'totalAssets', 'total assets'],
+    totalLiabilities: [balance, 0, 'totalLiabilities', 'total liabilities'],
+    retainedEarnings: [balance, 0, 'retainedEarnings', 'retained earnings'],
+    ebit: [income, 0, 'operatingIncome', 'operating income (EBIT)'],
+    sales: [income, 0, 'revenue', 'revenue']
+  });
+  if (isNumber(marketCap)) inputs.marketCap = marketCap; else missing.push('market capitalization');
+
+  if (missing.length > 0) {
+    return unavailable(missing, 'Altman Z needs the latest balance sheet, income statement and market cap');
+  }
+  if (inputs.totalAssets <= 0 || inputs.totalLiabilities <= 0) {
+    return unavailable([], 'Altman Z is undefined without positive total assets and liabilities');
+  }
+
+  const ta = inputs.totalAssets;
+  const components = {
+    workingCapitalToAssets: (inputs.currentAssets - inputs.currentLiabilities) / ta,
+    retainedEarningsToAssets: inputs.retainedEarnings / ta,
+    ebitToAssets: inputs.ebit / ta,
+    marketValueToLiabilities: inputs.marketCap / inputs.totalLiabilities,
+    salesToAssets: inputs.sales / ta
+  };
+  const score = 1.2 * components.workingCapitalToAssets +
+    1.4 * components.retainedEarningsToAssets +
+    3.3 * components.ebitToAssets +
+    0.6 * components.marketValueToLiabilities +
+    1.0 * components.salesToAssets;
+
+  let zone = 'grey';
+  if (score > ALTMAN_ZONES.safe) zone = 'safe';
+  else if (score < ALTMAN_ZONES.distress) zone = 'distress';
+
+  Object.keys(components).forEach(key => {
+    components[key] = round(components[key]);
+  });
+  return { score: round(score, 2), zone, components, inputs };
+}
+
+// Piotroski F - nine pass/fail tests on profitability, leverage/liquidity
+// and efficiency. Asset-scaled ratios use beginning-of-year assets, so the
+// prior year needs the balance sheet before it.
+function piotroskiF(income, balance, cashFlow) {
+  const { inputs, missing } = collect({
+    netIncome: [income, 0, 'netIncome', 'net income'],
+    priorNetIncome: [income, 1, 'netIncome', 'prior-year net income'],
+    revenue: [income, 0, 'revenue', 'revenue'],
+    priorRevenue: [income, 1, 'revenue', 'prior-year revenue'],
+    grossProfit: [income, 0, 'grossProfit', 'gross profit'],
+    priorGrossProfit: [income, 1, 'grossProfit', 'prior-year gross profit'],
+    shares: [income, 0, 'weightedAverageShsOut', 'shares outstanding'],
+    priorShares: [income, 1, 'weightedAverageShsOut', 'prior-year shares outstanding'],
+    operatingCashFlow: [cashFlow, 0, 'operatingCashFlow', 'operating cash flow'],
+    totalAssets: [balance, 0, 'totalAssets', 'total assets'],
+    priorTotalAssets: [balance, 1, 'totalAssets', 'prior-year total assets'],
+    earlierTotalAssets: [balance, 2, 'totalAssets', 'total assets two years back'],
+    longTermDebt: [balance, 0, 'longTermDebt', 'long-term debt'],
+    priorLongTermDebt: [balance, 1, 'longTermDebt', 'prior-year long-term debt'],
+    currentAssets: [balance, 0, 'totalCurrentAssets', 'total current assets'],
+    priorCurrentAssets: [balance, 1, 'totalCurrentAssets', 'prior-year current assets'],
+    currentLiabilities: [balance, 0, 'totalCurrentLiabilities', 'total current liabilities'],
+    priorCurrentLiabilities: [balance, 1, 'totalCurrentLiabilities', 'prior-year current liabilities']
+  });
+
+  if (missing.length > 0) {
+    return unavailable(missing, 'Piotroski F needs two years of statements and three balance sheets');
+  }
+
+  const i = inputs;
+  const roa = i.netIncome / i.priorTotalAssets;
+  const priorRoa = i.priorNetIncome / i.earlierTotalAssets;
+  const leverage = i.longTermDebt / ((i.totalAssets + i.priorTotalAssets) / 2);
+  const priorLeverage = i.priorLongTermDebt / ((i.priorTotalAssets + i.earlierTotalAssets) / 2);
+
+  const components = {
+    positiveRoa: roa > 0,
+    positiveOperatingCashFlow: i.operatingCashFlow > 0,
+    improvingRoa: roa > priorRoa,
+    cashFlowAboveNetIncome: i.operatingCashFlow > i.netIncome,
+    lowerLeverage: leverage < priorLeverage,
+    higherCurrentRatio: i.currentAssets / i.currentLiabilities > i.priorCurrentAssets / i.priorCurrentLiabilities,
+    noDilution: i.shares <= i.priorShares,
+    higherGrossMargin: i.grossProfit / i.revenue > i.priorGrossProfit / i.priorRevenue,
+    higherAssetTurnover: i.revenue / i.priorTotalAssets > i.priorRevenue / i.earlierTotalAssets
+  };
+  const score = Object.values(components).filter(Boolean).length;
+
+  let zone = 'moderate';
+  if (score >= PIOTROSKI_ZONES.strong) zone = 'strong';
+  else if (score <= PIOTROSKI_ZONES.weak) zone = 'weak';
+
+  return { score, zone, components, inputs };
+}
+
+// Beneish M (eight-variable model) - likelihood of earnings manipulation
+function beneishM(income, balance, cashFlow) {
+  const { inputs, missing } = collect({
+    receivables: [balance, 0, 'netReceivables', 'receivables'],
+    priorReceivables: [balance, 1, 'netReceivables', 'prior-year receivables'],
+    sales: [income, 0, 'revenue', 'revenue'],
+    priorSales: [income, 1, 'revenue', 'prior-year revenue'],
+    costOfRevenue: [income, 0, 'costOfRevenue', 'cost of revenue'],
+    priorCostOfRevenue: [income, 1, 'costOfRevenue', 'prior-year cost of revenue'],
+    sga: [income, 0, 'sellingGeneralAndAdministrativeExpenses', 'SG&A'],
+    priorSga: [income, 1, 'sellingGeneralAndAdministrativeExpenses', 'prior-year SG&A'],
+    depreciation: [cashFlow, 0, 'depreciationAndAmortization', 'depreciation'],
+    priorDepreciation: [cashFlow, 1, 'depreciationAndAmortization', 'prior-year depreciation'],
+    netIncome: [income, 0, 'netIncome', 'net income'],
+    operatingCashFlow: [cashFlow, 0, 'operatingCashFlow', 'operating cash flow'],
+    currentAssets: [balance, 0, 'totalCurrentAssets', 'total current assets'],
+    priorCurrentAssets: [balance, 1, 'totalCurrentAssets', 'prior-year current assets'],
+    ppe: [balance, 0, 'propertyPlantEquipmentNet', 'net PP&E'],
+    priorPpe: [balance, 1, 'propertyPlantEquipmentNet', 'prior-year net PP&E'],
+    securities: [balance, 0, 'longTermInvestments', 'long-term investments'],
+    priorSecurities: [balance, 1, 'longTermInvestments', 'prior-year long-term investments'],
+    totalAssets: [balance, 0, 'totalAssets', 'total assets'],
+    priorTotalAssets: [balance, 1, 'totalAssets', 'prior-year total assets'],
+    currentLiabilities: [balance, 0, 'totalCurrentLiabilities', 'total current liabilities'],
+    priorCurrentLiabilities: [balance, 1, 'totalCurrentLiabilities', 'prior-year current liabilities'],
+    longTermDebt: [balance, 0, 'longTermDebt', 'long-term debt'],
+    priorLongTermDebt: [balance, 1, 'longTermDebt', 'prior-year long-term debt']
+  });
+
+  if (missing.length > 0) {
+    return unavailable(missing, 'Beneish M needs two years of income, balance sheet and cash flow statements');
+  }
+
+  const i = inputs;
+  const grossMargin = (i.sales - i.costOfRevenue) / i.sales;
+  const priorGrossMargin = (i.priorSales - i.priorCostOfRevenue) / i.priorSales;
+  const assetQuality = 1 - (i.currentAssets + i.ppe + i.securities) / i.totalAssets;
+  const priorAssetQuality = 1 - (i.priorCurrentAssets + i.priorPpe + i.priorSecurities) / i.priorTotalAssets;
+  const depreciationRate = i.depreciation / (i.depreciation + i.ppe);
+  const priorDepreciationRate = i.priorDepreciation / (i.priorDepreciation + i.priorPpe);
+
+  const components = {
+    dsri: (i.receivables / i.sales) / (i.priorReceivables / i.priorSales),
+    gmi: priorGrossMargin / grossMargin,
+    aqi: assetQuality / priorAssetQuality,
+    sgi: i.sales / i.priorSales,
+    depi: priorDepreciationRate / depreciationRate,
+    sgai: (i.sga / i.sales) / (i.priorSga / i.priorSales),
+    lvgi: ((i.currentLiabilities + i.longTermDebt) / i.totalAssets) /
+      ((i.priorCurrentLiabilities + i.priorLongTermDebt) / i.priorTotalAssets),
+    tata: (i.netIncome - i.operatingCashFlow) / i.totalAssets
+  };
+
+  const invalid = Object.keys(components).filter(key => !isNumber(components[key]));
+  if (invalid.length > 0) {
+    return unavailable([], `Beneish M is undefined here: ${invalid.join(', ').toUpperCase()} divides by zero`);
+  }
+
+  const c = components;
+  const score = -4.84 + 0.92 * c.dsri + 0.528 * c.gmi + 0.404 * c.aqi + 0.892 * c.sgi +
+    0.115 * c.depi - 0.172 * c.sgai + 4.679 * c.tata - 0.327 * c.lvgi;
+
+  let zone = 'grey';
+  if (score > BENEISH_ZONES.likely) zone = 'likely-manipulator';
+  else if (score < BENEISH_ZONES.unlikely) zone = 'unlikely-manipulator';
+
+  Object.keys(components).forEach(key => {
+    components[key] = round(components[key]);
+  });
+  return { score: round(score, 2), zone, components, inputs };
+}
+
+// Each available score mapped onto 0-100 risk (higher = riskier)
+function qualityRisk(scores) {
+  const risks = {};
+  if (isNumber(scores.altmanZ.score)) {
+    // 3.5+ is comfortably safe, 1.0 deep in distress
+    risks.altmanZ = Math.max(0, Math.min(100, (3.5 - scores.altmanZ.score) / 2.5 * 100));
+  }
+  if (isNumber(scores.piotroskiF.score)) {
+    risks.piotroskiF = (9 - scores.piotroskiF.score) / 9 * 100;
+  }
+  if (isNumber(scores.beneishM.score)) {
+    // -3 looks clean, -1 looks like the manipulators in Beneish's sample
+    risks.beneishM = Math.max(0, Math.min(100, (scores.beneishM.score + 3) / 2 * 100));
+  }
+
+  const values = Object.values(risks);
+  return {
+    risks,
+    score: values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null
+  };
+}
+
+// All three scores from { income, balance, cashFlow, marketCap }
+function computeQualityScores(data) {
+  return {
+    altmanZ: altmanZ(data.income, data.balance, data.marketCap),
+    piotroskiF: piotroskiF(data.income, data.balance, data.cashFlow),
+    beneishM: beneishM(data.income, data.balance, data.cashFlow)
+  };
+}
+
+module.exports = {
+  altmanZ,
+  piotroskiF,
+  beneishM,
+  computeQualityScores,
+  qualityRisk
+};
@@ -0,0 +1,145 @@
+// functions/lib/quote-stream.js - Shared quote pollers for streaming clients
+//
+// Subscribers asking for the same symbol set share one poller, so upstream
+// sees one request per set per interval however many dashboards are open.
+// Listeners get { type, data } messages:
+//   snapshot      - full quotes, keyed by symbol (first poll or on subscribe)
+//   quote         - only the fields that changed since the last poll
+//   error         - a poll failed; polling carries on
+//   heartbeat     - sent to each listener every `heartbeatInterval` ms so
+//                   idle connections stay open
+//   market-closed - the regular session has ended; the poller has stopped
+
+const { getMarketStatus } = require('./market-calendar');
+
+// Fields that change on every poll without the quote itself changing
+const IGNORED_FIELDS = ['timestamp'];
+
+// Fields of `next` that differ from `prev`, or null when nothing did
+function changedFields(prev, next) {
+  if (!prev) return { ...next };
+
+  const changes = {};
+  Object.keys(next).forEach(field => {
+    if (!IGNORED_FIELDS.includes(field) && prev[field] !== next[field]) changes[field] = next[field];
+  });
+  if (Object.keys(changes).length === 0) return null;
+
+  IGNORED_FIELDS.forEach(field => {
+    if (next[field] !== undefined) changes[field] = next[field];
+  });
+  return changes;
+}
+
+// `fetchQuotes(symbols)` resolves to quotes keyed by symbol. `marketStatus`,
+// `now` and the timer functions are swappable so the hub runs without a clock.
+function createQuoteHub(options) {
+  const fetchQuotes = options.fetchQuotes;
+  const pollInterval = options.pollInterval || 5000;
+  const heartbeatInterval = options.heartbeatInterval || 0; // 0 sends none
+  const marketStatus = options.marketStatus || getMarketStatus;
+  const now = options.now || (() => new Date());
+  const setTimer = options.setInterval || setInterval;
+  const clearTimer = options.clearInterval || clearInterval;
+
+  const pollers = new Map();
+
+  function send(listener, message) {
+    try {
+      listener(message);
+    } catch (error) {
+      console.error('Quote stream listener failed:', error.message);
+    }
+  }
+
+  function emit(poller, message) {
+    poller.listeners.forEach((heartbeat, listener) => send(listener, message));
+  }
+
+  function removeListener(poller, listener) {
+    if (!poller.listeners.has(listener)) return;
+    clearTimer(poller.listeners.get(listener));
+    poller.listeners.delete(listener);
+  }
+
+  function addListener(poller, listener) {
+    const heartbeat = heartbeatInterval
+      ? setTimer(() => send(listener, { type: 'heartbeat', data: { time: now().toISOString() } }), heartbeatInterval)
+      : null;
+    poller.listeners.set(listener, heartbeat);
+  }
+
+  function stop(poller) {
+    clearTimer(poller.timer);
+    pollers.delete(poller.key);
+  }
+
+  async function poll(poller) {
+    if (poller.polling) return; // Previous poll still running
+    poller.polling = true;
+
+    try {
+      const status = marketStatus();
+      if (!status.isOpen) {
+        stop(poller);
+        emit(poller, { type: 'market-closed', data: status });
+        [...poller.listeners.keys()].forEach(listener => removeListener(poller, listener));
+        return;
+      }
+
+      const quotes = await fetchQuotes(poller.symbols);
+      const first = !poller.snapshot;
+      const changes = {};
+
+      Object.keys(quotes).forEach(symbol => {
+        const diff = changedFields(poller.snapshot && poller.snapshot[symbol], quotes[symbol]);
+        if (diff) changes[symbol] = diff;
+      });
+      poller.snapshot = { ...poller.snapshot, ...quotes };
+
+      if (first) {
+        emit(poller, { type: 'snapshot', data: poller.snapshot });
+      } else if (Object.keys(changes).length > 0) {
+        emit(poller, { type: 'quote', data: changes });
+      }
+    } catch (error) {
+      console.error(`Quote poll failed for ${poller.key}:`, error.message);
+      emit(poller, { type: 'error', data: { message: 'Upstream request failed' } });
+    } finally {
+      poller.polling = false;
+    }
+  }
+
+  // Returns the listener's unsubscribe function
+  function subscribe(symbols, listener) {
+    const key = [...new Set(symbols)].sort().join(',');
+    let poller = pollers.get(key);
+
+    if (!poller) {
+      // Listeners map to their heartbeat timers
+      poller = { key, symbols: key.split(','), listeners: new Map(), snapshot: null, polling: false };
+      pollers.set(key, poller);
+      addListener(poller, listener);
+      poller.timer = setTimer(() => poll(poller), pollInterval);
+      poll(poller);
+    } else {
+      if (poller.snapshot) send(listener, { type: 'snapshot', data: poller.snapshot });
+      addListener(poller, listener);
+    }
+
+    return () => {
+      removeListener(poller, listener);
+      if (poller.listeners.size === 0 && pollers.get(key) === poller) stop(poller);
+    };
+  }
+
+  return {
+    subscribe,
+    pollerCount: () => pollers.size
+  };
+}
+
+module.exports = {
+  createQuoteHub,
+  changedFields
+};
@@ -0,0 +1,246 @@
+// functions/lib/rating.js - Deterministic, explainable stock rating model
+//
+// Scores four factors from FMP data on a 0-100 scale (50 = neutral, higher =
+// more attractive) and blends them into one rating. The same inputs always
+// produce the same rating, target price and confidence.
+
+const MODEL_VERSION = '1.0.0';
+
+// Factor weights - renormalised over the factors that have data
+const WEIGHTS = {
+  valuation: 0.3,
+  momentum: 0.25,
+  quality: 0.25,
+  analyst: 0.2
+};
+
+// Composite score bands, checked top down
+const RATINGS = [
+  { min: 70, rating: 'Strong Buy' },
+  { min: 58, rating: 'Buy' },
+  { min: 43, rating: 'Hold' },
+  { min: 31, rating: 'Sell' },
+  { min: -Infinity, rating: 'Strong Sell' }
+];
+
+// How far the score-implied target can move from the current price
+const MAX_IMPLIED_MOVE = 0.2;
+
+// Metric definitions: where the value comes from and the values that map to
+// a score of 0 ("bad") and 100 ("good"). Values in between are interpolated.
+const METRICS = {
+  valuation: [
+    { name: 'peRatio', source: 'ratios', field: 'priceEarningsRatioTTM', bad: 45, good: 10, positiveOnly: true },
+    { name: 'pegRatio', source: 'ratios', field: 'priceEarningsToGrowthRatioTTM', bad: 3, good: 0.8, positiveOnly: true },
+    { name: 'priceToBook', source: 'ratios', field: 'priceToBookRatioTTM', bad: 10, good: 1, positiveOnly: true },
+    { name: 'priceToFreeCashFlow', source: 'ratios', field: 'priceToFreeCashFlowsRatioTTM', bad: 50, good: 10, positiveOnly: true },
+    { name: 'evToEbitda', source: 'metrics', field: 'enterpriseValueOverEBITDATTM', bad: 30, good: 6, positiveOnly: true },
+    { name: 'freeCashFlowYield', source: 'metrics', field: 'freeCashFlowYieldTTM', bad: 0, good: 0.08 }
+  ],
+  momentum: [
+    { name: 'return1M', source: 'prices', field: 'return1M', bad: -0.1, good: 0.1 },
+    { name: 'return3M', source: 'prices', field: 'return3M', bad: -0.2, good: 0.2 },
+    { name: 'return6M', source: 'prices', field: 'return6M', bad: -0.25, good: 0.25 },
+    { name: 'return12M', source: 'prices', field: 'return12M', bad: -0.3, good: 0.4 },
+    { name: 'priceVsSma50', source: 'prices', field: 'priceVsSma50', bad: -0.1, good: 0.1 },
+    { name: 'priceVsSma200', source: 'prices', field: 'priceVsSma200', bad: -0.15, good: 0.15 }
+  ],
+  quality: [
+    { name: 'returnOnEquity', source: 'ratios', field: 'returnOnEquityTTM', bad: 0, good: 0.25 },
+    { name: 'netProfitMargin', source: 'ratios', field: 'netProfitMarginTTM', bad: 0, good: 0.2 },
+    { name: 'debtToEquity', source: 'ratios', field: 'debtEquityRatioTTM', bad: 2, good: 0.2 },
+    { name: 'currentRatio', source: 'ratios', field: 'currentRatioTTM', bad: 0.8, good: 2 },
+    { name: 'interestCoverage', source: 'ratios', field: 'interestCoverageTTM', bad: 1.5, good: 10 }
+  ],
+  analyst: [
+    { name: 'recommendationBalance', source: 'analyst', field: 'recommendationBalance', bad: -0.5, good: 0.75 },
+    { name: 'targetUpside', source: 'analyst', field: 'targetUpside', bad: -0.1, good: 0.25 }
+  ]
+};
+
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// Map a value onto 0-100 between its bad and good anchors (either direction)
+function scaleScore(value, bad, good) {
+  const t = (value - bad) / (good - bad);
+  return Math.max(0, Math.min(100, t * 100));
+}
+
+// Price-derived inputs from daily bars (any order, { date, close })
+function priceSignals(historical, currentPrice) {
+  if (!Array.isArray(historical) || historical.length === 0) return {};
+
+  const bars = historical
+    .filter(bar => bar && bar.date && isNumber(bar.close))
+    .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0)); // newest first
+  if (bars.length === 0) return {};
+
+  const latest = isNumber(currentPrice) ? currentPrice : bars[0].close;
+  const latestDate = new Date(bars[0].date);
+
+  // Close on the last trading day at or before `months` ago. A series that
+  // starts a few days short of the cutoff (weekend, holiday) still counts.
+  const closeMonthsAgo = (months) => {
+    const cutoff = new Date(latestDate);
+    cutoff.setMonth(cutoff.getMonth() - months);
+    const bar = bars.find(b => new Date(b.date) <= cutoff);
+    if (bar) return bar.close;
+    const oldest = bars[bars.length - 1];
+    return new Date(oldest.date) - cutoff <= 7 * 24 * 60 * 60 * 1000 ? oldest.close : null;
+  };
+
+  const ret = (months) => {
+    const past = closeMonthsAgo(months);
+    return past ? latest / past - 1 : null;
+  };
+
+  const sma = (days) => {
+    if (bars.length < days) return null;
+    return bars.slice(0, days).reduce((sum, b) => sum + b.close, 0) / days;
+  };
+
+  const sma50 = sma(50);
+  const sma200 = sma(200);
+
+  return {
+    return1M: ret(1),
+    return3M: ret(3),
+    return6M: ret(6),
+    return12M: ret(12),
+    priceVsSma50: sma50 ? latest / sma50 - 1 : null,
+    priceVsSma200: sma200 ? latest / sma200 - 1 : null
+  };
+}
+
+// Consensus inputs from FMP analyst recommendations and price targets
+function analystSignals(recommendations, priceTarget, currentPrice) {
+  const signals = {};
+
+  if (recommendations) {
+    const strongBuy = recommendations.analystRatingsStrongBuy || 0;
+    const buy = recommendations.analystRatingsbuy || 0;
+    const hold = recommendations.analystRatingsHold || 0;
+    const sell = recommendations.analystRatingsSell || 0;
+    const strongSell = recommendations.analystRatingsStrongSell || 0;
+    const total = strongBuy + buy + hold + sell + strongSell;
+
+    if (total > 0) {
+      // -1 (all strong sell) .. +1 (all strong buy)
+      signals.recommendationBalance = (2 * strongBuy + buy - sell - 2 * strongSell) / (2 * total);
+      signals.analystCount = total;
+    }
+  }
+
+  if (priceTarget && isNumber(priceTarget.targetConsensus) && isNumber(currentPrice) && currentPrice > 0) {
+    signals.targetConsensus = priceTarget.targetConsensus;
+    signals.targetUpside = priceTarget.targetConsensus / currentPrice - 1;
+  }
+
+  return signals;
+}
+
+function scoreFactor(definitions, sources) {
+  const metrics = definitions.map(def => {
+    const value = sources[def.source] ? sources[def.source][def.field] : undefined;
+    const usable = isNumber(value) && !(def.positiveOnly && value <= 0);
+
+    return {
+      metric: def.name,
+      value: usable ? round(value, 4) : null,
+      score: usable ? round(scaleScore(value, def.bad, def.good), 1) : null
+    };
+  });
+
+  const scored = metrics.filter(m => m.score !== null);
+  const score = scored.length > 0
+    ? scored.reduce((sum, m) => sum + m.score, 0) / scored.length
+    : null;
+
+  return {
+    score: score === null ? null : round(score, 1),
+    coverage: scored.length / definitions.length,
+    metrics
+  };
+}
+
+// Rate a stock. `data` holds { quote, ratios, metrics, historical,
+// recommendations, priceTarget } as returned by the FMP helpers.
+function rateStock(symbol, data = {}) {
+  const quote = data.quote || {};
+  const currentPrice = isNumber(quote.price) ? quote.price : null;
+
+  const analyst = analystSignals(data.recommendations, data.priceTarget, currentPrice);
+  const sources = {
+    ratios: data.ratios || {},
+    metrics: data.metrics || {},
+    prices: priceSignals(data.historical, currentPrice),
+    analyst
+  };
+
+  const factors = {};
+  let totalWeight = 0;
+  Object.keys(WEIGHTS).forEach(name => {
+    factors[name] = scoreFactor(METRICS[name], sources);
+    if (factors[name].score !== null) totalWeight += WEIGHTS[name];
+  });
+
+  // Composite = weighted mean of factors with data; contribution = points
+  // each factor moves the composite away from neutral 50
+  let composite = 50;
+  Object.keys(factors).forEach(name => {
+    const factor = factors[name];
+    const weight = factor.score !== null && totalWeight > 0 ? WEIGHTS[name] / totalWeight : 0;
+    factor.weight = round(weight, 3);
+    factor.contribution = factor.score !== null ? round(weight * (factor.score - 50), 1) : 0;
+    composite += weight * ((factor.score !== null ? factor.score : 50) - 50);
+    factor.coverage = round(factor.coverage, 2);
+  });
+  composite = round(composite, 1);
+
+  const rating = RATINGS.find(band => composite >= band.min).rating;
+
+  // Prefer the analysts' consensus target, else move the price by the score
+  let targetPrice = null;
+  let targetMethod = 'unavailable';
+  if (isNumber(analyst.targetConsensus)) {
+    targetPrice = analyst.targetConsensus;
+    targetMethod = 'analyst-consensus';
+  } else if (currentPrice !== null) {
+    targetPrice = currentPrice * (1 + ((composite - 50) / 50) * MAX_IMPLIED_MOVE);
+    targetMethod = 'score-implied';
+  }
+
+  // Confidence = share of model inputs that were available, weighted like the factors
+  const coverage = Object.keys(WEIGHTS)
+    .reduce((sum, name) => sum + WEIGHTS[name] * factors[name].coverage, 0);
+
+  return {
+    symbol,
+    rating,
+    score: composite,
+    target_price: targetPrice !== null ? round(targetPrice, 2) : null,
+    target_method: targetMethod,
+    current_price: currentPrice,
+    upside: targetPrice !== null && currentPrice ? round(targetPrice / currentPrice - 1, 4) : null,
+    confidence: Math.round(coverage * 100),
+    factors,
+    model_version: MODEL_VERSION,
+    generated: true
+  };
+}
+
+module.exports = {
+  rateStock,
+  priceSignals,
+  analystSignals,
+  scaleScore,
+  MODEL_VERSION,
+  WEIGHTS
+};
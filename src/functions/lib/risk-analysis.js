@@ -0,0 +1,142 @@
+// functions/lib/risk-analysis.js - Schema and validation for the AI risk analysis
+//
+// The model is asked for JSON shaped like RISK_ANALYSIS_SCHEMA. Every point
+// cites the input metrics it relies on, by the keys the prompt supplied.
+
+const SEVERITIES = ['low', 'medium', 'high'];
+
+const LIMITS = {
+  summary: 600,
+  title: 120,
+  detail: 400,
+  keyRisks: 5,
+  strengths: 5,
+  watchItems: 5
+};
+
+// Shown to the model verbatim
+const RISK_ANALYSIS_SCHEMA = {
+  summary: 'string - 1-2 sentence overall view',
+  keyRisks: [{
+    title: 'string',
+    detail: 'string',
+    severity: 'low | medium | high',
+    metrics: ['metric key from the input']
+  }],
+  strengths: [{
+    title: 'string',
+    detail: 'string',
+    metrics: ['metric key from the input']
+  }],
+  watchItems: [{
+    item: 'string - what to monitor',
+    metrics: ['metric key from the input']
+  }]
+};
+
+function isText(value, max) {
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+}
+
+// Validate one list of points. Returns the entries that pass and the
+// errors for those that don't.
+function validateList(name, list, fields, allowedMetrics) {
+  const errors = [];
+  const valid = [];
+
+  if (!Array.isArray(list)) {
+    return { valid, errors: [`${name} must be an array`] };
+  }
+  if (list.length > LIMITS[name]) {
+    errors.push(`${name} has more than ${LIMITS[name]} entries`);
+  }
+
+  list.slice(0, LIMITS[name]).forEach((entry, i) => {
+    const path = `${name}[${i}]`;
+    const entryErrors = [];
+
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    fields.forEach(field => {
+      if (!isText(entry[field], field === 'detail' ? LIMITS.detail : LIMITS.title)) {
+        entryErrors.push(`${path}.${field} must be a non-empty string`);
+      }
+    });
+    if (name === 'keyRisks' && !SEVERITIES.includes(entry.severity)) {
+      entryErrors.push(`${path}.severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (!Array.isArray(entry.metrics) || entry.metrics.length === 0) {
+      entryErrors.push(`${path}.metrics must list at least one input metric`);
+    } else {
+      const unknown = entry.metrics.filter(m => !allowedMetrics.includes(m));
+      if (unknown.length > 0) entryErrors.push(`${path}.metrics has unknown keys: ${unknown.join(', ')}`);
+    }
+
+    if (entryErrors.length > 0) {
+      errors.push(...entryErrors);
+    } else {
+      const clean = { metrics: [...new Set(entry.metrics)] };
+      fields.forEach(field => {
+        clean[field] = entry[field].trim();
+      });
+      if (name === 'keyRisks') clean.severity = entry.severity;
+      valid.push(clean);
+    }
+  });
+
+  return { valid, errors };
+}
+
+// Check parsed model output against the schema. Resolves to { valid,
+// errors, value } where `value` keeps only the entries that passed.
+function validateRiskAnalysis(output, allowedMetrics) {
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    return { valid: false, errors: ['Output must be a JSON object'], value: null };
+  }
+
+  const errors = [];
+  if (!isText(output.summary, LIMITS.summary)) errors.push('summary must be a non-empty string');
+
+  const keyRisks = validateList('keyRisks', output.keyRisks, ['title', 'detail'], allowedMetrics);
+  const strengths = validateList('strengths', output.strengths, ['title', 'detail'], allowedMetrics);
+  const watchItems = validateList('watchItems', output.watchItems, ['item'], allowedMetrics);
+  errors.push(...keyRisks.errors, ...strengths.errors, ...watchItems.errors);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    value: {
+      summary: isText(output.summary, LIMITS.summary) ? output.summary.trim() : null,
+      keyRisks: keyRisks.valid,
+      strengths: strengths.valid,
+      watchItems: watchItems.valid
+    }
+  };
+}
+
+// Parse model text as JSON, tolerating a ```json fence around it
+function parseModelJson(text) {
+  if (typeof text !== 'string') return null;
+  const unfenced = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/```$/, '').trim();
+  try {
+    return JSON.parse(unfenced);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Whether a partially valid result is still worth showing
+function isUsable(value) {
+  return Boolean(value && value.summary && (value.keyRisks.length > 0 || value.strengths.length > 0));
+}
+
+module.exports = {
+  RISK_ANALYSIS_SCHEMA,
+  SEVERITIES,
+  validateRiskAnalysis,
+  parseModelJson,
+  isUsable
+};
@@ -0,0 +1,312 @@
+// functions/lib/risk-history.js - Daily risk snapshots per symbol
+//
+// ai-risk.js records one snapshot per symbol per day (a later call the same
+// day replaces it). The history query returns the series and flags every
+// level change with the inputs that moved most between the two snapshots.
+// A change across a risk model version change (RISK_MODEL) is put down to
+// the model, not the inputs, and the version changes are listed too.
+// Pick the store with RISK_HISTORY_STORE=file|redis|memory. The default file
+// store lives in RISK_HISTORY_DIR; point it at storage every instance
+// shares, or use redis. Without RISK_HISTORY_DIR it falls back to the
+// container's own tmp directory, which only suits development (netlify dev).
+// The memory store only suits tests. Stores that each container keeps for
+// itself have `shared: false`, as their history would be partial.
+
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Snapshots kept per symbol, oldest dropped first
+const MAX_SNAPSHOTS = 730;
+
+// Inputs reported per level change
+const MAX_DRIVERS = 3;
+
+// How long a file store writer waits for the lock, and when a lock left by
+// a crashed writer is taken over
+const LOCK_TIMEOUT_MS = 2000;
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 20;
+
+const COMPONENTS = ['overall', 'market', 'company', 'sector'];
+const LEVELS = ['Low', 'Medium', 'High'];
+
+// Inputs that feed each component's score. Overall draws on all of them.
+const COMPONENT_INPUTS = {
+  market: ['beta', 'volatility1Y', 'maxDrawdown1Y', 'valueAtRisk95', 'sharpe1Y'],
+  company: ['debtToEquity', 'profitMargin', 'currentRatio', 'quickRatio', 'returnOnEquity', 'altmanZ', 'piotroskiF', 'beneishM'],
+  sector: ['peerRiskPercentile']
+};
+
+function sortByDate(snapshots) {
+  return [...snapshots].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Replace the snapshot for the same date, keeping the newest MAX_SNAPSHOTS
+function upsert(snapshots, snapshot) {
+  const merged = snapshots.filter(s => s.date !== snapshot.date).concat(snapshot);
+  return sortByDate(merged).slice(-MAX_SNAPSHOTS);
+}
+
+// In-memory store - only lives as long as the warm container
+function createMemoryHistoryStore() {
+  const series = new Map();
+
+  return {
+    name: 'memory',
+    shared: false,
+    async put(symbol, snapshot) {
+      series.set(symbol, upsert(series.get(symbol) || [], snapshot));
+    },
+    async list(symbol) {
+      return series.get(symbol) || [];
+    }
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run `fn` holding an exclusive lock file next to `file`, so writers in
+// other processes can't interleave their read-modify-write with ours
+async function withFileLock(file, fn) {
+  const lock = `${file}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      const handle = await fs.promises.open(lock, 'wx');
+      await handle.close();
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      const stat = await fs.promises.stat(lock).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        await fs.promises.unlink(lock).catch(() => {});
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for ${path.basename(lock)}`);
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.promises.unlink(lock).catch(() => {});
+  }
+}
+
+// Filesystem store - one JSON file per symbol. `shared` says whether every
+// instance sees the same directory.
+function createFileHistoryStore(dir, { shared = true } = {}) {
+  const fileFor = (symbol) => path.join(dir, `${symbol.replace(/[^A-Za-z0-9.^-]/g, '_')}.json`);
+
+  async function read(symbol) {
+    try {
+      return JSON.parse(await fs.promises.readFile(fileFor(symbol), 'utf8'));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  return {
+    name: 'file',
+    shared,
+    async put(symbol, snapshot) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = fileFor(symbol);
+      await withFileLock(file, async () => {
+        const snapshots = upsert(await read(symbol), snapshot);
+        // Write to a temp file first so readers never see a partial series
+        const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(snapshots));
+        await fs.promises.rename(tmp, file);
+      });
+    },
+    list: read
+  };
+}
+
+// Redis-compatible store speaking the REST protocol - one hash per symbol,
+// fields keyed by date. Each write drops the dates beyond MAX_SNAPSHOTS.
+function createRedisHistoryStore({ url, token, namespace = 'ml:risk-history', timeout = 2000 }) {
+  const command = async (args) => {
+    const response = await axios.post(url, args, {
+      timeout,
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+    return response.data ? response.data.result : null;
+  };
+  const keyFor = (symbol) => `${namespace}:${symbol}`;
+
+  return {
+    name: 'redis',
+    shared: true,
+    async put(symbol, snapshot) {
+      await command(['HSET', keyFor(symbol), snapshot.date, JSON.stringify(snapshot)]);
+
+      const dates = ((await command(['HKEYS', keyFor(symbol)])) || []).sort();
+      if (dates.length > MAX_SNAPSHOTS) {
+        await command(['HDEL', keyFor(symbol), ...dates.slice(0, dates.length - MAX_SNAPSHOTS)]);
+      }
+    },
+    async list(symbol) {
+      const flat = (await command(['HGETALL', keyFor(symbol)])) || [];
+      const snapshots = [];
+      for (let i = 1; i < flat.length; i += 2) {
+        snapshots.push(JSON.parse(flat[i]));
+      }
+      return sortByDate(snapshots).slice(-MAX_SNAPSHOTS);
+    }
+  };
+}
+
+// Build the store selected by the environment
+function createHistoryStoreFromEnv(env = process.env) {
+  const driver = (env.RISK_HISTORY_STORE || 'file').toLowerCase();
+  const fileStore = () => (env.RISK_HISTORY_DIR
+    ? createFileHistoryStore(env.RISK_HISTORY_DIR)
+    : createFileHistoryStore(path.join(os.tmpdir(), 'marketlinks-risk-history'), { shared: env.NETLIFY_DEV === 'true' }));
+
+  if (driver === 'memory') {
+    return createMemoryHistoryStore();
+  }
+
+  if (driver === 'redis') {
+    const url = env.RISK_HISTORY_REDIS_URL || env.CACHE_REDIS_URL;
+    if (!url) {
+      console.error('RISK_HISTORY_STORE=redis but no Redis URL is set, falling back to file');
+      return fileStore();
+    }
+    return createRedisHistoryStore({
+      url,
+      token: env.RISK_HISTORY_REDIS_TOKEN || env.CACHE_REDIS_TOKEN
+    });
+  }
+
+  return fileStore();
+}
+
+// Snapshot of a risk assessment. `inputs` are the metrics behind the scores
+// (the same keys the AI analysis cites).
+function buildSnapshot(symbol, riskData, inputs, now = new Date()) {
+  const snapshot = {
+    symbol,
+    date: now.toISOString().slice(0, 10),
+    recordedAt: now.toISOString(),
+    modelVersion: riskData.modelVersion,
+    inputs
+  };
+  COMPONENTS.forEach(component => {
+    const score = riskData[component].score;
+    snapshot[component] = {
+      level: riskData[component].level,
+      score: typeof score === 'number' ? Math.round(score * 10) / 10 : null
+    };
+  });
+  return snapshot;
+}
+
+// Inputs that moved between two snapshots, largest relative change first
+function changedInputs(before, after, keys) {
+  return keys
+    .filter(key => typeof before[key] === 'number' && typeof after[key] === 'number' && before[key] !== after[key])
+    .map(key => {
+      const change = after[key] - before[key];
+      return {
+        metric: key,
+        from: before[key],
+        to: after[key],
+        change: Math.round(change * 10000) / 10000,
+        relativeChange: before[key] !== 0 ? Math.round(change / Math.abs(before[key]) * 10000) / 10000 : null
+      };
+    })
+    .sort((a, b) => Math.abs(b.relativeChange === null ? Infinity : b.relativeChange) -
+      Math.abs(a.relativeChange === null ? Infinity : a.relativeChange))
+    .slice(0, MAX_DRIVERS);
+}
+
+function modelVersionChanged(before, after) {
+  return (before.modelVersion || null) !== (after.modelVersion || null);
+}
+
+// Risk model version changes between consecutive snapshots, oldest first
+function trackModelChanges(snapshots) {
+  const series = sortByDate(snapshots);
+  const changes = [];
+
+  for (let i = 1; i < series.length; i++) {
+    if (!modelVersionChanged(series[i - 1], series[i])) continue;
+    changes.push({
+      date: series[i].date,
+      previousDate: series[i - 1].date,
+      from: series[i - 1].modelVersion || null,
+      to: series[i].modelVersion || null
+    });
+  }
+
+  return changes;
+}
+
+// Level changes between consecutive snapshots, oldest first. `cause` is
+// 'model' when the risk model version changed in between, else 'inputs'.
+function trackChanges(snapshots) {
+  const series = sortByDate(snapshots);
+  const changes = [];
+
+  for (let i = 1; i < series.length; i++) {
+    const before = series[i - 1];
+    const after = series[i];
+    const modelChanged = modelVersionChanged(before, after);
+
+    COMPONENTS.forEach(component => {
+      const from = before[component] && before[component].level;
+      const to = after[component] && after[component].level;
+      if (!from || !to || from === to) return;
+
+      const direction = LEVELS.indexOf(to) > LEVELS.indexOf(from) ? 'up' : 'down';
+      const keys = COMPONENT_INPUTS[component] || Object.keys(after.inputs || {});
+      changes.push({
+        date: after.date,
+        previousDate: before.date,
+        component,
+        from,
+        to,
+        direction,
+        scoreChange: typeof before[component].score === 'number' && typeof after[component].score === 'number'
+          ? Math.round((after[component].score - before[component].score) * 10) / 10
+          : null,
+        cause: modelChanged ? 'model' : 'inputs',
+        description: `${component.charAt(0).toUpperCase() + component.slice(1)} risk ${direction === 'up' ? 'rose' : 'fell'} from ${from} to ${to}` +
+          (modelChanged ? ` as the risk model changed from ${before.modelVersion || 'unversioned'} to ${after.modelVersion || 'unversioned'}` : ''),
+        drivers: modelChanged ? [] : changedInputs(before.inputs || {}, after.inputs || {}, keys)
+      });
+    });
+  }
+
+  return changes;
+}
+
+// Snapshots for a symbol between two dates (inclusive) and the changes within them
+async function riskHistory(store, symbol, options = {}) {
+  const snapshots = (await store.list(symbol))
+    .filter(s => (!options.from || s.date >= options.from) && (!options.to || s.date <= options.to));
+  return {
+    snapshots,
+    changes: trackChanges(snapshots),
+    modelChanges: trackModelChanges(snapshots)
+  };
+}
+
+module.exports = {
+  COMPONENTS,
+  createMemoryHistoryStore,
+  createFileHistoryStore,
+  createRedisHistoryStore,
+  createHistoryStoreFromEnv,
+  buildSnapshot,
+  trackChanges,
+  trackModelChanges,
+  riskHistory
+};
@@ -0,0 +1,132 @@
+// functions/lib/risk-metrics.js - Realized risk from daily price history
+//
+// Works on daily closes (ideally split- and dividend-adjusted). Returns are
+// simple daily returns; annualised figures assume 252 trading days.
+
+const TRADING_DAYS = 252;
+
+// Trailing windows in trading days
+const WINDOWS = {
+  '1Y': TRADING_DAYS,
+  '3Y': TRADING_DAYS * 3
+};
+
+// Fewer daily returns than this and the window is not reported
+const MIN_OBSERVATIONS = 60;
+
+const DEFAULT_RISK_FREE_RATE = 0.04;
+
+function round(value, places = 4) {
+  if (value === null || value === undefined || !isFinite(value)) return null;
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function stdev(values) {
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - m, 2), 0) / (values.length - 1));
+}
+
+// Historical VaR and CVaR (expected shortfall) at a confidence level, as
+// positive daily losses
+function valueAtRisk(returns, confidence) {
+  const sorted = [...returns].sort((a, b) => a - b);
+  const index = Math.max(0, Math.floor((1 - confidence) * sorted.length) - 1);
+  const tail = sorted.slice(0, index + 1);
+  return {
+    var: -sorted[index],
+    cvar: -mean(tail)
+  };
+}
+
+// Deepest peak-to-trough fall, with the trading days it took to recover
+// (null while still under water). `points` are { date, close }, oldest first.
+function maxDrawdown(points) {
+  let peak = points[0];
+  let worst = { drawdown: 0, peak: points[0], trough: points[0] };
+
+  points.forEach(point => {
+    if (point.close > peak.close) peak = point;
+    const drawdown = point.close / peak.close - 1;
+    if (drawdown < worst.drawdown) worst = { drawdown, peak, trough: point };
+  });
+
+  const troughIndex = points.indexOf(worst.trough);
+  const recoveryIndex = worst.drawdown < 0
+    ? points.findIndex((point, i) => i > troughIndex && point.close >= worst.peak.close)
+    : -1;
+
+  return {
+    maxDrawdown: round(worst.drawdown),
+    peakDate: worst.peak.date,
+    troughDate: worst.trough.date,
+    recoveryDate: recoveryIndex >= 0 ? points[recoveryIndex].date : null,
+    recoveryDays: recoveryIndex >= 0 ? recoveryIndex - troughIndex : null,
+    drawdownDays: troughIndex - points.indexOf(worst.peak)
+  };
+}
+
+// Metrics for one window. `points` are { date, close }, oldest first.
+function windowMetrics(points, riskFreeRate) {
+  const returns = points.slice(1).map((point, i) => point.close / points[i].close - 1);
+  if (returns.length < MIN_OBSERVATIONS) return null;
+
+  const dailyRiskFree = riskFreeRate / TRADING_DAYS;
+  const volatility = stdev(returns) * Math.sqrt(TRADING_DAYS);
+  const downside = Math.sqrt(
+    returns.reduce((sum, r) => sum + Math.pow(Math.min(r - dailyRiskFree, 0), 2), 0) / returns.length
+  ) * Math.sqrt(TRADING_DAYS);
+  const excessReturn = (mean(returns) - dailyRiskFree) * TRADING_DAYS;
+  const years = returns.length / TRADING_DAYS;
+  const totalReturn = points[points.length - 1].close / points[0].close - 1;
+  const var95 = valueAtRisk(returns, 0.95);
+  const var99 = valueAtRisk(returns, 0.99);
+
+  return {
+    startDate: points[0].date,
+    endDate: points[points.length - 1].date,
+    observations: returns.length,
+    annualizedReturn: round(Math.pow(1 + totalReturn, 1 / years) - 1),
+    volatility: round(volatility),
+    downsideDeviation: round(downside),
+    ...maxDrawdown(points),
+    var95: round(var95.var),
+    cvar95: round(var95.cvar),
+    var99: round(var99.var),
+    cvar99: round(var99.cvar),
+    sharpe: volatility > 0 ? round(excessReturn / volatility, 2) : null,
+    sortino: downside > 0 ? round(excessReturn / downside, 2) : null
+  };
+}
+
+// Risk metrics per trailing window from daily bars (any order). A window
+// with less history than it asks for is computed over what there is and
+// flagged `complete: false`.
+function computeRiskMetrics(bars, options = {}) {
+  const riskFreeRate = options.riskFreeRate !== undefined ? options.riskFreeRate : DEFAULT_RISK_FREE_RATE;
+  const points = (bars || [])
+    .filter(bar => bar && bar.date && typeof bar.close === 'number' && bar.close > 0)
+    .map(bar => ({ date: bar.date.slice(0, 10), close: bar.close }))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  const windows = {};
+  Object.keys(WINDOWS).forEach(name => {
+    const size = WINDOWS[name];
+    const metrics = windowMetrics(points.slice(-(size + 1)), riskFreeRate);
+    windows[name] = metrics ? { ...metrics, complete: metrics.observations >= size } : null;
+  });
+
+  return { riskFreeRate, windows };
+}
+
+module.exports = {
+  TRADING_DAYS,
+  WINDOWS,
+  computeRiskMetrics,
+  maxDrawdown,
+  valueAtRisk
+};
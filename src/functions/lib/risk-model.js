@@ -0,0 +1,250 @@
+// functions/lib/risk-model.js - Versioned risk model config and scenario overrides
+//
+// assessRisk in ai-risk.js reads its weights, thresholds and point
+// adjustments from a model object shaped like DEFAULT_RISK_MODEL. A
+// deployment can replace any part of it with RISK_MODEL, either inline JSON
+// or a path to a JSON file; the result must carry its own `version` so
+// scores can be traced back to the model that produced them.
+
+const fs = require('fs');
+const path = require('path');
+const { WINDOWS } = require('./risk-metrics');
+
+const DEFAULT_RISK_MODEL = {
+  version: '1.0.0',
+
+  // Overall score = weighted component scores; weights sum to 1
+  weights: { market: 0.3, company: 0.5, sector: 0.2 },
+
+  // Below `low` is Low, below `high` is Medium, otherwise High
+  levels: { low: 40, high: 65 },
+
+  market: {
+    // Realized-risk window blended into the market score
+    window: '1Y',
+    // Piecewise beta score: beta * lowSlope (capped at midBase) under the
+    // first breakpoint, linear from midBase between them, then from
+    // highBase up to max
+    beta: { breakpoints: [0.8, 1.2], lowSlope: 30, midBase: 30, midSlope: 50, highBase: 70, highSlope: 25, max: 85 },
+    // Blend when daily history is available
+    blend: { beta: 0.4, volatility: 0.3, drawdown: 0.15, valueAtRisk: 0.15 },
+    // Values mapped to 0 (calm) and 100 (turbulent)
+    ranges: {
+      volatility: [0.1, 0.6],
+      drawdown: [0.1, 0.6],
+      valueAtRisk: [0.01, 0.05]
+    }
+  },
+
+  company: {
+    base: 50,
+    // Per ratio, the first band that matches adds its points
+    rules: {
+      debtToEquity: [{ above: 1.5, points: 25 }, { above: 1, points: 15 }, { below: 0.3, points: -15 }],
+      profitMargin: [{ above: 0.2, points: -15 }, { above: 0.1, points: -10 }, { below: 0, points: 25 }],
+      currentRatio: [{ above: 2, points: -10 }, { below: 1, points: 15 }],
+      returnOnEquity: [{ above: 0.2, points: -10 }, { below: 0.05, points: 10 }],
+      quickRatio: [{ below: 0.7, points: 15 }, { above: 1.5, points: -10 }]
+    },
+    // Share of the company score taken from Altman/Piotroski/Beneish
+    qualityWeight: 0.5
+  },
+
+  sector: {
+    // Score when there is no usable peer group
+    neutralScore: 50
+  }
+};
+
+// How company factors are named and formatted in descriptions
+const COMPANY_FACTORS = {
+  debtToEquity: { label: 'debt-to-equity', percent: false },
+  profitMargin: { label: 'net margin', percent: true },
+  currentRatio: { label: 'current ratio', percent: false },
+  returnOnEquity: { label: 'return on equity', percent: true },
+  quickRatio: { label: 'quick ratio', percent: false }
+};
+
+// Inputs a scenario may override
+const SCENARIO_INPUTS = [
+  'beta',
+  'volatility',
+  'maxDrawdown',
+  'valueAtRisk',
+  'debtToEquity',
+  'profitMargin',
+  'currentRatio',
+  'returnOnEquity',
+  'quickRatio'
+];
+
+const MAX_SCENARIOS = 10;
+
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge key by key; arrays and values replace
+function merge(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) return override;
+  const result = { ...base };
+  Object.keys(override).forEach(key => {
+    result[key] = key in base ? merge(base[key], override[key]) : override[key];
+  });
+  return result;
+}
+
+// Problems with a model, as messages. Empty when it is usable.
+function validateRiskModel(model) {
+  const errors = [];
+
+  if (typeof model.version !== 'string' || !model.version.trim()) {
+    errors.push('version must be a non-empty string');
+  }
+
+  const weights = model.weights || {};
+  const components = ['market', 'company', 'sector'];
+  if (!components.every(c => isNumber(weights[c]) && weights[c] >= 0)) {
+    errors.push('weights.market, weights.company and weights.sector must be non-negative numbers');
+  } else if (Math.abs(components.reduce((sum, c) => sum + weights[c], 0) - 1) > 0.001) {
+    errors.push('weights must sum to 1');
+  }
+
+  const levels = model.levels || {};
+  if (!isNumber(levels.low) || !isNumber(levels.high) || levels.low >= levels.high) {
+    errors.push('levels.low and levels.high must be numbers with low < high');
+  }
+
+  if (!model.market || !WINDOWS[model.market.window]) {
+    errors.push(`market.window must be one of ${Object.keys(WINDOWS).join(', ')}`);
+  }
+
+  const blend = (model.market && model.market.blend) || {};
+  const blendTotal = Object.values(blend).reduce((sum, w) => sum + (isNumber(w) ? w : NaN), 0);
+  if (!isNumber(blendTotal) || Math.abs(blendTotal - 1) > 0.001) {
+    errors.push('market.blend weights must sum to 1');
+  }
+
+  const rules = (model.company && model.company.rules) || {};
+  Object.keys(rules).forEach(metric => {
+    const bands = rules[metric];
+    if (!Array.isArray(bands) || !bands.every(b => isNumber(b.points) && (isNumber(b.above) || isNumber(b.below)))) {
+      errors.push(`company.rules.${metric} must be a list of { above | below, points }`);
+    }
+  });
+
+  const qualityWeight = model.company && model.company.qualityWeight;
+  if (!isNumber(qualityWeight) || qualityWeight < 0 || qualityWeight > 1) {
+    errors.push('company.qualityWeight must be between 0 and 1');
+  }
+
+  return errors;
+}
+
+// The deployment's model: the default, with RISK_MODEL merged over it.
+// Throws when the config can't be read or doesn't validate.
+function loadRiskModel(env = process.env) {
+  const source = env.RISK_MODEL && env.RISK_MODEL.trim();
+  if (!source) return DEFAULT_RISK_MODEL;
+
+  const raw = source.startsWith('{')
+    ? source
+    : fs.readFileSync(path.resolve(source), 'utf8');
+  const custom = JSON.parse(raw);
+
+  if (!isPlainObject(custom) || typeof custom.version !== 'string') {
+    throw new Error('RISK_MODEL must set its own version');
+  }
+
+  const model = merge(DEFAULT_RISK_MODEL, custom);
+  const errors = validateRiskModel(model);
+  if (errors.length > 0) {
+    throw new Error(`Invalid risk model ${custom.version}: ${errors.join('; ')}`);
+  }
+  return model;
+}
+
+function scoreLevel(score, model) {
+  if (score < model.levels.low) return 'Low';
+  if (score < model.levels.high) return 'Medium';
+  return 'High';
+}
+
+function betaScore(beta, model) {
+  const curve = model.market.beta;
+  const [low, high] = curve.breakpoints;
+  if (beta < low) return Math.min(curve.midBase, beta * curve.lowSlope);
+  if (beta < high) return curve.midBase + (beta - low) * curve.midSlope;
+  return Math.min(curve.max, curve.highBase + (beta - high) * curve.highSlope);
+}
+
+// The first band the value falls in, or null when none match
+function matchBand(value, bands) {
+  return (bands || []).find(b => (isNumber(b.above) && value > b.above) || (isNumber(b.below) && value < b.below)) || null;
+}
+
+// An override is a number (replace), { multiply } or { add }. Relative
+// overrides leave a missing baseline missing.
+function applyOverride(value, override) {
+  if (override === undefined) return value;
+  if (isNumber(override)) return override;
+  if (!isNumber(value)) return value;
+  if (isNumber(override.multiply)) return value * override.multiply;
+  if (isNumber(override.add)) return value + override.add;
+  return value;
+}
+
+function isValidOverride(override) {
+  if (isNumber(override)) return true;
+  if (!isPlainObject(override)) return false;
+  const keys = Object.keys(override);
+  return keys.length === 1 && ['multiply', 'add'].includes(keys[0]) && isNumber(override[keys[0]]);
+}
+
+// Validate posted scenarios. Returns { scenarios } or { error }.
+function parseScenarios(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'scenarios must be a non-empty array' };
+  }
+  if (input.length > MAX_SCENARIOS) {
+    return { error: `At most ${MAX_SCENARIOS} scenarios are supported` };
+  }
+
+  const scenarios = [];
+  for (const [i, scenario] of input.entries()) {
+    if (!isPlainObject(scenario) || !isPlainObject(scenario.overrides) || Object.keys(scenario.overrides).length === 0) {
+      return { error: `scenarios[${i}].overrides must be a non-empty object` };
+    }
+    for (const [name, override] of Object.entries(scenario.overrides)) {
+      if (!SCENARIO_INPUTS.includes(name)) {
+        return { error: `scenarios[${i}].overrides.${name} is not an input; use one of ${SCENARIO_INPUTS.join(', ')}` };
+      }
+      if (!isValidOverride(override)) {
+        return { error: `scenarios[${i}].overrides.${name} must be a number, { multiply: n } or { add: n }` };
+      }
+    }
+    scenarios.push({
+      name: typeof scenario.name === 'string' && scenario.name.trim() ? scenario.name.trim() : `Scenario ${i + 1}`,
+      overrides: scenario.overrides
+    });
+  }
+
+  return { scenarios };
+}
+
+module.exports = {
+  DEFAULT_RISK_MODEL,
+  COMPANY_FACTORS,
+  SCENARIO_INPUTS,
+  validateRiskModel,
+  loadRiskModel,
+  scoreLevel,
+  betaScore,
+  matchBand,
+  applyOverride,
+  parseScenarios
+};
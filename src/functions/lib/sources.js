@@ -0,0 +1,128 @@
+// functions/lib/sources.js - Concurrent upstream fetches with timeouts and retries
+//
+// A source is { name, fetch, isEmpty } where `fetch` resolves to a cache
+// result ({ data, status, age }) like the lib/fmp.js helpers return. `fetch`
+// gets { timeout } to hand to the request itself: a request left running
+// past the timeout would still be in flight in the cache, and the retry
+// would just wait on it again. Every source settles on its own, so one
+// failure never takes down the others:
+//   ok      data came back
+//   empty   the call worked but had nothing (unknown symbol, no filings)
+//   failed  timed out or errored on every attempt
+//   skipped not attempted (a dependency was missing)
+
+const DEFAULT_TIMEOUT = 8000;
+const DEFAULT_RETRIES = 1;
+const RETRY_DELAY = 300;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(`Timed out after ${ms}ms`), { code: 'ETIMEDOUT' })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Timeouts, network errors, rate limits and 5xx are worth another try
+function isRetryable(error) {
+  if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') return true;
+  if (!error.response) return true;
+  return error.response.status === 429 || error.response.status >= 500;
+}
+
+function describeError(error) {
+  if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') return 'timeout';
+  if (error.response) return `HTTP ${error.response.status}`;
+  return error.message;
+}
+
+function defaultIsEmpty(data) {
+  return data === null || data === undefined || (Array.isArray(data) && data.length === 0);
+}
+
+async function fetchSource(source, options = {}) {
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const retries = options.retries !== undefined ? options.retries : DEFAULT_RETRIES;
+  const isEmpty = source.isEmpty || defaultIsEmpty;
+  const started = Date.now();
+  let attempts = 0;
+  let lastError;
+
+  while (attempts <= retries) {
+    attempts++;
+    try {
+      const result = await withTimeout(source.fetch({ timeout }), timeout);
+      return {
+        name: source.name,
+        status: isEmpty(result.data) ? 'empty' : 'ok',
+        data: result.data,
+        cache: result,
+        attempts,
+        ms: Date.now() - started
+      };
+    } catch (error) {
+      lastError = error;
+      if (!isRetryable(error) || attempts > retries) break;
+      await sleep(RETRY_DELAY * attempts);
+    }
+  }
+
+  console.error(`Source ${source.name} failed after ${attempts} attempt(s):`, describeError(lastError));
+  return {
+    name: source.name,
+    status: 'failed',
+    data: null,
+    cache: null,
+    error: describeError(lastError),
+    attempts,
+    ms: Date.now() - started
+  };
+}
+
+// Fetch every source at once. Resolves to results keyed by source name.
+async function fetchSources(sources, options = {}) {
+  const results = await Promise.all(sources.map(source => fetchSource(source, options)));
+  const byName = {};
+  results.forEach(result => {
+    byName[result.name] = result;
+  });
+  return byName;
+}
+
+function skippedSource(name, reason) {
+  return { name, status: 'skipped', data: null, cache: null, error: reason, attempts: 0, ms: 0 };
+}
+
+// Summary of how each source fared and how old its data is
+function coverageReport(results) {
+  const list = Object.values(results);
+  const names = (status) => list.filter(r => r.status === status).map(r => r.name);
+
+  return {
+    sources: list.map(r => ({
+      name: r.name,
+      status: r.status,
+      cache: r.cache ? r.cache.status : null,
+      ageSeconds: r.cache ? Math.floor((r.cache.age || 0) / 1000) : null,
+      attempts: r.attempts,
+      ...(r.error ? { error: r.error } : {})
+    })),
+    succeeded: names('ok'),
+    empty: names('empty'),
+    failed: names('failed'),
+    skipped: names('skipped')
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT,
+  DEFAULT_RETRIES,
+  fetchSource,
+  fetchSources,
+  skippedSource,
+  coverageReport
+};
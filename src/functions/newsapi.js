@@ -1,6 +1,7 @@
 // functions/benzinga-news.js
 
 const https = require('https');
+const { cache, cacheHeaders } = require('./lib/cache');
 
 exports.handler = async function(event, context) {
   // CORS headers
@@ -35,12 +36,14 @@ exports.handler = async function(event, context) {
     }
     
     // Make the API request using native https module (no external dependencies)
-    const data = await makeRequest('api.benzinga.com', `/api/v2/news?${queryString}`);
+    const result = await cache.wrap('news', `benzinga:${ticker.toUpperCase()}:${params.pageSize || '10'}`, () =>
+      makeRequest('api.benzinga.com', `/api/v2/news?${queryString}`)
+    );
     
     return {
       statusCode: 200,
-      headers,
-      body: data
+      headers: { ...headers, ...cacheHeaders(result) },
+      body: result.data
     };
   } catch (error) {
     console.error('Error fetching Benzinga news:', error);
@@ -0,0 +1,344 @@
+// portfolio-risk.js - Netlify Serverless Function for Portfolio Risk Assessment
+//
+// POST { holdings: [{ symbol, shares } | { symbol, weight }], narrative }
+// Each holding is scored with the same fundamentals and risk model as
+// ai-risk.js; the portfolio gets beta, covariance-based volatility, the
+// correlation matrix, concentration warnings and each holding's contribution
+// to risk. `narrative: true` adds an LLM summary of the main vulnerabilities.
+const { cacheHeaders } = require('./lib/cache');
+const { fetchStockData, assessRisk } = require('./ai-risk');
+const { analyzePortfolio, resolveWeights } = require('./lib/portfolio');
+const { createLLMClient } = require('./lib/llm');
+const { loadRiskModel } = require('./lib/risk-model');
+
+const FMP_API_KEY = process.env.FMP_API_KEY;
+
+// LLM providers and models come from the environment (see lib/llm.js)
+let llm;
+let llmError;
+try {
+  llm = createLLMClient();
+} catch (error) {
+  llmError = error;
+  console.error('Error configuring LLM providers:', error.message);
+}
+
+// Same model as ai-risk.js (see lib/risk-model.js)
+let riskModel;
+let riskModelError;
+try {
+  riskModel = loadRiskModel();
+} catch (error) {
+  riskModelError = error;
+  console.error('Error loading risk model:', error.message);
+}
+
+const MAX_HOLDINGS = 30;
+
+// Holdings fetched at once; each one makes about ten FMP requests
+const FETCH_CONCURRENCY = 4;
+
+function round(value, places = 1) {
+  if (value === null || value === undefined || !isFinite(value)) return null;
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// Validate and merge the posted holdings. Returns { holdings } or { error }.
+function parseHoldings(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'holdings must be a non-empty array' };
+  }
+
+  const merged = new Map();
+  for (const [i, holding] of input.entries()) {
+    const symbol = holding && typeof holding.symbol === 'string' ? holding.symbol.trim().toUpperCase() : '';
+    if (!symbol) return { error: `holdings[${i}].symbol is required` };
+
+    const hasShares = holding.shares !== undefined;
+    const hasWeight = holding.weight !== undefined;
+    if (hasShares === hasWeight) {
+      return { error: `holdings[${i}] needs exactly one of shares or weight` };
+    }
+    const amount = hasShares ? holding.shares : holding.weight;
+    if (typeof amount !== 'number' || !isFinite(amount) || amount <= 0) {
+      return { error: `holdings[${i}].${hasShares ? 'shares' : 'weight'} must be a positive number` };
+    }
+
+    const existing = merged.get(symbol);
+    if (existing && (existing.shares !== undefined) !== hasShares) {
+      return { error: `${symbol} is listed with both shares and weight` };
+    }
+    const key = hasShares ? 'shares' : 'weight';
+    merged.set(symbol, { symbol, [key]: (existing ? existing[key] : 0) + amount });
+  }
+
+  const holdings = [...merged.values()];
+  const byShares = holdings.filter(h => h.shares !== undefined).length;
+  if (byShares > 0 && byShares < holdings.length) {
+    return { error: 'Use shares for every holding or weight for every holding, not a mix' };
+  }
+  if (holdings.length > MAX_HOLDINGS) {
+    return { error: `At most ${MAX_HOLDINGS} holdings are supported` };
+  }
+
+  return { holdings };
+}
+
+// Per-symbol data for every holding, a few at a time. Peer groups are
+// skipped to keep the request count bounded, so sector scores are neutral.
+async function fetchHoldingsData(symbols) {
+  const results = {};
+  for (let i = 0; i < symbols.length; i += FETCH_CONCURRENCY) {
+    const batch = symbols.slice(i, i + FETCH_CONCURRENCY);
+    const data = await Promise.all(batch.map(symbol => fetchStockData(symbol, { peers: false })));
+    batch.forEach((symbol, j) => {
+      results[symbol] = data[j];
+    });
+  }
+  return results;
+}
+
+// Optional narrative on the portfolio's main vulnerabilities
+async function getNarrative(portfolio, holdings) {
+  if (llm.providers.length === 0) {
+    return { status: 'unavailable', reason: 'No AI provider configured' };
+  }
+
+  const summary = {
+    riskScore: portfolio.riskScore,
+    beta: portfolio.beta,
+    volatility: portfolio.volatility,
+    effectiveHoldings: portfolio.concentration.effectiveHoldings,
+    sectors: portfolio.concentration.sectors,
+    warnings: portfolio.concentration.warnings.map(w => w.message),
+    holdings: holdings.map(h => ({
+      symbol: h.symbol,
+      weight: h.weight,
+      riskLevel: h.risk.level,
+      riskScore: h.risk.score,
+      percentOfRisk: h.percentOfRisk
+    }))
+  };
+
+  try {
+    const result = await llm.complete({
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a portfolio risk analyst. Write plain prose for an individual investor, ' +
+            'using only the figures supplied. Do not give buy or sell recommendations.'
+        },
+        {
+          role: 'user',
+          content: 'Summarize the main vulnerabilities of this portfolio in 3-5 sentences, ' +
+            'covering concentration, market sensitivity and which holdings drive its risk.\n\n' +
+            JSON.stringify(summary)
+        }
+      ],
+      maxTokens: 400
+    });
+
+    return {
+      status: 'ok',
+      provider: result.provider,
+      model: result.model,
+      text: result.content.trim()
+    };
+  } catch (error) {
+    console.error('Error getting portfolio narrative:', error.message);
+    return { status: 'unavailable', reason: 'AI analysis could not be generated' };
+  }
+}
+
+exports.handler = async function(event, context) {
+  // Enable CORS
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  // Handle OPTIONS request (preflight)
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: 'CORS preflight successful' })
+    };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers: { ...headers, 'Allow': 'POST, OPTIONS' },
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  if (!FMP_API_KEY) {
+    console.error('FMP_API_KEY environment variable is not set');
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Server configuration error: Missing FMP API key' })
+    };
+  }
+
+  if (riskModelError) {
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Server configuration error: Invalid risk model', details: riskModelError.message })
+    };
+  }
+
+  if (llmError) {
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Server configuration error: Invalid LLM providers', details: llmError.message })
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Request body must be valid JSON' })
+    };
+  }
+
+  const parsed = parseHoldings(body.holdings);
+  if (parsed.error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: parsed.error })
+    };
+  }
+
+  try {
+    const symbols = parsed.holdings.map(h => h.symbol);
+    const stockData = await fetchHoldingsData(symbols);
+    const cacheResults = symbols.reduce((all, symbol) => all.concat(stockData[symbol].cache), []);
+
+    const unavailable = symbols.filter(symbol => stockData[symbol].sources.profile.status === 'failed');
+    if (unavailable.length > 0) {
+      return {
+        statusCode: 502,
+        headers,
+        body: JSON.stringify({ error: `Company data temporarily unavailable: ${unavailable.join(', ')}` })
+      };
+    }
+
+    const missing = symbols.filter(symbol => !stockData[symbol].profile);
+    if (missing.length > 0) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: `Companies not found: ${missing.join(', ')}` })
+      };
+    }
+
+    const unpriced = parsed.holdings
+      .filter(h => h.shares !== undefined && !(stockData[h.symbol].quote && stockData[h.symbol].quote.price > 0))
+      .map(h => h.symbol);
+    if (unpriced.length > 0) {
+      return {
+        statusCode: 422,
+        headers,
+        body: JSON.stringify({ error: `No current price to value shares of: ${unpriced.join(', ')}` })
+      };
+    }
+
+    const prices = {};
+    symbols.forEach(symbol => {
+      prices[symbol] = stockData[symbol].quote && stockData[symbol].quote.price;
+    });
+    const { weights, total } = resolveWeights(parsed.holdings, prices);
+
+    const holdings = parsed.holdings.map(h => {
+      const data = stockData[h.symbol];
+      return {
+        symbol: h.symbol,
+        weight: weights[h.symbol],
+        beta: data.profile.beta,
+        sector: data.profile.sector,
+        industry: data.profile.industry,
+        bars: data.historical,
+        riskData: assessRisk(data, { model: riskModel })
+      };
+    });
+
+    const analysis = analyzePortfolio(holdings);
+    const warnings = holdings
+      .filter(h => !h.bars || h.bars.length === 0)
+      .map(h => `No price history for ${h.symbol}; volatility and risk contributions are unavailable`);
+    if (warnings.length === 0 && analysis.volatility === null) {
+      warnings.push('Too few shared trading days to estimate portfolio volatility');
+    }
+
+    const holdingResults = holdings.map((h, i) => ({
+      symbol: h.symbol,
+      companyName: stockData[h.symbol].profile.companyName,
+      sector: h.sector,
+      industry: h.industry,
+      shares: parsed.holdings[i].shares,
+      price: prices[h.symbol],
+      marketValue: parsed.holdings[i].shares !== undefined ? round(parsed.holdings[i].shares * prices[h.symbol], 2) : undefined,
+      beta: h.beta,
+      ...analysis.contributions[i],
+      risk: {
+        level: h.riskData.overall.level,
+        score: round(h.riskData.overall.score),
+        market: round(h.riskData.market.score),
+        company: round(h.riskData.company.score),
+        sector: round(h.riskData.sector.score),
+        confidence: h.riskData.overall.confidence
+      }
+    }));
+
+    const portfolio = {
+      modelVersion: riskModel.version,
+      holdings: holdingResults.length,
+      marketValue: parsed.holdings[0].shares !== undefined ? round(total, 2) : null,
+      riskScore: round(holdings.reduce((sum, h) => sum + h.weight * h.riskData.overall.score, 0)),
+      beta: analysis.beta,
+      betaCoverage: analysis.betaCoverage,
+      volatility: analysis.volatility,
+      startDate: analysis.startDate,
+      endDate: analysis.endDate,
+      observations: analysis.observations,
+      concentration: analysis.concentration
+    };
+
+    const narrative = body.narrative === true
+      ? await getNarrative(portfolio, holdingResults)
+      : null;
+
+    return {
+      statusCode: 200,
+      headers: { ...headers, ...cacheHeaders(cacheResults) },
+      body: JSON.stringify({
+        portfolio,
+        holdings: holdingResults,
+        correlation: analysis.correlation,
+        narrative,
+        warnings
+      })
+    };
+  } catch (error) {
+    console.error('Error processing portfolio request:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Failed to process request', details: error.message })
+    };
+  }
+};
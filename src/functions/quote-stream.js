@@ -0,0 +1,128 @@
+// functions/quote-stream.js - Live quotes as Server-Sent Events
+//
+// GET /quote-stream?symbols=AAPL,MSFT
+//
+// Events: snapshot (full quotes), quote (changed fields only), heartbeat,
+// error, market-closed (stream ends; reconnect at data.nextOpen) and
+// reconnect (the stream hit its time limit; EventSource reconnects itself).
+const { PassThrough } = require('stream');
+const { stream } = require('@netlify/functions');
+const { getQuotes } = require('./lib/fmp');
+const { getMarketStatus } = require('./lib/market-calendar');
+const { createQuoteHub } = require('./lib/quote-stream');
+
+const MAX_SYMBOLS = 50;
+const SYMBOL_PATTERN = /^[A-Z0-9.\-^=]{1,15}$/;
+
+const POLL_INTERVAL = Number(process.env.QUOTE_STREAM_POLL_MS) || 5000;
+const HEARTBEAT_INTERVAL = 15 * 1000;
+// Streams are closed before the platform's execution limit cuts them off
+const MAX_STREAM_DURATION = (Number(process.env.QUOTE_STREAM_MAX_SECONDS) || 25) * 1000;
+const RECONNECT_DELAY = 1000;
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS'
+};
+
+// One hub per warm container, shared by every open stream
+const hub = createQuoteHub({
+  pollInterval: POLL_INTERVAL,
+  heartbeatInterval: HEARTBEAT_INTERVAL,
+  fetchQuotes: async (symbols) => {
+    const { data, errors } = await getQuotes(symbols, process.env.FMP_API_KEY, { fresh: true });
+    if (Object.keys(data).length === 0 && Object.keys(errors).length > 0) {
+      throw new Error('No quotes returned');
+    }
+    return data;
+  }
+});
+
+function sseEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function jsonError(statusCode, error) {
+  return {
+    statusCode,
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ error })
+  };
+}
+
+exports.handler = stream(async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (!process.env.FMP_API_KEY) {
+    return jsonError(500, 'API key is not configured');
+  }
+
+  const params = event.queryStringParameters || {};
+  const symbols = [...new Set(String(params.symbols || '')
+    .split(',')
+    .map(s => s.trim().toUpperCase())
+    .filter(Boolean))];
+
+  if (symbols.length === 0) {
+    return jsonError(400, 'Missing required parameter: symbols');
+  }
+  if (symbols.length > MAX_SYMBOLS) {
+    return jsonError(400, `At most ${MAX_SYMBOLS} symbols per stream`);
+  }
+  const invalid = symbols.filter(s => !SYMBOL_PATTERN.test(s));
+  if (invalid.length > 0) {
+    return jsonError(400, `Invalid symbols: ${invalid.join(', ')}`);
+  }
+
+  const body = new PassThrough();
+  const responseHeaders = {
+    ...headers,
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  };
+
+  body.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+  // Nothing to stream outside the regular session
+  const status = getMarketStatus();
+  if (!status.isOpen) {
+    body.end(sseEvent('market-closed', status));
+    return { statusCode: 200, headers: responseHeaders, body };
+  }
+
+  let finished = false;
+  let unsubscribe = null;
+  let deadline = null;
+
+  const finish = (last) => {
+    if (finished) return;
+    finished = true;
+    clearTimeout(deadline);
+    if (unsubscribe) unsubscribe();
+    body.end(last);
+  };
+
+  unsubscribe = hub.subscribe(symbols, (message) => {
+    if (finished) return;
+    if (message.type === 'market-closed') {
+      finish(sseEvent('market-closed', message.data));
+    } else {
+      body.write(sseEvent(message.type, message.data));
+    }
+  });
+
+  if (!finished) {
+    deadline = setTimeout(() => {
+      finish(sseEvent('reconnect', { after: RECONNECT_DELAY }));
+    }, MAX_STREAM_DURATION);
+  }
+
+  // Client went away
+  body.on('close', () => finish());
+
+  return { statusCode: 200, headers: responseHeaders, body };
+});
@@ -0,0 +1,87 @@
+// risk-history.js - Netlify Serverless Function for a symbol's risk history
+//
+// GET ?symbol=AAPL[&from=YYYY-MM-DD][&to=YYYY-MM-DD]
+// Returns the daily snapshots ai-risk.js recorded and every level change
+// between consecutive snapshots, with the inputs that drove it, plus the
+// dates the risk model version changed.
+const { createHistoryStoreFromEnv, riskHistory } = require('./lib/risk-history');
+
+const historyStore = createHistoryStoreFromEnv();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+exports.handler = async function(event, context) {
+  // Enable CORS
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json'
+  };
+
+  // Handle OPTIONS request (preflight)
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: 'CORS preflight successful' })
+    };
+  }
+
+  const params = event.queryStringParameters || {};
+  const symbol = params.symbol ? params.symbol.trim().toUpperCase() : '';
+
+  if (!symbol) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Stock symbol is required' })
+    };
+  }
+
+  // A store each container keeps for itself would give partial history
+  if (!historyStore.shared) {
+    return {
+      statusCode: 503,
+      headers,
+      body: JSON.stringify({ error: 'Risk history needs a shared store: set RISK_HISTORY_DIR to shared storage or RISK_HISTORY_STORE to redis' })
+    };
+  }
+
+  for (const name of ['from', 'to']) {
+    if (params[name] && !DATE_PATTERN.test(params[name])) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `${name} must be a date in YYYY-MM-DD format` })
+      };
+    }
+  }
+
+  try {
+    const { snapshots, changes, modelChanges } = await riskHistory(historyStore, symbol, { from: params.from, to: params.to });
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        symbol,
+        store: historyStore.name,
+        from: params.from || (snapshots[0] ? snapshots[0].date : null),
+        to: params.to || (snapshots.length > 0 ? snapshots[snapshots.length - 1].date : null),
+        count: snapshots.length,
+        latest: snapshots.length > 0 ? snapshots[snapshots.length - 1] : null,
+        series: snapshots,
+        changes,
+        modelChanges
+      })
+    };
+  } catch (error) {
+    console.error('Error reading risk history:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Failed to read risk history', details: error.message })
+    };
+  }
+};
@@ -1,61 +1,69 @@
 // netlify/functions/stock-data.js
 
-const axios = require('axios');
+const { cacheHeaders } = require('./lib/cache');
+const {
+  getQuote,
+  getQuotes,
+  getProfile,
+  getHistoricalDaily,
+  getIntradayChart,
+  getStockSplits,
+  getStockDividends,
+  getRatiosTTM,
+  getKeyMetricsTTM,
+  getAnalystRecommendations,
+  getPriceTargetConsensus
+} = require('./lib/fmp');
+const { rateStock } = require('./lib/rating');
+const { parseIndicatorSpecs, lookbackFor, computeIndicator } = require('./lib/indicators');
+const { getMarketStatus, isMarketOpen, exchangeTime } = require('./lib/market-calendar');
+const { downsample, AGGREGATIONS } = require('./lib/downsample');
+const { adjustBars, totalReturn, ADJUSTMENTS } = require('./lib/adjustments');
+const { compareToBenchmarks, SECTOR_ETFS } = require('./lib/comparison');
 
-// FMP API endpoints
-const FMP_API = {
-  quote: 'https://financialmodelingprep.com/api/v3/quote',
-  marketStatus: 'https://financialmodelingprep.com/api/v3/is-the-market-open',
-  historical: {
-    daily: 'https://financialmodelingprep.com/api/v3/historical-price-full',
-    intraday: 'https://financialmodelingprep.com/api/v3/historical-chart'
-  }
+// Historical cache expiry per timeframe (other data types use the shared TTLs)
+const HISTORICAL_EXPIRY = {
+  '1W': 60 * 60 * 1000, // 1 hour
+  default: 24 * 60 * 60 * 1000 // 24 hours
 };
 
-// Cache setup
-const CACHE = {
-  quotes: {},
-  historical: {},
-  market: { isOpen: null, lastChecked: null },
-  expiry: {
-    quotes: 60 * 1000, // 1 minute
-    historical: {
-      '1W': 60 * 60 * 1000, // 1 hour
-      default: 24 * 60 * 60 * 1000 // 24 hours
-    },
-    market: 5 * 60 * 1000 // 5 minutes
-  },
-  isValid(type, symbol, timeframe) {
-    if (!this[type][symbol]) return false;
-    if (!this[type][symbol][timeframe]) return false;
-    const entry = this[type][symbol][timeframe];
-    const now = Date.now();
-    const exp = type === 'historical' ? 
-      this.expiry.historical[timeframe] || this.expiry.historical.default : 
-      this.expiry[type];
-    return entry.timestamp && (now - entry.timestamp < exp);
-  },
-  get(type, symbol, timeframe) {
-    return this.isValid(type, symbol, timeframe) ? 
-      this[type][symbol][timeframe].data : null;
-  },
-  set(type, symbol, timeframe, data) {
-    if (!this[type][symbol]) this[type][symbol] = {};
-    this[type][symbol][timeframe] = { data, timestamp: Date.now() };
-  },
-  getMarketStatus() {
-    return (!this.market.lastChecked || 
-      Date.now() - this.market.lastChecked > this.expiry.market) ? 
-      null : this.market.isOpen;
-  },
-  setMarketStatus(isOpen) {
-    this.market.isOpen = isOpen;
-    this.market.lastChecked = Date.now();
-  }
+// Intraday bar intervals and how long each fetched series stays fresh
+const INTRADAY_EXPIRY = {
+  '1min': 60 * 1000, // 1 minute
+  '5min': 5 * 60 * 1000, // 5 minutes
+  '15min': 15 * 60 * 1000, // 15 minutes
+  '30min': 30 * 60 * 1000, // 30 minutes
+  '1hour': 60 * 60 * 1000 // 1 hour
 };
 
+// Regular NYSE/NASDAQ session in exchange time (FMP intraday bars are Eastern)
+const REGULAR_SESSION = { open: '09:30', close: '16:00' };
+
+// Batch quote limits
+const MAX_BATCH_SYMBOLS = 500;
+const QUOTE_CHUNK_SIZE = 50;
+const SYMBOL_PATTERN = /^[A-Z0-9.\-^=]{1,15}$/;
+
+// Benchmark comparison - "sector" resolves to the symbol's sector ETF
+const DEFAULT_BENCHMARKS = ['SPY', 'SECTOR'];
+const MAX_BENCHMARKS = 5;
+
 // Timeframe configurations
 const TIMEFRAME = {
+  "1D": {
+    interval: 'intraday',
+    intervals: ['1min', '5min', '15min', '30min'],
+    defaultInterval: '5min',
+    sessions: 1,
+    dateRange: { days: 7 } // Reaches back over weekends and holidays
+  },
+  "5D": {
+    interval: 'intraday',
+    intervals: ['5min', '15min', '30min', '1hour'],
+    defaultInterval: '30min',
+    sessions: 5,
+    dateRange: { days: 10 }
+  },
   "1W": {
     interval: 'daily',
     limit: 7,
@@ -81,9 +89,41 @@ const TIMEFRAME = {
     interval: 'daily',
     limit: 365,
     dateRange: { years: 1 }
+  },
+  "YTD": {
+    interval: 'daily',
+    dateRange: { ytd: true }
+  },
+  "5Y": {
+    interval: 'daily',
+    dateRange: { years: 5 },
+    targetPoints: 500
+  },
+  "10Y": {
+    interval: 'daily',
+    dateRange: { years: 10 },
+    targetPoints: 500
+  },
+  "MAX": {
+    interval: 'daily',
+    dateRange: { max: true },
+    targetPoints: 500
+  },
+  "CUSTOM": {
+    interval: 'daily',
+    custom: true, // from/to supplied by the caller
+    targetPoints: 500
   }
 };
 
+// Earliest date requested for MAX - FMP returns from the first available bar
+const MAX_START_DATE = '1970-01-01';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Downsampling limits for the target point count
+const MIN_POINTS = 10;
+const MAX_POINTS = 5000;
+
 // Helper function to get date range for a timeframe
 function getDateRange(timeframe) {
   const config = TIMEFRAME[timeframe];
@@ -95,88 +135,88 @@ function getDateRange(timeframe) {
   if (config.dateRange.days) startDate.setDate(endDate.getDate() - config.dateRange.days);
   if (config.dateRange.months) startDate.setMonth(endDate.getMonth() - config.dateRange.months);
   if (config.dateRange.years) startDate.setFullYear(endDate.getFullYear() - config.dateRange.years);
+  if (config.dateRange.ytd) startDate = new Date(endDate.getFullYear(), 0, 1);
   
   return {
-    startDate: formatDate(startDate),
+    startDate: config.dateRange.max ? MAX_START_DATE : formatDate(startDate),
     endDate: formatDate(endDate)
   };
 }
 
-// Format date to YYYY-MM-DD
-function formatDate(d) {
-  return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
-}
-
-// Get market status
-async function isMarketOpen(apiKey) {
-  const cachedStatus = CACHE.getMarketStatus();
-  if (cachedStatus !== null) return cachedStatus;
-  
-  // Quick check based on time
-  const now = new Date();
-  const day = now.getDay();
-  if (day === 0 || day === 6) {
-    CACHE.setMarketStatus(false);
-    return false;
-  }
+// Validate the timeframe, interval and custom from/to parameters.
+// Resolves to { timeframe, config, interval, range } or { error }.
+function resolveTimeframe(params) {
+  let timeframe = params.timeframe ? String(params.timeframe).toUpperCase() : '';
+  if (!timeframe && params.from && params.to) timeframe = 'CUSTOM';
   
-  const h = now.getHours();
-  const m = now.getMinutes();
-  const isHours = (h > 9 || (h === 9 && m >= 30)) && h < 16;
+  const config = TIMEFRAME[timeframe];
+  if (!config) return { error: 'Invalid timeframe' };
   
-  if (h >= 8 && h <= 17) {
-    try {
-      const res = await axios.get(`${FMP_API.marketStatus}?apikey=${apiKey}`);
-      if (res.status === 200) {
-        const data = res.data;
-        const isOpen = data.isTheStockMarketOpen === true;
-        CACHE.setMarketStatus(isOpen);
-        return isOpen;
-      }
-    } catch (e) {
-      console.error('Error checking market status:', e.message);
+  const interval = params.interval || config.defaultInterval;
+  if (config.intervals && !config.intervals.includes(interval)) {
+    return { error: `Invalid interval for ${timeframe}. Use one of: ${config.intervals.join(', ')}` };
+  }
+  
+  if (config.custom) {
+    const { from, to } = params;
+    if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '') || from > to) {
+      return { error: 'Custom ranges need from and to dates (YYYY-MM-DD), with from on or before to' };
     }
+    return { timeframe, config, interval, range: { startDate: from, endDate: to } };
   }
   
-  CACHE.setMarketStatus(isHours);
-  return isHours;
+  return { timeframe, config, interval, range: getDateRange(timeframe) };
+}
+
+// Validate the adjustment parameter against the resolved timeframe.
+// Resolves to { adjustment } or { error }.
+function resolveAdjustment(params, config) {
+  const adjustment = params.adjustment ? String(params.adjustment).toLowerCase() : 'none';
+  if (!ADJUSTMENTS.includes(adjustment)) {
+    return { error: `Invalid adjustment. Use one of: ${ADJUSTMENTS.join(', ')}` };
+  }
+  if (adjustment !== 'none' && config.interval !== 'daily') {
+    return { error: 'Adjustments are only available for daily timeframes' };
+  }
+  return { adjustment };
+}
+
+// Format date to YYYY-MM-DD
+function formatDate(d) {
+  return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
 }
 
 // Supplement historical data with intraday data if needed
 async function supplementIntraday(symbol, histData, apiKey) {
-  const today = new Date().toISOString().split('T')[0];
+  // Bars are dated in exchange time, so "today" is the New York date
+  const today = exchangeTime().date;
   const hasTodayData = histData.some(item => 
-    item.date && new Date(item.date).toISOString().split('T')[0] === today
+    item.date && String(item.date).slice(0, 10) === today
   );
   
   if (!hasTodayData) {
     try {
-      const url = `${FMP_API.historical.intraday}/30min/${symbol}?apikey=${apiKey}`;
-      const res = await axios.get(url);
+      const { data } = await getIntradayChart('30min', symbol, {}, apiKey);
       
-      if (res.status === 200) {
-        const data = res.data;
+      if (data && data.length > 0) {
+        const todayData = data.filter(item => {
+          return String(item.date).slice(0, 10) === today;
+        });
         
-        if (data && data.length > 0) {
-          const todayData = data.filter(item => {
-            return new Date(item.date).toISOString().split('T')[0] === today;
-          });
+        if (todayData.length > 0) {
+          const lastPrice = todayData[0].close;
+          const openPrice = todayData[todayData.length - 1].open;
+          const highPrice = Math.max(...todayData.map(i => i.high || i.close));
+          const lowPrice = Math.min(...todayData.map(i => i.low || i.close));
           
-          if (todayData.length > 0) {
-            const lastPrice = todayData[0].close;
-            const openPrice = todayData[todayData.length - 1].open;
-            const highPrice = Math.max(...todayData.map(i => i.high || i.close));
-            const lowPrice = Math.min(...todayData.map(i => i.low || i.close));
-            
-            histData.unshift({
-              date: today,
-              open: openPrice,
-              high: highPrice,
-              low: lowPrice,
-              close: lastPrice,
-              volume: 0
-            });
-          }
+          histData.unshift({
+            date: today,
+            open: openPrice,
+            high: highPrice,
+            low: lowPrice,
+            close: lastPrice,
+            volume: 0
+          });
         }
       }
     } catch (e) {
@@ -187,31 +227,265 @@ async function supplementIntraday(symbol, histData, apiKey) {
   return histData;
 }
 
-// Generate AI rating with target price
-function generateAIRating(symbol, currentPrice) {
-  const basePrice = currentPrice || 100;
-  const targetPrice = basePrice * (1 + (Math.random() * 0.3 - 0.15));
-  const priceDiff = targetPrice - basePrice;
-  let rating = 'Hold';
-  
-  if (priceDiff > basePrice * 0.1) {
-    rating = 'Strong Buy';
-  } else if (priceDiff > basePrice * 0.03) {
-    rating = 'Buy';
-  } else if (priceDiff < -basePrice * 0.1) {
-    rating = 'Strong Sell';
-  } else if (priceDiff < -basePrice * 0.03) {
-    rating = 'Sell';
+// Drop pre- and post-market bars unless extended hours were asked for
+function filterSession(bars, extendedHours) {
+  if (extendedHours) return bars;
+  return bars.filter(bar => {
+    const time = String(bar.date).slice(11, 16);
+    return time >= REGULAR_SESSION.open && time < REGULAR_SESSION.close;
+  });
+}
+
+// Split intraday bars (newest first) into the last `sessions` trading days
+// and everything older
+function splitSessions(bars, sessions) {
+  const days = [...new Set(bars.map(bar => String(bar.date).slice(0, 10)))]
+    .sort()
+    .slice(-sessions);
+  
+  return {
+    visible: bars.filter(bar => days.includes(String(bar.date).slice(0, 10))),
+    older: bars.filter(bar => String(bar.date).slice(0, 10) < days[0])
+  };
+}
+
+// Move a YYYY-MM-DD date back by a number of calendar days
+function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00`);
+  d.setDate(d.getDate() - days);
+  return formatDate(d);
+}
+
+// Price bars for a timeframe, newest first. Resolves to { bars, lookback,
+// interval, adjustment, served } or null when upstream has nothing for the
+// symbol. options.range overrides the timeframe's dates; options.adjustment
+// restates daily bars for splits/dividends; options.lookbackBars asks for
+// that many bars before the visible window (returned newest first in
+// `lookback`) for indicator warm-up.
+async function fetchTimeframeBars(symbol, timeframe, options, apiKey) {
+  const config = TIMEFRAME[timeframe];
+  const range = options.range || getDateRange(timeframe);
+  const lookbackBars = options.lookbackBars || 0;
+  
+  if (config.interval === 'intraday') {
+    const interval = options.interval || config.defaultInterval;
+    const minutes = interval === '1hour' ? 60 : parseInt(interval, 10);
+    const barsPerSession = Math.ceil(390 / minutes);
+    // Calendar days covering the warm-up sessions, plus weekends
+    const extraDays = lookbackBars ? Math.ceil(lookbackBars / barsPerSession * 7 / 5) + 2 : 0;
+    
+    const chart = await getIntradayChart(interval, symbol, {
+      from: shiftDate(range.startDate, extraDays),
+      to: range.endDate
+    }, apiKey, {
+      ttl: INTRADAY_EXPIRY[interval]
+    });
+    
+    if (!Array.isArray(chart.data) || chart.data.length === 0) return null;
+    
+    const sessions = splitSessions(filterSession(chart.data, options.extendedHours), config.sessions);
+    
+    return {
+      bars: sessions.visible,
+      lookback: sessions.older.slice(0, lookbackBars),
+      interval,
+      adjustment: 'none',
+      served: [chart]
+    };
+  }
+  
+  // Trading days to calendar days, with a week of slack for holidays
+  const extraDays = lookbackBars ? Math.ceil(lookbackBars * 7 / 5) + 7 : 0;
+  const dates = range
+    ? { from: shiftDate(range.startDate, extraDays), to: range.endDate }
+    : {};
+  
+  const historical = await getHistoricalDaily(symbol, dates, apiKey, {
+    ttl: HISTORICAL_EXPIRY[timeframe] || HISTORICAL_EXPIRY.default
+  });
+  
+  if (!historical.data || !historical.data.historical) return null;
+  
+  // Copy - the cached series is shared with other requests
+  let bars = range
+    ? historical.data.historical.filter(bar => bar.date >= range.startDate)
+    : [...historical.data.historical];
+  const lookback = range
+    ? historical.data.historical.filter(bar => bar.date < range.startDate).slice(0, lookbackBars)
+    : [];
+  
+  // For short timeframes, supplement with intraday data if market is open
+  if (config.supplementWithIntraday) {
+    if (isMarketOpen()) {
+      bars = await supplementIntraday(symbol, bars, apiKey);
+    }
+  }
+  
+  const served = [historical];
+  const adjustment = options.adjustment || 'none';
+  if (adjustment !== 'none') {
+    // Adjust the lookback with the visible bars so indicators stay continuous
+    const corporate = await fetchCorporateActions(symbol, apiKey);
+    served.push(...corporate.served);
+    const adjusted = adjustBars([...bars, ...lookback], corporate.actions, adjustment);
+    return {
+      bars: adjusted.slice(0, bars.length),
+      lookback: adjusted.slice(bars.length),
+      interval: 'daily',
+      adjustment,
+      served
+    };
+  }
+  
+  return { bars, lookback, interval: 'daily', adjustment, served };
+}
+
+// Split and dividend history for adjustments and total return
+async function fetchCorporateActions(symbol, apiKey) {
+  const [splits, dividends] = await Promise.all([
+    getStockSplits(symbol, apiKey),
+    getStockDividends(symbol, apiKey)
+  ]);
+  return {
+    actions: { splits: splits.data, dividends: dividends.data },
+    served: [splits, dividends]
+  };
+}
+
+// Indicator series aligned with `bars` (newest first), computed over the
+// lookback bars as well so the first visible values are already warmed up
+function buildIndicators(specs, bars, lookback) {
+  const chronological = [...bars, ...lookback].reverse();
+  const closes = chronological.map(bar => bar.close);
+  const visible = bars.length;
+  
+  // Keep the visible tail, newest first, rounded to keep the payload small
+  const align = (values) => values
+    .slice(values.length - visible)
+    .reverse()
+    .map(v => (v === null ? null : Math.round(v * 10000) / 10000));
+  
+  const indicators = {};
+  specs.forEach(spec => {
+    const values = computeIndicator(spec, closes);
+    
+    if (Array.isArray(values)) {
+      indicators[spec.key] = { type: spec.type, params: spec.params, values: align(values) };
+    } else {
+      const aligned = {};
+      Object.keys(values).forEach(name => {
+        aligned[name] = align(values[name]);
+      });
+      indicators[spec.key] = { type: spec.type, params: spec.params, values: aligned };
+    }
+  });
+  
+  return indicators;
+}
+
+// Query-string or JSON boolean flag
+function isTrue(value) {
+  return value === true || value === 'true';
+}
+
+// Split a comma-separated string or array of symbols into a clean, de-duplicated list
+function parseSymbolList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(s => String(s).trim().toUpperCase()).filter(Boolean))];
+}
+
+// Quotes for many symbols at once, keyed by symbol. Unknown or invalid
+// symbols are reported in `errors` rather than failing the request.
+async function getBatchQuotes(symbols, apiKey) {
+  const valid = symbols.filter(s => SYMBOL_PATTERN.test(s));
+  const errors = {};
+  
+  symbols.filter(s => !SYMBOL_PATTERN.test(s)).forEach(s => {
+    errors[s] = 'Invalid symbol';
+  });
+  
+  const batch = await getQuotes(valid, apiKey, { chunkSize: QUOTE_CHUNK_SIZE });
+  Object.assign(errors, batch.errors);
+  
+  valid.forEach(s => {
+    if (!batch.data[s] && !errors[s]) errors[s] = 'Stock not found';
+  });
+  
+  const quotes = {};
+  valid.forEach(s => {
+    if (batch.data[s]) quotes[s] = batch.data[s];
+  });
+  
+  return {
+    served: batch.results,
+    data: {
+      quotes,
+      errors,
+      requested: symbols.length,
+      found: Object.keys(quotes).length
+    }
+  };
+}
+
+// Resolve requested benchmarks to tickers. SECTOR becomes the SPDR ETF for
+// the symbol's FMP profile sector; anything unresolvable lands in `warnings`.
+async function resolveBenchmarks(symbol, requested, apiKey) {
+  const benchmarks = [];
+  const warnings = [];
+  const served = [];
+  
+  for (const item of requested) {
+    if (item === 'SECTOR') {
+      const profile = await getProfile(symbol, apiKey).catch(() => null);
+      if (profile) served.push(profile);
+      const sector = profile && profile.data ? profile.data.sector : null;
+      if (sector && SECTOR_ETFS[sector]) {
+        benchmarks.push({ symbol: SECTOR_ETFS[sector], source: 'sector', sector });
+      } else {
+        warnings.push(sector ? `No sector ETF for sector "${sector}"` : 'Sector unavailable for symbol');
+      }
+    } else if (SYMBOL_PATTERN.test(item)) {
+      benchmarks.push({ symbol: item, source: 'requested' });
+    } else {
+      warnings.push(`Invalid benchmark "${item}"`);
+    }
   }
   
-  const confidence = Math.floor(60 + Math.random() * 30);
+  // The sector ETF may duplicate an explicit benchmark
+  const unique = benchmarks.filter((b, i) => benchmarks.findIndex(o => o.symbol === b.symbol) === i);
+  return { benchmarks: unique, warnings, served };
+}
+
+// Gather the inputs for the rating model. Each source is optional - a
+// missing one lowers the rating's confidence instead of failing the request.
+async function fetchRatingInputs(symbol, apiKey) {
+  const range = getDateRange('1Y');
+  const optional = (promise, label) => promise.catch(e => {
+    console.error(`Error fetching ${label} for rating:`, e.message);
+    return null;
+  });
+  
+  const [quote, ratios, metrics, historical, recommendations, priceTarget] = await Promise.all([
+    optional(getQuote(symbol, apiKey), 'quote'),
+    optional(getRatiosTTM(symbol, apiKey), 'ratios'),
+    optional(getKeyMetricsTTM(symbol, apiKey), 'key metrics'),
+    optional(getHistoricalDaily(symbol, { from: range.startDate, to: range.endDate }, apiKey), 'historical prices'),
+    optional(getAnalystRecommendations(symbol, apiKey), 'analyst recommendations'),
+    optional(getPriceTargetConsensus(symbol, apiKey), 'price target')
+  ]);
+  
+  const value = (result) => (result ? result.data : null);
   
   return {
-    symbol: symbol,
-    rating: rating,
-    target_price: targetPrice,
-    confidence: confidence,
-    generated: true
+    served: [quote, ratios, metrics, historical, recommendations, priceTarget],
+    inputs: {
+      quote: value(quote),
+      ratios: value(ratios),
+      metrics: value(metrics),
+      historical: value(historical) ? value(historical).historical : null,
+      recommendations: value(recommendations),
+      priceTarget: value(priceTarget)
+    }
   };
 }
 
@@ -220,7 +494,8 @@ exports.handler = async (event, context) => {
   const headers = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS'
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Expose-Headers': 'X-Cache, X-Cache-Age, X-Adjustment, X-Aggregation, X-Source-Points, X-Data-Points'
   };
   
   // Handle preflight OPTIONS request
@@ -243,7 +518,21 @@ exports.handler = async (event, context) => {
       };
     }
     
-    const params = event.queryStringParameters || {};
+    let params = event.queryStringParameters || {};
+    
+    // POSTed parameters (used for long symbol lists) override the query string
+    if (event.httpMethod === 'POST' && event.body) {
+      try {
+        params = { ...params, ...JSON.parse(event.body) };
+      } catch (e) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Invalid request body' })
+        };
+      }
+    }
+    
     const { type, symbol, timeframe } = params;
     
     if (!type) {
@@ -255,9 +544,29 @@ exports.handler = async (event, context) => {
     }
     
     let responseData;
+    let extraHeaders = {};
+    const served = []; // Cache results, reported in the X-Cache headers
     
     switch (type) {
-      case 'quote':
+      case 'quote': {
+        // Batch mode: ?symbols=AAPL,MSFT or a POSTed { symbols: [...] }
+        if (params.symbols) {
+          const symbols = parseSymbolList(params.symbols);
+          
+          if (symbols.length === 0 || symbols.length > MAX_BATCH_SYMBOLS) {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ error: `Provide between 1 and ${MAX_BATCH_SYMBOLS} symbols` })
+            };
+          }
+          
+          const batch = await getBatchQuotes(symbols, apiKey);
+          served.push(...batch.served);
+          responseData = batch.data;
+          break;
+        }
+        
         if (!symbol) {
           return {
             statusCode: 400,
@@ -266,85 +575,313 @@ exports.handler = async (event, context) => {
           };
         }
         
-        // Check cache first
-        responseData = CACHE.get('quotes', symbol, 'any');
+        const quote = await getQuote(symbol, apiKey);
+        served.push(quote);
         
-        if (!responseData) {
-          const url = `${FMP_API.quote}/${symbol}?apikey=${apiKey}`;
-          const response = await axios.get(url);
-          
-          if (response.status === 200 && response.data && response.data.length > 0) {
-            responseData = response.data[0];
-            CACHE.set('quotes', symbol, 'any', responseData);
-          } else {
-            return {
-              statusCode: 404,
-              headers,
-              body: JSON.stringify({ error: 'Stock not found' })
-            };
-          }
+        if (!quote.data) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Stock not found' })
+          };
         }
+        
+        responseData = quote.data;
         break;
+      }
         
-      case 'historical':
-        if (!symbol || !timeframe) {
+      case 'historical': {
+        if (!symbol || (!timeframe && !(params.from && params.to))) {
           return {
             statusCode: 400,
             headers,
-            body: JSON.stringify({ error: 'Missing required parameters: symbol and timeframe' })
+            body: JSON.stringify({ error: 'Missing required parameters: symbol and timeframe (or from and to)' })
           };
         }
         
-        // Check cache first
-        responseData = CACHE.get('historical', symbol, timeframe);
+        const resolved = resolveTimeframe(params);
+        if (resolved.error) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: resolved.error })
+          };
+        }
         
-        if (!responseData) {
-          const config = TIMEFRAME[timeframe];
-          if (!config) {
-            return {
-              statusCode: 400,
-              headers,
-              body: JSON.stringify({ error: 'Invalid timeframe' })
-            };
-          }
-          
-          const range = getDateRange(timeframe);
-          let url = `${FMP_API.historical.daily}/${symbol}?apikey=${apiKey}`;
-          
-          if (range) {
-            url += `&from=${range.startDate}&to=${range.endDate}`;
-          }
-          
-          const response = await axios.get(url);
-          
-          if (response.status === 200 && response.data && response.data.historical) {
-            responseData = response.data.historical;
-            
-            // For short timeframes, supplement with intraday data if market is open
-            if (timeframe === '1W') {
-              const marketOpen = await isMarketOpen(apiKey);
-              if (marketOpen) {
-                responseData = await supplementIntraday(symbol, responseData, apiKey);
-              }
-            }
-            
-            CACHE.set('historical', symbol, timeframe, responseData);
+        const { adjustment, error: adjustmentError } = resolveAdjustment(params, resolved.config);
+        if (adjustmentError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: adjustmentError })
+          };
+        }
+        
+        // Target point count: explicit, or the timeframe's default for long ranges
+        const points = params.points !== undefined ? Number(params.points) : resolved.config.targetPoints;
+        const aggregation = params.aggregation || 'auto';
+        if (points !== undefined && (!Number.isInteger(points) || points < MIN_POINTS || points > MAX_POINTS)) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: `points must be a whole number between ${MIN_POINTS} and ${MAX_POINTS}` })
+          };
+        }
+        if (!AGGREGATIONS.includes(aggregation)) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: `Invalid aggregation. Use one of: ${AGGREGATIONS.join(', ')}` })
+          };
+        }
+        
+        const series = await fetchTimeframeBars(symbol, resolved.timeframe, {
+          interval: resolved.interval,
+          range: resolved.range,
+          adjustment,
+          extendedHours: isTrue(params.extendedHours)
+        }, apiKey);
+        
+        if (!series) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Historical data not found' })
+          };
+        }
+        
+        served.push(...series.served);
+        
+        // Downsampling only applies to daily bars
+        const sampled = series.interval === 'daily'
+          ? downsample(series.bars, points, aggregation)
+          : { bars: series.bars, aggregation: 'none' };
+        
+        responseData = sampled.bars;
+        extraHeaders = {
+          'X-Adjustment': series.adjustment,
+          'X-Aggregation': sampled.aggregation,
+          'X-Source-Points': String(series.bars.length),
+          'X-Data-Points': String(sampled.bars.length)
+        };
+        break;
+      }
+        
+      case 'indicators': {
+        if (!symbol || (!timeframe && !(params.from && params.to)) || !params.indicators) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Missing required parameters: symbol, timeframe and indicators' })
+          };
+        }
+        
+        const resolved = resolveTimeframe(params);
+        if (resolved.error) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: resolved.error })
+          };
+        }
+        
+        const { adjustment, error: adjustmentError } = resolveAdjustment(params, resolved.config);
+        if (adjustmentError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: adjustmentError })
+          };
+        }
+        
+        let specs;
+        try {
+          specs = parseIndicatorSpecs(params.indicators);
+        } catch (e) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: e.message })
+          };
+        }
+        
+        const series = await fetchTimeframeBars(symbol, resolved.timeframe, {
+          interval: resolved.interval,
+          range: resolved.range,
+          adjustment,
+          extendedHours: isTrue(params.extendedHours),
+          lookbackBars: lookbackFor(specs)
+        }, apiKey);
+        
+        if (!series) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Historical data not found' })
+          };
+        }
+        
+        served.push(...series.served);
+        responseData = {
+          symbol: symbol.toUpperCase(),
+          timeframe: resolved.timeframe,
+          interval: series.interval,
+          adjustment: series.adjustment,
+          bars: series.bars,
+          indicators: buildIndicators(specs, series.bars, series.lookback)
+        };
+        break;
+      }
+        
+      case 'total-return': {
+        if (!symbol || (!timeframe && !(params.from && params.to))) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Missing required parameters: symbol and timeframe (or from and to)' })
+          };
+        }
+        
+        const resolved = resolveTimeframe(params);
+        if (resolved.error || resolved.config.interval !== 'daily') {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: resolved.error || 'Total return is only available for daily timeframes' })
+          };
+        }
+        
+        // Raw bars - the price and total-return indexes apply their own adjustments
+        const series = await fetchTimeframeBars(symbol, resolved.timeframe, { range: resolved.range }, apiKey);
+        if (!series || series.bars.length < 2) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Historical data not found' })
+          };
+        }
+        
+        const corporate = await fetchCorporateActions(symbol, apiKey);
+        served.push(...series.served, ...corporate.served);
+        
+        const result = totalReturn(series.bars, corporate.actions);
+        responseData = {
+          symbol: symbol.toUpperCase(),
+          timeframe: resolved.timeframe,
+          ...result.stats,
+          series: result.series
+        };
+        break;
+      }
+        
+      case 'compare': {
+        if (!symbol || (!timeframe && !(params.from && params.to))) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Missing required parameters: symbol and timeframe (or from and to)' })
+          };
+        }
+        
+        const resolved = resolveTimeframe(params);
+        if (resolved.error || resolved.config.interval !== 'daily') {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: resolved.error || 'Comparisons are only available for daily timeframes' })
+          };
+        }
+        
+        // Split-adjusted by default so a split doesn't read as a crash
+        const { adjustment, error: adjustmentError } = resolveAdjustment(
+          { adjustment: params.adjustment || 'splits' },
+          resolved.config
+        );
+        if (adjustmentError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: adjustmentError })
+          };
+        }
+        
+        const requested = params.benchmarks ? parseSymbolList(params.benchmarks) : DEFAULT_BENCHMARKS;
+        if (requested.length > MAX_BENCHMARKS) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: `At most ${MAX_BENCHMARKS} benchmarks per request` })
+          };
+        }
+        
+        const upper = symbol.toUpperCase();
+        const { benchmarks, warnings, served: profileServed } = await resolveBenchmarks(upper, requested, apiKey);
+        served.push(...profileServed);
+        
+        const options = { range: resolved.range, adjustment };
+        const [primary, ...others] = await Promise.all([upper, ...benchmarks.map(b => b.symbol)].map(s =>
+          fetchTimeframeBars(s, resolved.timeframe, options, apiKey).catch(error => {
+            console.error(`Error fetching bars for ${s}:`, error.message);
+            return null;
+          })
+        ));
+        
+        if (!primary) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Historical data not found' })
+          };
+        }
+        served.push(...primary.served);
+        
+        const series = { [upper]: primary.bars };
+        const available = [];
+        benchmarks.forEach((benchmark, i) => {
+          if (others[i]) {
+            served.push(...others[i].served);
+            series[benchmark.symbol] = others[i].bars;
+            available.push(benchmark);
           } else {
-            return {
-              statusCode: 404,
-              headers,
-              body: JSON.stringify({ error: 'Historical data not found' })
-            };
+            warnings.push(`No data for benchmark ${benchmark.symbol}`);
           }
+        });
+        
+        if (available.length === 0) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'No benchmark data available', warnings })
+          };
         }
+        
+        const comparison = compareToBenchmarks(upper, available, series);
+        if (!comparison) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Not enough overlapping history to compare', warnings })
+          };
+        }
+        
+        responseData = {
+          symbol: upper,
+          timeframe: resolved.timeframe,
+          adjustment,
+          ...comparison,
+          warnings
+        };
         break;
+      }
         
-      case 'market-status':
-        const isOpen = await isMarketOpen(apiKey);
-        responseData = { isTheStockMarketOpen: isOpen };
+      case 'market-status': {
+        // Session state, next open/close and the reason when closed
+        const status = getMarketStatus();
+        responseData = { isTheStockMarketOpen: status.isOpen, ...status };
         break;
+      }
         
-      case 'ai-rating':
+      case 'ai-rating': {
         if (!symbol) {
           return {
             statusCode: 400,
@@ -353,29 +890,11 @@ exports.handler = async (event, context) => {
           };
         }
         
-        try {
-          // Get current price first
-          const quoteData = CACHE.get('quotes', symbol, 'any');
-          let currentPrice;
-          
-          if (!quoteData) {
-            const quoteUrl = `${FMP_API.quote}/${symbol}?apikey=${apiKey}`;
-            const quoteResponse = await axios.get(quoteUrl);
-            
-            if (quoteResponse.status === 200 && quoteResponse.data && quoteResponse.data.length > 0) {
-              currentPrice = quoteResponse.data[0].price;
-              CACHE.set('quotes', symbol, 'any', quoteResponse.data[0]);
-            }
-          } else {
-            currentPrice = quoteData.price;
-          }
-          
-          responseData = generateAIRating(symbol, currentPrice);
-        } catch (e) {
-          console.error('Error generating AI rating:', e.message);
-          responseData = generateAIRating(symbol, 100);
-        }
+        const rating = await fetchRatingInputs(symbol, apiKey);
+        served.push(...rating.served);
+        responseData = rateStock(symbol, rating.inputs);
         break;
+      }
         
       default:
         return {
@@ -387,7 +906,7 @@ exports.handler = async (event, context) => {
     
     return {
       statusCode: 200,
-      headers,
+      headers: { ...headers, ...cacheHeaders(served), ...extraHeaders },
       body: JSON.stringify(responseData)
     };
     
@@ -0,0 +1,55 @@
+// Split and dividend adjustments
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { adjustmentFactors, adjustBars, totalReturn } = require('../../src/functions/lib/adjustments');
+
+// Two weeks of bars, newest first: a 2-for-1 split with ex-date 2024-06-10
+// and a $1 dividend with ex-date 2024-06-12
+const BARS = [
+  { date: '2024-06-14', close: 104, volume: 2000 },
+  { date: '2024-06-13', close: 103, volume: 2000 },
+  { date: '2024-06-12', close: 102, volume: 2000 },
+  { date: '2024-06-11', close: 100, volume: 2000 },
+  { date: '2024-06-10', close: 101, volume: 2000 },
+  { date: '2024-06-07', close: 200, volume: 1000 },
+  { date: '2024-06-06', close: 198, volume: 1000 }
+];
+const ACTIONS = {
+  splits: { historical: [{ date: '2024-06-10', numerator: 2, denominator: 1 }] },
+  dividends: { historical: [{ date: '2024-06-12', dividend: 1 }] }
+};
+
+test('splits adjust the bars before the split date only', () => {
+  const factors = adjustmentFactors(BARS, ACTIONS, 'splits');
+  assert.deepEqual(factors.map(f => f.price), [1, 1, 1, 1, 1, 0.5, 0.5]);
+  assert.deepEqual(factors.map(f => f.volume), [1, 1, 1, 1, 1, 2, 2]);
+
+  const adjusted = adjustBars(BARS, ACTIONS, 'splits');
+  assert.deepEqual(adjusted.map(bar => bar.close), [104, 103, 102, 100, 101, 100, 99]);
+  assert.deepEqual(adjusted.map(bar => bar.volume), [2000, 2000, 2000, 2000, 2000, 2000, 2000]);
+});
+
+test('dividends scale the bars before the ex-date by the last close before it', () => {
+  const factors = adjustmentFactors(BARS, ACTIONS, 'splits+dividends');
+  // 1 - $1 / $100 close on 2024-06-11
+  assert.deepEqual(factors.map(f => f.price), [1, 1, 1, 0.99, 0.99, 0.495, 0.495]);
+  assert.deepEqual(factors.map(f => f.volume), [1, 1, 1, 1, 1, 2, 2]);
+});
+
+test('events after the newest bar are not applied and none leaves bars alone', () => {
+  const future = { splits: [{ date: '2024-07-01', numerator: 4, denominator: 1 }], dividends: [] };
+  assert.deepEqual(adjustmentFactors(BARS, future, 'splits').map(f => f.price), [1, 1, 1, 1, 1, 1, 1]);
+  assert.equal(adjustBars(BARS, ACTIONS, 'none'), BARS);
+});
+
+test('total return adds the dividend on top of the split-adjusted price return', () => {
+  const { stats, series } = totalReturn(BARS, ACTIONS);
+  assert.equal(stats.startDate, '2024-06-06');
+  assert.equal(stats.endDate, '2024-06-14');
+  assert.equal(stats.priceReturn, 0.0505); // 104 / 99 - 1
+  assert.equal(stats.totalReturn, 0.0611); // 104 / (99 * 0.99) - 1
+  assert.equal(stats.dividendContribution, 0.0106);
+  assert.equal(stats.annualizedReturn, null);
+  assert.deepEqual(stats.dividends, [{ date: '2024-06-12', amount: 1 }]);
+  assert.equal(series[series.length - 1].totalReturnIndex, 100);
+});
@@ -0,0 +1,72 @@
+// Downsampling long daily series
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { aggregateBars, lttb, downsample } = require('../../src/functions/lib/downsample');
+
+// `days` daily bars from 2024-01-01 (a Monday), newest first, weekends included
+function bars(days) {
+  const start = Date.parse('2024-01-01T00:00:00Z');
+  return Array.from({ length: days }, (_, i) => {
+    const close = 100 + 10 * Math.sin(i / 5) + i * 0.1;
+    return {
+      date: new Date(start + i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+      open: close - 1,
+      high: close + 2,
+      low: close - 2,
+      close,
+      volume: 1000
+    };
+  }).reverse();
+}
+
+test('LTTB keeps the requested count, the first and last bars and their order', () => {
+  const series = bars(500);
+  [3, 10, 99, 250].forEach(count => {
+    const sampled = lttb(series, count);
+    assert.equal(sampled.length, count);
+    assert.equal(sampled[0], series[0]);
+    assert.equal(sampled[sampled.length - 1], series[series.length - 1]);
+    // Newest first, no repeats, every bar from the original series
+    sampled.slice(1).forEach((bar, i) => assert.ok(bar.date < sampled[i].date));
+    sampled.forEach(bar => assert.ok(series.includes(bar)));
+  });
+});
+
+test('LTTB keeps the extremes of a spike', () => {
+  const series = bars(200).map(bar => ({ ...bar, close: 100 }));
+  series[120] = { ...series[120], close: 500 };
+  assert.ok(lttb(series, 20).includes(series[120]));
+});
+
+test('LTTB returns short series and thresholds under 3 unchanged', () => {
+  const series = bars(10);
+  assert.deepEqual(lttb(series, 10), series);
+  assert.deepEqual(lttb(series, 2), series);
+});
+
+test('weekly bars run Monday to Sunday with OHLCV from the right ends', () => {
+  const weekly = aggregateBars(bars(14), 'weekly');
+  assert.equal(weekly.length, 2);
+
+  const [second, first] = weekly;
+  const daily = bars(14).reverse(); // oldest first
+  assert.equal(first.date, '2024-01-01');
+  assert.equal(second.date, '2024-01-08');
+  assert.equal(first.open, daily[0].open);
+  assert.equal(first.close, daily[6].close);
+  assert.equal(first.high, Math.max(...daily.slice(0, 7).map(b => b.high)));
+  assert.equal(first.low, Math.min(...daily.slice(0, 7).map(b => b.low)));
+  assert.equal(first.volume, 7000);
+});
+
+test('auto prefers weekly, then monthly, then LTTB on the monthly bars', () => {
+  const series = bars(730);
+  assert.equal(downsample(series, 1000).aggregation, 'none');
+  assert.equal(downsample(series, 120).aggregation, 'weekly');
+  assert.equal(downsample(series, 30).aggregation, 'monthly');
+
+  const result = downsample(series, 10);
+  assert.equal(result.aggregation, 'monthly+lttb');
+  assert.equal(result.bars.length, 10);
+  assert.equal(downsample(series, 10, 'lttb').bars.length, 10);
+});
@@ -0,0 +1,31 @@
+// Earnings calendar filters, timing and sorting
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isSortField, reportTiming, parseFilters, sortEarnings } = require('../../src/functions/lib/earnings-calendar');
+
+const ITEMS = [
+  { symbol: 'AAA', date: '2026-10-20', volume: 300, marketCap: 5e9 },
+  { symbol: 'BBB', date: '2026-10-19', volume: null, marketCap: 9e9 },
+  { symbol: 'CCC', date: '2026-10-21', volume: 100, marketCap: null }
+];
+
+test('time filters accept the codes and their aliases', () => {
+  assert.deepEqual(parseFilters({ time: 'before, AMC,during' }).filters.time, ['bmo', 'amc', 'dmh']);
+  assert.match(parseFilters({ time: 'lunch' }).error, /Unknown time "lunch"/);
+});
+
+test('prototype keys are not filter values, timings or sort fields', () => {
+  ['constructor', '__proto__'].forEach(key => {
+    assert.match(parseFilters({ time: key }).error, new RegExp(`Unknown time "${key}"`));
+    assert.equal(reportTiming(key), 'tbd');
+    assert.equal(isSortField(key), false);
+    assert.deepEqual(sortEarnings(ITEMS, key, 'asc').map(item => item.symbol), ['BBB', 'AAA', 'CCC']);
+  });
+});
+
+test('sorting puts missing values last in either direction', () => {
+  assert.ok(isSortField('volume'));
+  assert.deepEqual(sortEarnings(ITEMS, 'volume', 'desc').map(item => item.symbol), ['AAA', 'CCC', 'BBB']);
+  assert.deepEqual(sortEarnings(ITEMS, 'volume', 'asc').map(item => item.symbol), ['CCC', 'AAA', 'BBB']);
+  assert.deepEqual(sortEarnings(ITEMS, 'marketCap', 'asc').map(item => item.symbol), ['AAA', 'BBB', 'CCC']);
+});
@@ -0,0 +1,133 @@
+// Merging earnings records across providers
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isProvider, fromFmpCalendar, fromBenzinga } = require('../../src/functions/lib/earnings-providers');
+const { labelFiscalQuarters, groupRecords, reconcile, mergeEarnings, getEarnings } = require('../../src/functions/lib/earnings-data');
+const { DEFAULT_CALENDAR } = require('../../src/functions/lib/fiscal-calendar');
+
+// Apple: fiscal year ends in September, named after the year it ends in
+const APPLE = { fiscalYearEndMonth: 9, yearOffset: 0, source: 'income-statement' };
+
+function fmp(date, fiscalDateEnding, eps, epsEstimated, time = 'amc') {
+  return fromFmpCalendar({ date, fiscalDateEnding, eps, epsEstimated, time, revenue: 9.5e10, revenueEstimated: 9.4e10 }, 'AAPL');
+}
+
+function benzinga(date, fiscalYear, fiscalQuarter, actual, estimate, timeOfDay = '16:30:00') {
+  return fromBenzinga({
+    symbol: 'AAPL',
+    date,
+    timeOfDay,
+    fiscalYear,
+    fiscalQuarter,
+    eps: { actual, estimate },
+    revenue: { actual: 9.5e10, estimate: 9.4e10 }
+  });
+}
+
+test('FMP period ends get the fiscal quarter of a resolved calendar', () => {
+  const [labelled] = labelFiscalQuarters([fmp('2026-07-30', '2026-06-27', 1.4, 1.3)], APPLE);
+  assert.equal(labelled.fiscalYear, 2026);
+  assert.equal(labelled.fiscalQuarter, 3);
+
+  // The December default would call this Q2, so it labels nothing
+  const [unlabelled] = labelFiscalQuarters([fmp('2026-07-30', '2026-06-27', 1.4, 1.3)], DEFAULT_CALENDAR);
+  assert.equal(unlabelled.fiscalQuarter, null);
+});
+
+test('records group by fiscal quarter, however far apart the dates', () => {
+  // Benzinga moved the date by more than the match window
+  const records = labelFiscalQuarters([
+    fmp('2026-07-30', '2026-06-27', 1.4, 1.3),
+    fmp('2026-05-01', '2026-03-28', 1.6, 1.5),
+    benzinga('2026-08-10', 2026, 3, 1.4, 1.3),
+    benzinga('2026-05-01', 2026, 2, 1.6, 1.5)
+  ], APPLE);
+
+  const groups = groupRecords(records);
+  assert.equal(groups.length, 2);
+  assert.deepEqual(groups.map(group => group.map(item => item.provider)), [['fmp', 'benzinga'], ['fmp', 'benzinga']]);
+  assert.deepEqual(groups.map(group => group[1].fiscalQuarter), [3, 2]);
+});
+
+test('different fiscal quarters never group, however close the dates', () => {
+  const records = labelFiscalQuarters([
+    fmp('2026-07-30', '2026-06-27', 1.4, 1.3),
+    benzinga('2026-07-31', 2026, 4, 1.4, 1.3)
+  ], APPLE);
+  assert.equal(groupRecords(records).length, 2);
+});
+
+test('without fiscal quarters, reports match within the date window', () => {
+  const records = [
+    fmp('2026-07-30', '2026-06-27', 1.4, 1.3),
+    benzinga('2026-08-05', null, null, 1.4, 1.3), // 6 days later
+    benzinga('2026-05-01', null, null, 1.6, 1.5) // 90 days earlier
+  ];
+  const groups = groupRecords(records);
+  assert.deepEqual(groups.map(group => group.map(item => item.date)), [['2026-07-30', '2026-08-05'], ['2026-05-01']]);
+
+  // One day past the window is a different report
+  assert.equal(groupRecords([records[0], benzinga('2026-08-07', null, null, 1.4, 1.3)]).length, 2);
+});
+
+test('a group holds at most one record per provider', () => {
+  const groups = groupRecords([
+    fmp('2026-07-30', '2026-06-27', 1.4, 1.3),
+    fmp('2026-07-31', '2026-06-27', 1.4, 1.3)
+  ]);
+  assert.equal(groups.length, 2);
+});
+
+test('reconcile takes each field from the preferred provider and flags disagreements', () => {
+  const merged = reconcile([
+    fmp('2026-07-30', '2026-06-27', 1.46, 1.3, 'bmo'),
+    benzinga('2026-07-30', 2026, 3, 1.4, 1.35, '16:30:00')
+  ]);
+
+  assert.deepEqual(merged.providers, ['fmp', 'benzinga']);
+  assert.equal(merged.eps.actual, 1.46);
+  assert.equal(merged.sources['eps.actual'], 'fmp');
+  assert.equal(merged.eps.estimate, 1.35);
+  assert.equal(merged.sources['eps.estimate'], 'benzinga');
+  assert.equal(merged.time, 'amc');
+  assert.equal(merged.fiscalDateEnding, '2026-06-27');
+
+  // Surprise follows the chosen actual and estimate
+  assert.equal(merged.eps.surprisePercent, 8.15);
+  assert.equal(merged.sources['eps.surprisePercent'], 'derived');
+
+  assert.deepEqual(merged.conflicts.map(c => c.field).sort(), ['eps.actual', 'eps.estimate', 'time']);
+  const actual = merged.conflicts.find(c => c.field === 'eps.actual');
+  assert.deepEqual(actual, { field: 'eps.actual', values: { fmp: 1.46, benzinga: 1.4 }, chosen: 'fmp' });
+});
+
+test('differences within tolerance and unknown timing are not conflicts', () => {
+  const merged = reconcile([
+    fmp('2026-07-30', '2026-06-27', 1.405, 1.3, ''),
+    benzinga('2026-07-30', 2026, 3, 1.4, 1.3, null)
+  ]);
+
+  assert.deepEqual(merged.conflicts, []);
+  assert.equal(merged.time, 'tbd');
+});
+
+test('mergeEarnings labels, groups and orders newest first', () => {
+  const merged = mergeEarnings([
+    fmp('2026-05-01', '2026-03-28', 1.6, 1.5),
+    benzinga('2026-08-10', 2026, 3, 1.4, 1.3),
+    fmp('2026-07-30', '2026-06-27', 1.4, 1.3)
+  ], APPLE);
+
+  assert.deepEqual(merged.map(item => [item.date, item.providers.join('+')]), [
+    ['2026-08-10', 'benzinga+fmp'],
+    ['2026-05-01', 'fmp']
+  ]);
+});
+
+test('only own keys name providers', async () => {
+  assert.ok(isProvider('fmp'));
+  assert.ok(isProvider('benzinga'));
+  assert.equal(isProvider('constructor'), false);
+  assert.equal(isProvider('__proto__'), false);
+  await assert.rejects(getEarnings('AAPL', { providers: ['constructor'], env: {} }), /Unknown provider "constructor"/);
+});
@@ -0,0 +1,72 @@
+// Earnings price reactions by report timing
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { priceReaction, analyzeReactions } = require('../../src/functions/lib/earnings-reaction');
+
+// Sessions Mon 2026-03-02 to Fri 2026-03-13; each opens 1 above the
+// previous close and closes 2 above it
+const DATES = ['2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06',
+  '2026-03-09', '2026-03-10', '2026-03-11', '2026-03-12', '2026-03-13'];
+const BARS = DATES.map((date, i) => ({ date, open: 99 + i * 2, close: 100 + i * 2 }));
+
+function report(date, time, eps = { estimate: 1, actual: 1.1 }) {
+  return { symbol: 'AAPL', date, dateType: 'report', time, eps };
+}
+
+test('after-market reports react on the next session', () => {
+  const reaction = priceReaction(report('2026-03-04', 'amc'), BARS);
+  assert.equal(reaction.reactionDate, '2026-03-05');
+  assert.equal(reaction.previousClose, 104);
+  assert.equal(reaction.gap, 0.0096); // 105 / 104 - 1
+  assert.equal(reaction.move1d, 0.0192); // 106 / 104 - 1
+  assert.equal(reaction.move5d, 0.0962); // 114 on 2026-03-11
+  assert.equal(reaction.timingAssumed, false);
+  assert.equal(reaction.outcome, 'beat');
+});
+
+test('before-market reports react on the report date', () => {
+  const reaction = priceReaction(report('2026-03-04', 'bmo'), BARS);
+  assert.equal(reaction.reactionDate, '2026-03-04');
+  assert.equal(reaction.previousClose, 102);
+});
+
+test('during-market reports react on the report date', () => {
+  assert.equal(priceReaction(report('2026-03-04', 'dmh'), BARS).reactionDate, '2026-03-04');
+});
+
+test('unknown timing is treated as after-market and flagged', () => {
+  const reaction = priceReaction(report('2026-03-04', 'tbd'), BARS);
+  assert.equal(reaction.reactionDate, '2026-03-05');
+  assert.equal(reaction.timing, 'tbd');
+  assert.equal(reaction.timingAssumed, true);
+
+  assert.equal(priceReaction(report('2026-03-04', undefined), BARS).timingAssumed, true);
+});
+
+test('reports over a weekend react on Monday', () => {
+  const reaction = priceReaction(report('2026-03-06', 'amc'), BARS);
+  assert.equal(reaction.reactionDate, '2026-03-09');
+  assert.equal(reaction.previousClose, 108);
+});
+
+test('reports the bars cannot measure give no reaction', () => {
+  assert.equal(priceReaction(report('2026-03-13', 'amc'), BARS), null); // No later session
+  assert.equal(priceReaction(report('2026-03-02', 'bmo'), BARS), null); // No earlier close
+  assert.equal(priceReaction(report('2026-03-09', 'amc'), BARS).move5d, null); // Fewer than five sessions after
+});
+
+test('unmeasurable reports do not use up the lookback', () => {
+  const reports = [
+    report('2026-03-13', 'amc'), // Newest, not measurable yet
+    report('2026-03-09', 'bmo'),
+    report('2026-03-05', 'amc', { estimate: 1, actual: 0.9 })
+  ];
+  const result = analyzeReactions(reports, BARS, { lookback: 2 });
+
+  assert.deepEqual(result.reactions.map(r => r.date), ['2026-03-09', '2026-03-05']);
+  assert.equal(result.summary.reports, 2);
+  assert.equal(result.summary.beat.count, 1);
+  assert.equal(result.summary.miss.count, 1);
+  assert.equal(result.expectedMove.basedOn, 2);
+  assert.equal(result.expectedMove.referencePrice, 118);
+});
@@ -0,0 +1,101 @@
+// Fiscal year ends and fiscal period labels
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_CALENDAR,
+  resolveFiscalCalendar,
+  periodForEnd,
+  quarterEnd,
+  quarterEndBefore,
+  labelReport,
+  periodEndMonth,
+  formatQuarter
+} = require('../../src/functions/lib/fiscal-calendar');
+
+// FMP quarterly income statement rows, newest first
+function statements(rows) {
+  return rows.map(([date, period, calendarYear]) => ({ date, period, calendarYear }));
+}
+
+const APPLE = resolveFiscalCalendar(statements([
+  ['2024-09-28', 'Q4', '2024'],
+  ['2024-06-29', 'Q3', '2024'],
+  ['2024-03-30', 'Q2', '2024'],
+  ['2023-12-30', 'Q1', '2024']
+]));
+const WALMART = resolveFiscalCalendar(statements([
+  ['2025-01-31', 'Q4', '2025'],
+  ['2024-10-31', 'Q3', '2025'],
+  ['2024-07-31', 'Q2', '2025'],
+  ['2024-04-30', 'Q1', '2025']
+]));
+// 52/53-week year named after the year it starts in: fiscal 2024 ended
+// on 2025-02-01
+const RETAILER = resolveFiscalCalendar(statements([
+  ['2025-02-01', 'Q4', '2024'],
+  ['2024-11-02', 'Q3', '2024'],
+  ['2024-08-03', 'Q2', '2024'],
+  ['2024-05-04', 'Q1', '2024']
+]));
+
+test('the fiscal year end and naming come from the statements', () => {
+  assert.deepEqual(APPLE, { fiscalYearEndMonth: 9, yearOffset: 0, source: 'income-statement' });
+  assert.deepEqual(WALMART, { fiscalYearEndMonth: 1, yearOffset: 0, source: 'income-statement' });
+  assert.deepEqual(RETAILER, { fiscalYearEndMonth: 1, yearOffset: -1, source: 'income-statement' });
+
+  assert.equal(resolveFiscalCalendar([]), DEFAULT_CALENDAR);
+  assert.equal(resolveFiscalCalendar(null), DEFAULT_CALENDAR);
+  assert.equal(resolveFiscalCalendar(statements([['2024-09-28', 'H2', '2024']])), DEFAULT_CALENDAR);
+});
+
+test('an Apple report on 2024-10-31 covers Q4 FY2024, calendar Q3 2024', () => {
+  assert.equal(quarterEndBefore('2024-10-31', APPLE), '2024-09-30');
+  const expected = { fiscalYear: 2024, fiscalQuarter: 4, calendarYear: 2024, calendarQuarter: 3 };
+  assert.deepEqual(periodForEnd('2024-09-28', APPLE), expected);
+  assert.deepEqual(labelReport({ fiscalYear: null, fiscalQuarter: null, fiscalDateEnding: null, date: '2024-10-31', dateType: 'report' }, APPLE), expected);
+});
+
+test("Walmart's quarter ending 2025-01-31 is Q4 FY2025, calendar Q4 2024", () => {
+  assert.deepEqual(periodForEnd('2025-01-31', WALMART), { fiscalYear: 2025, fiscalQuarter: 4, calendarYear: 2024, calendarQuarter: 4 });
+  assert.deepEqual(periodForEnd('2024-04-30', WALMART), { fiscalYear: 2025, fiscalQuarter: 1, calendarYear: 2024, calendarQuarter: 1 });
+});
+
+test('period ends early in a month count as the month before', () => {
+  assert.equal(periodEndMonth('2025-02-01'), '2025-01');
+  assert.equal(periodEndMonth('2025-01-31'), '2025-01');
+  assert.equal(periodEndMonth('2024-01-06'), '2023-12');
+  assert.equal(periodEndMonth('2024-01-08'), '2024-01');
+
+  assert.deepEqual(periodForEnd('2025-02-01', RETAILER), { fiscalYear: 2024, fiscalQuarter: 4, calendarYear: 2024, calendarQuarter: 4 });
+  assert.deepEqual(periodForEnd('2025-02-01', WALMART), periodForEnd('2025-01-31', WALMART));
+});
+
+test('quarter ends wrap across calendar years', () => {
+  const cases = [
+    [2025, 1, APPLE, '2024-12-31'],
+    [2024, 4, APPLE, '2024-09-30'],
+    [2025, 1, WALMART, '2024-04-30'],
+    [2025, 3, WALMART, '2024-10-31'],
+    [2025, 4, WALMART, '2025-01-31'],
+    [2024, 4, RETAILER, '2025-01-31'],
+    [2024, 1, DEFAULT_CALENDAR, '2024-03-31'],
+    [2024, 4, DEFAULT_CALENDAR, '2024-12-31']
+  ];
+  cases.forEach(([fiscalYear, fiscalQuarter, calendar, end]) => {
+    assert.equal(quarterEnd(fiscalYear, fiscalQuarter, calendar), end, `Q${fiscalQuarter} ${fiscalYear}`);
+  });
+});
+
+test('the quarter a report covers ends strictly before it', () => {
+  assert.equal(quarterEndBefore('2025-01-15', DEFAULT_CALENDAR), '2024-12-31');
+  assert.equal(quarterEndBefore('2024-12-31', DEFAULT_CALENDAR), '2024-09-30');
+  assert.equal(quarterEndBefore('2025-02-20T13:00:00Z', WALMART), '2025-01-31');
+  assert.equal(quarterEndBefore('2024-02-15', APPLE), '2023-12-31');
+});
+
+test('quarters format with short or full years', () => {
+  assert.equal(formatQuarter(4, 2024), "Q4 '24");
+  assert.equal(formatQuarter(4, 2024, true), 'Q4 2024');
+  assert.equal(formatQuarter(null, 2024), "FY '24");
+  assert.equal(formatQuarter(1, null), null);
+});
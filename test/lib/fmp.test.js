@@ -0,0 +1,45 @@
+// FMP helpers pass request and cache options through
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { cache } = require('../../src/functions/lib/cache');
+const { getQuote, getProfile, REQUEST_TIMEOUT } = require('../../src/functions/lib/fmp');
+
+// Replace axios.get for one test, recording each request's config
+async function withRequests(fn) {
+  const get = axios.get;
+  const requests = [];
+  axios.get = async (url, config) => {
+    requests.push({ url, config });
+    return { data: [{ symbol: url.split('/').pop(), price: requests.length }] };
+  };
+  try {
+    await fn(requests);
+  } finally {
+    axios.get = get;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+[['getQuote', getQuote, 'quote'], ['getProfile', getProfile, 'profile']].forEach(([name, get, type]) => {
+  test(`${name} passes the timeout to the request and the TTL to the cache`, () => withRequests(async (requests) => {
+    const symbol = `${type.toUpperCase()}TEST`;
+    await cache.delete(type, symbol);
+
+    const first = await get(symbol, 'key', { timeout: 50, ttl: 1, stale: 0 });
+    assert.equal(first.status, 'MISS');
+    assert.equal(requests[0].config.timeout, 50);
+
+    // Expired after 1 ms with no stale window, so the next call refetches
+    await sleep(5);
+    const second = await get(symbol, 'key', { ttl: 1, stale: 0 });
+    assert.equal(second.status, 'MISS');
+    assert.equal(second.data.price, 2);
+    assert.equal(requests[1].config.timeout, REQUEST_TIMEOUT);
+
+    // The type's default TTL keeps it fresh
+    assert.equal((await get(symbol, 'key')).status, 'HIT');
+    assert.equal(requests.length, 2);
+  }));
+});
@@ -0,0 +1,102 @@
+// iCalendar output and earnings events
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeText, foldLine, buildCalendar } = require('../../src/functions/lib/ical');
+const { earningsEvent } = require('../../src/functions/earnings-ics');
+
+function unfold(text) {
+  return text.replace(/\r\n /g, '');
+}
+
+function report(fields) {
+  return { symbol: 'AAPL', companyName: 'Apple Inc.', timing: 'amc', periodEnd: '2026-09-26', epsEstimate: 1.6, ...fields };
+}
+
+test('lines fold at 75 octets without splitting multi-byte characters', () => {
+  const line = `SUMMARY:${'Société Générale – résultats 📈 '.repeat(6)}`;
+  const folded = foldLine(line);
+  const parts = folded.split('\r\n');
+
+  assert.ok(parts.length > 1);
+  parts.forEach((part, i) => {
+    assert.ok(Buffer.byteLength(part) <= 75, `line ${i} is ${Buffer.byteLength(part)} octets`);
+    if (i > 0) assert.equal(part[0], ' ');
+    assert.ok(!part.includes('�'));
+  });
+  assert.equal(unfold(folded), line);
+  assert.equal(foldLine('SUMMARY:short'), 'SUMMARY:short');
+});
+
+test('TEXT values escape backslashes, separators and newlines', () => {
+  assert.equal(escapeText('a\\b;c,d\ne\r\nf'), 'a\\\\b\\;c\\,d\\ne\\nf');
+
+  const ics = buildCalendar({
+    name: 'Earnings\; watchlist',
+    now: new Date('2026-10-19T12:00:00Z'),
+    events: [{ uid: 'x@test', allDay: true, start: '2026-10-30', end: '2026-10-31', summary: 'A, B', categories: ['Earnings', 'A,B'] }]
+  });
+  assert.ok(ics.includes('X-WR-CALNAME:Earnings\\; watchlist\r\n'));
+  assert.ok(ics.includes('SUMMARY:A\\, B\r\n'));
+  assert.ok(ics.includes('CATEGORIES:Earnings,A\\,B\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+});
+
+test('a report keeps its UID when its date moves', () => {
+  const first = earningsEvent(report({ date: '2026-10-29' }));
+  const moved = earningsEvent(report({ date: '2026-11-05', timing: 'bmo' }));
+  // A 52/53-week period end a few days into the next month
+  const weekEnd = earningsEvent(report({ date: '2026-10-29', periodEnd: '2026-10-03' }));
+
+  assert.equal(first.uid, 'earnings-AAPL-2026-09@marketlinks');
+  assert.equal(moved.uid, first.uid);
+  assert.equal(weekEnd.uid, first.uid);
+  assert.notEqual(earningsEvent(report({ date: '2027-01-28', periodEnd: '2026-12-26' })).uid, first.uid);
+});
+
+test('updatedFromDate sets SEQUENCE and LAST-MODIFIED', () => {
+  const earlier = earningsEvent(report({ date: '2026-10-29', updatedFromDate: '2026-10-15' }));
+  const later = earningsEvent(report({ date: '2026-10-29', updatedFromDate: '2026-10-18' }));
+
+  assert.equal(later.sequence - earlier.sequence, 3);
+  assert.deepEqual(later.lastModified, new Date('2026-10-18T00:00:00Z'));
+
+  const ics = buildCalendar({ name: 'AAPL', events: [later] });
+  assert.ok(ics.includes(`SEQUENCE:${later.sequence}\r\n`));
+  assert.ok(ics.includes('LAST-MODIFIED:20261018T000000Z\r\n'));
+
+  const unknown = earningsEvent(report({ date: '2026-10-29', updatedFromDate: 'soon' }));
+  assert.equal(unknown.sequence, undefined);
+  assert.ok(buildCalendar({ name: 'AAPL', events: [unknown] }).includes('SEQUENCE:0\r\n'));
+});
+
+test('projected dates are tentative, announced ones confirmed', () => {
+  const projected = earningsEvent(report({ date: '2026-10-29', projected: true }));
+  assert.equal(projected.status, 'TENTATIVE');
+  assert.match(projected.summary, /\(projected\)$/);
+  assert.match(projected.description, /^Date not announced/);
+
+  assert.equal(earningsEvent(report({ date: '2026-10-29' })).status, 'CONFIRMED');
+  assert.ok(buildCalendar({ name: 'AAPL', events: [projected] }).includes('STATUS:TENTATIVE\r\n'));
+});
+
+test('before- and after-market windows follow New York time across DST', () => {
+  // US clocks change on 2026-03-08 and 2026-11-01
+  const cases = [
+    ['bmo', '2026-03-06', '2026-03-06T13:00:00.000Z', '2026-03-06T14:30:00.000Z'],
+    ['bmo', '2026-03-09', '2026-03-09T12:00:00.000Z', '2026-03-09T13:30:00.000Z'],
+    ['amc', '2026-10-30', '2026-10-30T20:00:00.000Z', '2026-10-30T21:00:00.000Z'],
+    ['amc', '2026-11-02', '2026-11-02T21:00:00.000Z', '2026-11-02T22:00:00.000Z'],
+    ['dmh', '2026-11-02', '2026-11-02T14:30:00.000Z', '2026-11-02T21:00:00.000Z']
+  ];
+  cases.forEach(([timing, date, start, end]) => {
+    const event = earningsEvent(report({ date, timing }));
+    assert.equal(event.start.toISOString(), start, `${timing} ${date}`);
+    assert.equal(event.end.toISOString(), end, `${timing} ${date}`);
+    assert.equal(event.allDay, undefined);
+  });
+
+  // Unknown timing and non-trading days are all-day events
+  const tbd = earningsEvent(report({ date: '2026-10-30', timing: 'tbd' }));
+  assert.deepEqual([tbd.allDay, tbd.start, tbd.end], [true, '2026-10-30', '2026-10-31']);
+  assert.equal(earningsEvent(report({ date: '2026-11-26' })).allDay, true); // Thanksgiving
+});
@@ -0,0 +1,146 @@
+// Technical indicators against published reference series
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  sma,
+  ema,
+  rsi,
+  macd,
+  bollinger,
+  parseIndicatorSpecs,
+  lookbackFor,
+  computeIndicator
+} = require('../../src/functions/lib/indicators');
+
+// Each value within `tolerance` of the reference (null where the reference is null)
+function assertSeries(actual, expected, tolerance) {
+  assert.equal(actual.length, expected.length);
+  expected.forEach((value, i) => {
+    if (value === null) {
+      assert.equal(actual[i], null, `index ${i} should be null`);
+    } else {
+      assert.ok(Math.abs(actual[i] - value) <= tolerance, `index ${i}: ${actual[i]} is not ${value}`);
+    }
+  });
+}
+
+const warmup = (count, values) => new Array(count).fill(null).concat(values);
+
+// StockCharts "Moving Averages - Simple and Exponential" worked example
+const MA_CLOSES = [
+  22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29,
+  22.15, 22.39, 22.38, 22.61, 23.36, 24.05, 23.75, 23.83, 23.95, 23.63,
+  23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17
+];
+const SMA_10 = [
+  22.22, 22.21, 22.23, 22.26, 22.31, 22.42, 22.61, 22.77, 22.91, 23.08, 23.21,
+  23.38, 23.53, 23.65, 23.71, 23.69, 23.61, 23.51, 23.43, 23.28, 23.13
+];
+const EMA_10 = [
+  22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34,
+  23.43, 23.51, 23.54, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92
+];
+
+// Wilder's RSI worked example (StockCharts "Relative Strength Index")
+const RSI_CLOSES = [
+  44.3389, 44.0902, 44.1497, 43.6124, 44.3278, 44.8264, 45.0955, 45.4245, 45.8433, 46.0826,
+  45.8931, 46.0328, 45.6140, 46.2820, 46.2820, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439,
+  46.2122, 46.2521, 45.7137, 46.4515, 45.7835, 45.3548, 44.0288, 44.1783, 44.2181, 44.5672,
+  43.4205, 42.6628, 43.1314
+];
+const RSI_14 = [
+  70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38,
+  54.71, 50.42, 39.99, 41.46, 41.87, 45.46, 37.30, 33.08, 37.77
+];
+
+test('sma matches the 10-day reference', () => {
+  // Published values are rounded to cents
+  assertSeries(sma(MA_CLOSES, 10), warmup(9, SMA_10), 0.01);
+});
+
+test('ema is seeded with the sma and matches the 10-day reference', () => {
+  const values = ema(MA_CLOSES, 10);
+  assertSeries(values, warmup(9, EMA_10), 0.01);
+  assert.equal(values[9], sma(MA_CLOSES, 10)[9]);
+});
+
+test('ema waits for a full window after leading nulls', () => {
+  assert.deepEqual(ema([null, null, 1, 2, 3, 4], 3), [null, null, null, null, 2, 3]);
+});
+
+test('rsi matches Wilder\'s 14-day worked example', () => {
+  assertSeries(rsi(RSI_CLOSES, 14), warmup(14, RSI_14), 0.005);
+});
+
+test('rsi is 100 with no losses and empty without enough history', () => {
+  assert.equal(rsi([1, 2, 3, 4, 5], 3)[4], 100);
+  assert.deepEqual(rsi([1, 2, 3], 3), [null, null, null]);
+});
+
+test('macd on a steady trend settles at half the period difference', () => {
+  // EMAs of a straight line lag it by (period - 1) / 2 exactly once seeded
+  const ramp = Array.from({ length: 80 }, (_, i) => 100 + i);
+  const result = macd(ramp, 12, 26, 9);
+
+  assert.equal(result.macd[24], null);
+  assert.equal(result.signal[32], null);
+  assertSeries(result.macd.slice(25), new Array(55).fill(7), 1e-9);
+  assertSeries(result.signal.slice(33), new Array(47).fill(7), 1e-9);
+  assertSeries(result.histogram.slice(33), new Array(47).fill(0), 1e-9);
+});
+
+test('macd line is the fast ema minus the slow ema', () => {
+  const fast = ema(RSI_CLOSES, 5);
+  const slow = ema(RSI_CLOSES, 10);
+  const result = macd(RSI_CLOSES, 5, 10, 4);
+  result.macd.forEach((value, i) => {
+    if (slow[i] === null) {
+      assert.equal(value, null);
+    } else {
+      assert.ok(Math.abs(value - (fast[i] - slow[i])) < 1e-12);
+    }
+  });
+});
+
+test('bollinger bands use the population standard deviation', () => {
+  // Mean 5, population standard deviation 2
+  const bands = bollinger([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+  assert.equal(bands.middle[7], 5);
+  assert.equal(bands.upper[7], 9);
+  assert.equal(bands.lower[7], 1);
+  assert.equal(bands.upper[6], null);
+});
+
+test('parseIndicatorSpecs fills defaults and builds stable keys', () => {
+  assert.deepEqual(parseIndicatorSpecs('SMA:50, rsi, macd::30, bb:20:2.5'), [
+    { key: 'sma:50', type: 'sma', params: { period: 50 } },
+    { key: 'rsi:14', type: 'rsi', params: { period: 14 } },
+    { key: 'macd:12:30:9', type: 'macd', params: { fast: 12, slow: 30, signal: 9 } },
+    { key: 'bb:20:2.5', type: 'bb', params: { period: 20, stdDev: 2.5 } }
+  ]);
+});
+
+test('parseIndicatorSpecs rejects invalid specs', () => {
+  assert.throws(() => parseIndicatorSpecs(''), /At least one indicator/);
+  assert.throws(() => parseIndicatorSpecs('vwap'), /Unknown indicator "vwap"/);
+  assert.throws(() => parseIndicatorSpecs('sma:10:2'), /Too many parameters/);
+  assert.throws(() => parseIndicatorSpecs('sma:0'), /Invalid period/);
+  assert.throws(() => parseIndicatorSpecs('sma:2.5'), /Invalid period/);
+  assert.throws(() => parseIndicatorSpecs('ema:501'), /Invalid period/);
+  assert.throws(() => parseIndicatorSpecs('macd:26:12'), /fast period must be shorter/);
+  assert.throws(() => parseIndicatorSpecs(new Array(11).fill('sma').join(',')), /At most 10/);
+});
+
+test('lookbackFor takes the longest warm-up of the requested indicators', () => {
+  assert.equal(lookbackFor(parseIndicatorSpecs('sma:50')), 49);
+  assert.equal(lookbackFor(parseIndicatorSpecs('sma:50,rsi:14')), 56);
+  assert.equal(lookbackFor(parseIndicatorSpecs('ema:20,macd')), 87);
+  assert.equal(lookbackFor(parseIndicatorSpecs('bb:20:2')), 19);
+  assert.equal(lookbackFor([]), 0);
+});
+
+test('computeIndicator dispatches on the spec type', () => {
+  const [spec] = parseIndicatorSpecs('sma:10');
+  assert.deepEqual(computeIndicator(spec, MA_CLOSES), sma(MA_CLOSES, 10));
+  assert.throws(() => computeIndicator({ type: 'vwap', params: {} }, MA_CLOSES), /Unknown indicator/);
+});
@@ -0,0 +1,121 @@
+// LLM client fallback and the offline stub provider
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LLMError, createLLMClient, createStubProvider, providersFromEnv } = require('../../src/functions/lib/llm');
+const { validateRiskAnalysis, parseModelJson } = require('../../src/functions/lib/risk-analysis');
+
+const MESSAGES = [{ role: 'user', content: 'Assess the risks of Example Corp.' }];
+
+// Provider that fails with `error`, recording that it was tried
+function failingProvider(name, error, tried) {
+  return {
+    name,
+    model: `${name}-model`,
+    async complete() {
+      tried.push(name);
+      throw error;
+    }
+  };
+}
+
+// Keep provider failure logs out of the test output
+function quietly(fn) {
+  return async () => {
+    const error = console.error;
+    console.error = () => {};
+    try {
+      await fn();
+    } finally {
+      console.error = error;
+    }
+  };
+}
+
+test('providers default to those with API keys, OpenAI first', () => {
+  assert.deepEqual(providersFromEnv({}).map(p => p.name), []);
+  assert.deepEqual(
+    providersFromEnv({ ANTHROPIC_API_KEY: 'a', OPENAI_API_KEY: 'o' }).map(p => p.name),
+    ['openai', 'anthropic']
+  );
+  assert.deepEqual(
+    providersFromEnv({ LLM_PROVIDERS: 'anthropic, stub', OPENAI_API_KEY: 'o' }).map(p => p.name),
+    ['anthropic', 'stub']
+  );
+  assert.throws(() => providersFromEnv({ LLM_PROVIDERS: 'nope' }), /Unknown LLM provider "nope"/);
+});
+
+test('complete falls back through providers in order', quietly(async () => {
+  const tried = [];
+  const timeout = Object.assign(new Error('timeout of 20000ms exceeded'), { code: 'ECONNABORTED' });
+  const rejected = Object.assign(new Error('Request failed'), { response: { status: 429 } });
+  const client = createLLMClient({
+    providers: [
+      failingProvider('openai', timeout, tried),
+      failingProvider('anthropic', rejected, tried),
+      createStubProvider({ response: 'offline' })
+    ]
+  });
+
+  const reply = await client.complete({ messages: MESSAGES });
+  assert.deepEqual(tried, ['openai', 'anthropic']);
+  assert.equal(reply.content, 'offline');
+  assert.equal(reply.provider, 'stub');
+  assert.deepEqual(reply.failures, [
+    { provider: 'openai', error: 'timeout' },
+    { provider: 'anthropic', error: 'HTTP 429' }
+  ]);
+}));
+
+test('complete rejects with every failure when all providers fail', quietly(async () => {
+  const tried = [];
+  const client = createLLMClient({ providers: [failingProvider('openai', new Error('socket hang up'), tried)] });
+
+  await assert.rejects(client.complete({ messages: MESSAGES }), error => {
+    assert.ok(error instanceof LLMError);
+    assert.deepEqual(error.failures, [{ provider: 'openai', error: 'socket hang up' }]);
+    return true;
+  });
+  await assert.rejects(createLLMClient({ providers: [] }).complete({ messages: MESSAGES }), /No LLM provider/);
+}));
+
+test('the stub gives the same request the same reply', async () => {
+  const client = createLLMClient({ providers: [createStubProvider()] });
+  const first = await client.complete({ messages: MESSAGES });
+  const second = await client.complete({ messages: MESSAGES });
+  const other = await client.complete({ messages: [{ role: 'user', content: 'Something else' }] });
+
+  assert.match(first.content, /^Stub response [0-9a-f]{12}$/);
+  assert.equal(first.content, second.content);
+  assert.notEqual(first.content, other.content);
+});
+
+test('a canned stub reply reaches the caller as given', async () => {
+  const analysis = {
+    summary: 'Leverage is the main risk.',
+    keyRisks: [{ title: 'Leverage', detail: 'Debt is high for the sector.', severity: 'medium', metrics: ['debtToEquity'] }],
+    strengths: [{ title: 'Low beta', detail: 'Moves less than the market.', metrics: ['beta'] }],
+    watchItems: [{ item: 'Refinancing costs', metrics: ['debtToEquity'] }]
+  };
+  const requests = [];
+  const client = createLLMClient({
+    providers: [createStubProvider({
+      respond: request => {
+        requests.push(request);
+        return JSON.stringify(analysis);
+      }
+    })]
+  });
+  const reply = await client.complete({ messages: MESSAGES, json: true });
+
+  assert.equal(requests[0].json, true);
+  assert.deepEqual(requests[0].messages, MESSAGES);
+  const result = validateRiskAnalysis(parseModelJson(reply.content), ['beta', 'debtToEquity']);
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.valid, true);
+});
+
+test('the stub answers JSON requests with a JSON digest', async () => {
+  const client = createLLMClient({ providers: [createStubProvider()] });
+  const reply = await client.complete({ messages: MESSAGES, json: true });
+  assert.deepEqual(Object.keys(JSON.parse(reply.content)), ['stub', 'digest']);
+});
@@ -0,0 +1,101 @@
+// NYSE holidays, early closes and session times
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getMarketStatus,
+  exchangeInstant,
+  isTradingDay,
+  sessionTimes,
+  nextTradingDay,
+  holidayName,
+  earlyCloseName
+} = require('../../src/functions/lib/market-calendar');
+
+test('holidays follow the NYSE rules', () => {
+  const cases = [
+    ['2024-03-29', 'Good Friday'],
+    ['2025-04-18', 'Good Friday'],
+    ['2026-04-03', 'Good Friday'],
+    ['2025-01-20', 'Martin Luther King Jr. Day'],
+    ['2025-02-17', "Washington's Birthday"],
+    ['2025-05-26', 'Memorial Day'],
+    ['2025-09-01', 'Labor Day'],
+    ['2025-11-27', 'Thanksgiving Day'],
+    // Sunday holidays move to Monday, Saturday ones to Friday
+    ['2023-01-02', "New Year's Day"],
+    ['2022-12-26', 'Christmas Day'],
+    ['2026-07-03', 'Independence Day'],
+    ['2022-06-20', 'Juneteenth National Independence Day'],
+    ['2027-06-18', 'Juneteenth National Independence Day'],
+    ['2025-01-09', 'National Day of Mourning for President Jimmy Carter'],
+    // Not holidays: New Year's on a Saturday isn't observed the Friday
+    // before, and Juneteenth starts in 2022
+    ['2021-12-31', null],
+    ['2021-06-18', null],
+    ['2025-04-21', null]
+  ];
+  cases.forEach(([date, name]) => {
+    assert.equal(holidayName(date), name, date);
+    assert.equal(isTradingDay(date), name === null, date);
+  });
+});
+
+test('early closes fall on the eves Monday to Thursday only', () => {
+  const cases = [
+    ['2025-07-03', 'Independence Day Eve'],
+    ['2024-07-03', 'Independence Day Eve'],
+    ['2025-11-28', 'Day after Thanksgiving'],
+    ['2025-12-24', 'Christmas Eve'],
+    ['2026-07-03', null], // Friday, the observed holiday
+    ['2027-12-24', null], // Friday, the observed Christmas
+    ['2025-12-23', null]
+  ];
+  cases.forEach(([date, name]) => assert.equal(earlyCloseName(date), name, date));
+
+  assert.deepEqual(sessionTimes('2025-11-28'), {
+    preMarketOpen: 240,
+    regularOpen: 570,
+    regularClose: 780,
+    afterHoursClose: 1020,
+    earlyClose: true
+  });
+  assert.equal(sessionTimes('2025-11-27'), null);
+  assert.equal(sessionTimes('2025-11-29'), null);
+});
+
+test('exchange times convert to UTC across daylight saving changes', () => {
+  const cases = [
+    ['2026-03-06', 570, '2026-03-06T14:30:00.000Z'], // EST
+    ['2026-03-09', 570, '2026-03-09T13:30:00.000Z'], // EDT from 2026-03-08
+    ['2026-10-30', 960, '2026-10-30T20:00:00.000Z'],
+    ['2026-11-02', 960, '2026-11-02T21:00:00.000Z'] // EST from 2026-11-01
+  ];
+  cases.forEach(([date, minutes, utc]) => assert.equal(exchangeInstant(date, minutes).toISOString(), utc, date));
+});
+
+test('market status by instant', () => {
+  const cases = [
+    // Friday after the close, DST starting over the weekend
+    ['2026-03-06T21:30:00Z', 'after-hours', 'After the closing bell', '2026-03-09T13:30:00.000Z', '2026-03-09T20:00:00.000Z'],
+    ['2026-03-09T13:00:00Z', 'pre-market', 'Before the opening bell', '2026-03-09T13:30:00.000Z', '2026-03-09T20:00:00.000Z'],
+    ['2026-03-09T14:00:00Z', 'regular', null, '2026-03-10T13:30:00.000Z', '2026-03-09T20:00:00.000Z'],
+    ['2026-04-03T15:00:00Z', 'closed', 'Good Friday', '2026-04-06T13:30:00.000Z', '2026-04-06T20:00:00.000Z'],
+    ['2026-04-04T15:00:00Z', 'closed', 'Weekend', '2026-04-06T13:30:00.000Z', '2026-04-06T20:00:00.000Z'],
+    ['2025-11-28T18:30:00Z', 'after-hours', 'Early close (Day after Thanksgiving)', '2025-12-01T14:30:00.000Z', '2025-12-01T21:00:00.000Z'],
+    ['2025-11-28T22:30:00Z', 'closed', 'Early close (Day after Thanksgiving)', '2025-12-01T14:30:00.000Z', '2025-12-01T21:00:00.000Z']
+  ];
+  cases.forEach(([instant, session, reason, nextOpen, nextClose]) => {
+    const status = getMarketStatus(new Date(instant));
+    assert.equal(status.session, session, instant);
+    assert.equal(status.isOpen, session === 'regular', instant);
+    assert.equal(status.reason, reason, instant);
+    assert.equal(status.nextOpen, nextOpen, instant);
+    assert.equal(status.nextClose, nextClose, instant);
+  });
+});
+
+test('the next trading day skips weekends and holidays', () => {
+  assert.equal(nextTradingDay('2026-04-02'), '2026-04-06');
+  assert.equal(nextTradingDay('2025-12-24'), '2025-12-26');
+  assert.equal(nextTradingDay('2025-12-31'), '2026-01-02');
+});
@@ -0,0 +1,48 @@
+// Ranking a company against its peer group
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { riskPercentile, rankAgainstPeers, MIN_PEERS } = require('../../src/functions/lib/peers');
+
+const PEERS = [
+  { symbol: 'A', debtToEquity: 0.2, netProfitMargin: 0.3, currentRatio: 2.5, volatility: 0.2 },
+  { symbol: 'B', debtToEquity: 0.5, netProfitMargin: 0.2, currentRatio: 1.8, volatility: 0.25 },
+  { symbol: 'C', debtToEquity: 1.0, netProfitMargin: 0.1, currentRatio: 1.2, volatility: 0.3 },
+  { symbol: 'D', debtToEquity: 2.0, netProfitMargin: 0.05, currentRatio: 0.9, volatility: 0.4 }
+];
+
+test('percentiles count the peers the company is riskier than, ties as half', () => {
+  assert.equal(riskPercentile(1.5, [0.2, 0.5, 1.0, 2.0], true), 75);
+  assert.equal(riskPercentile(0.1, [0.2, 0.5, 1.0, 2.0], true), 0);
+  assert.equal(riskPercentile(0.5, [0.2, 0.5, 1.0, 2.0], true), 37.5);
+  // Lower margins are riskier
+  assert.equal(riskPercentile(0.15, [0.3, 0.2, 0.1, 0.05], false), 50);
+});
+
+test('each metric is ranked and the score is their mean', () => {
+  const rank = rankAgainstPeers(
+    { symbol: 'X', debtToEquity: 1.5, netProfitMargin: 0.15, currentRatio: 3, volatility: 0.5 },
+    PEERS
+  );
+
+  assert.deepEqual(rank.metrics.debtToEquity, { value: 1.5, peerMedian: 0.75, riskPercentile: 75, peerCount: 4 });
+  assert.equal(rank.metrics.netProfitMargin.riskPercentile, 50);
+  assert.equal(rank.metrics.currentRatio.riskPercentile, 0);
+  assert.equal(rank.metrics.volatility.riskPercentile, 100);
+  assert.equal(rank.score, 56); // (75 + 50 + 0 + 100) / 4
+  assert.equal(rank.standout.name, 'currentRatio'); // 0 and 100 tie; the first wins
+});
+
+test(`metrics with fewer than ${MIN_PEERS} peer values are not ranked`, () => {
+  const peers = PEERS.map((peer, i) => ({ ...peer, volatility: i < MIN_PEERS - 1 ? peer.volatility : null }));
+  const rank = rankAgainstPeers({ symbol: 'X', debtToEquity: 1.5, volatility: 0.5 }, peers);
+
+  assert.deepEqual(rank.metrics.volatility, { value: 0.5, peerMedian: null, riskPercentile: null, peerCount: MIN_PEERS - 1 });
+  // Missing company values aren't ranked either
+  assert.equal(rank.metrics.netProfitMargin.value, null);
+  assert.equal(rank.metrics.netProfitMargin.riskPercentile, null);
+  assert.equal(rank.score, 75);
+
+  const none = rankAgainstPeers({ symbol: 'X', debtToEquity: 1.5 }, PEERS.slice(0, MIN_PEERS - 1));
+  assert.equal(none.score, null);
+  assert.equal(none.standout, null);
+});
@@ -0,0 +1,96 @@
+// Portfolio weights, risk contributions and concentration
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveWeights, covarianceMatrix, riskContributions, analyzePortfolio } = require('../../src/functions/lib/portfolio');
+
+// Deterministic daily bars (newest first) from a seeded random walk
+function bars(seed, days = 150) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+  const start = Date.parse('2025-01-01T00:00:00Z');
+  let close = 100;
+  return Array.from({ length: days }, (_, i) => {
+    close *= 1 + (random() - 0.5) * 0.04;
+    return { date: new Date(start + i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10), close };
+  }).reverse();
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+test('weights come from share values or raw weights and sum to 1', () => {
+  const fromShares = resolveWeights(
+    [{ symbol: 'AAPL', shares: 10 }, { symbol: 'MSFT', shares: 5 }],
+    { AAPL: 200, MSFT: 400 }
+  );
+  assert.deepEqual(fromShares.weights, { AAPL: 0.5, MSFT: 0.5 });
+  assert.equal(fromShares.total, 4000);
+
+  // Percentages and fractions scale the same way
+  const percentages = resolveWeights([{ symbol: 'A', weight: 60 }, { symbol: 'B', weight: 30 }, { symbol: 'C', weight: 10 }]);
+  const fractions = resolveWeights([{ symbol: 'A', weight: 0.3 }, { symbol: 'B', weight: 0.15 }, { symbol: 'C', weight: 0.05 }]);
+  assert.deepEqual(percentages.weights, { A: 0.6, B: 0.3, C: 0.1 });
+  Object.keys(percentages.weights).forEach(symbol => {
+    assert.ok(Math.abs(fractions.weights[symbol] - percentages.weights[symbol]) < 1e-12);
+  });
+});
+
+test('risk contributions add up to the volatility and to 100% of risk', () => {
+  const covariance = [
+    [0.04, 0.006, 0.002],
+    [0.006, 0.09, -0.01],
+    [0.002, -0.01, 0.0225]
+  ];
+  const weights = [0.5, 0.3, 0.2];
+  const { volatility, contributions } = riskContributions(weights, covariance);
+
+  const variance = sum(weights.map((w, i) => sum(weights.map((v, j) => w * v * covariance[i][j]))));
+  assert.ok(Math.abs(volatility - Math.sqrt(variance)) < 1e-12);
+  assert.ok(Math.abs(sum(contributions.map(c => c.contribution)) - volatility) < 1e-12);
+  assert.ok(Math.abs(sum(contributions.map(c => c.percentOfRisk)) - 1) < 1e-12);
+});
+
+test('covariance is the sample covariance of the returns', () => {
+  const matrix = covarianceMatrix({ A: [0.01, -0.01, 0.02, 0], B: [0.02, -0.02, 0.04, 0] }, ['A', 'B']);
+  // B is exactly twice A
+  assert.ok(Math.abs(matrix[0][1] - 2 * matrix[0][0]) < 1e-15);
+  assert.ok(Math.abs(matrix[1][1] - 4 * matrix[0][0]) < 1e-15);
+  assert.equal(matrix[0][1], matrix[1][0]);
+});
+
+test('a portfolio gets beta, volatility, contributions and concentration warnings', () => {
+  const result = analyzePortfolio([
+    { symbol: 'AAPL', weight: 0.5, beta: 1.2, sector: 'Technology', industry: 'Consumer Electronics', bars: bars(1) },
+    { symbol: 'MSFT', weight: 0.3, beta: 0.9, sector: 'Technology', industry: 'Software', bars: bars(2) },
+    { symbol: 'XOM', weight: 0.2, beta: null, sector: 'Energy', industry: 'Oil & Gas', bars: bars(3) }
+  ]);
+
+  assert.equal(result.beta, 1.088); // (0.5 * 1.2 + 0.3 * 0.9) / 0.8
+  assert.equal(result.betaCoverage, 0.8);
+  assert.equal(result.observations, 149);
+  assert.ok(result.volatility > 0);
+  assert.ok(Math.abs(sum(result.contributions.map(c => c.percentOfRisk)) - 1) < 0.001);
+  assert.deepEqual(result.correlation.matrix.map((row, i) => row[i]), [1, 1, 1]);
+
+  assert.deepEqual(result.concentration.warnings.map(w => [w.type, w.symbol || w.name]), [
+    ['single-name', 'AAPL'],
+    ['single-name', 'MSFT'],
+    ['sector', 'Technology'],
+    ['industry', 'Consumer Electronics']
+  ]);
+  assert.equal(result.concentration.effectiveHoldings, 2.63); // 1 / (0.25 + 0.09 + 0.04)
+});
+
+test('too few shared trading days leave volatility out', () => {
+  const result = analyzePortfolio([
+    { symbol: 'AAPL', weight: 0.5, bars: bars(1, 30) },
+    { symbol: 'MSFT', weight: 0.5, bars: bars(2, 30) }
+  ]);
+  assert.equal(result.volatility, null);
+  assert.equal(result.correlation, null);
+  assert.deepEqual(result.contributions.map(c => c.percentOfRisk), [null, null]);
+});
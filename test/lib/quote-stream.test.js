@@ -0,0 +1,196 @@
+// Quote hub against a stubbed quote fetcher and a hand-driven clock
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createQuoteHub, changedFields } = require('../../src/functions/lib/quote-stream');
+
+const OPEN = { isOpen: true, session: 'regular' };
+const CLOSED = { isOpen: false, session: 'closed' };
+
+// Interval timers that only fire when told to
+function fakeClock() {
+  const timers = new Map();
+  let nextId = 1;
+  return {
+    setInterval(fn, ms) {
+      const id = nextId++;
+      timers.set(id, { fn, ms });
+      return id;
+    },
+    clearInterval(id) {
+      timers.delete(id);
+    },
+    // Fire every timer with this interval once
+    tick(ms) {
+      [...timers.values()].filter(timer => timer.ms === ms).forEach(timer => timer.fn());
+    },
+    active: () => timers.size
+  };
+}
+
+// Fetcher serving `quotes` in turn (the last one repeats), recording each call
+function fakeFetcher(...quotes) {
+  const calls = [];
+  const fetchQuotes = async (symbols) => {
+    calls.push(symbols);
+    return quotes[Math.min(calls.length, quotes.length) - 1];
+  };
+  return { fetchQuotes, calls };
+}
+
+// Let pending polls settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+function setup(fetcher, options = {}) {
+  const clock = fakeClock();
+  const hub = createQuoteHub({
+    fetchQuotes: fetcher.fetchQuotes,
+    pollInterval: 1000,
+    marketStatus: () => OPEN,
+    setInterval: clock.setInterval,
+    clearInterval: clock.clearInterval,
+    ...options
+  });
+  return { hub, clock };
+}
+
+const AAPL = { symbol: 'AAPL', price: 190, volume: 1000, timestamp: 1 };
+const MSFT = { symbol: 'MSFT', price: 410, volume: 500, timestamp: 1 };
+
+test('subscribers to the same symbol set share one poller', async () => {
+  const fetcher = fakeFetcher({ AAPL, MSFT });
+  const { hub, clock } = setup(fetcher);
+
+  hub.subscribe(['AAPL', 'MSFT'], () => {});
+  hub.subscribe(['MSFT', 'AAPL', 'AAPL'], () => {});
+  await flush();
+  assert.equal(hub.pollerCount(), 1);
+  assert.deepEqual(fetcher.calls, [['AAPL', 'MSFT']]);
+
+  clock.tick(1000);
+  await flush();
+  assert.equal(fetcher.calls.length, 2);
+
+  hub.subscribe(['AAPL'], () => {});
+  assert.equal(hub.pollerCount(), 2);
+});
+
+test('a late subscriber gets the current snapshot straight away', async () => {
+  const { hub } = setup(fakeFetcher({ AAPL }));
+  hub.subscribe(['AAPL'], () => {});
+  await flush();
+
+  const messages = [];
+  hub.subscribe(['AAPL'], message => messages.push(message));
+  assert.deepEqual(messages, [{ type: 'snapshot', data: { AAPL } }]);
+});
+
+test('quote events carry only the fields that changed', async () => {
+  const fetcher = fakeFetcher(
+    { AAPL, MSFT },
+    { AAPL: { ...AAPL, price: 191, timestamp: 2 }, MSFT: { ...MSFT, timestamp: 2 } },
+    { AAPL: { ...AAPL, price: 191, timestamp: 3 }, MSFT: { ...MSFT, timestamp: 3 } }
+  );
+  const { hub, clock } = setup(fetcher);
+  const messages = [];
+  hub.subscribe(['AAPL', 'MSFT'], message => messages.push(message));
+
+  await flush();
+  clock.tick(1000);
+  await flush();
+  clock.tick(1000);
+  await flush();
+
+  assert.deepEqual(messages, [
+    { type: 'snapshot', data: { AAPL, MSFT } },
+    { type: 'quote', data: { AAPL: { price: 191, timestamp: 2 } } }
+  ]);
+});
+
+test('changedFields ignores timestamp-only changes', () => {
+  assert.equal(changedFields(AAPL, { ...AAPL, timestamp: 2 }), null);
+  assert.deepEqual(changedFields(AAPL, { ...AAPL, volume: 1200, timestamp: 2 }), { volume: 1200, timestamp: 2 });
+  assert.deepEqual(changedFields(null, AAPL), AAPL);
+});
+
+test('a failed poll emits an error and polling carries on', async () => {
+  let fail = true;
+  const { hub, clock } = setup({
+    fetchQuotes: async () => {
+      if (fail) throw new Error('upstream down');
+      return { AAPL };
+    }
+  });
+  const messages = [];
+  hub.subscribe(['AAPL'], message => messages.push(message));
+
+  const error = console.error;
+  console.error = () => {};
+  try {
+    await flush();
+  } finally {
+    console.error = error;
+  }
+  fail = false;
+  clock.tick(1000);
+  await flush();
+
+  assert.deepEqual(messages.map(message => message.type), ['error', 'snapshot']);
+});
+
+test('each listener gets heartbeats until it unsubscribes', async () => {
+  const { hub, clock } = setup(fakeFetcher({ AAPL }), {
+    heartbeatInterval: 15000,
+    now: () => new Date('2026-03-02T15:00:00Z')
+  });
+  const first = [];
+  const second = [];
+  hub.subscribe(['AAPL'], message => first.push(message));
+  const unsubscribe = hub.subscribe(['AAPL'], message => second.push(message));
+  await flush();
+
+  clock.tick(15000);
+  unsubscribe();
+  clock.tick(15000);
+
+  const heartbeat = { type: 'heartbeat', data: { time: '2026-03-02T15:00:00.000Z' } };
+  assert.deepEqual(first.filter(message => message.type === 'heartbeat'), [heartbeat, heartbeat]);
+  assert.deepEqual(second.filter(message => message.type === 'heartbeat'), [heartbeat]);
+});
+
+test('market close emits market-closed and stops the poller', async () => {
+  let status = OPEN;
+  const fetcher = fakeFetcher({ AAPL });
+  const { hub, clock } = setup(fetcher, { marketStatus: () => status, heartbeatInterval: 15000 });
+  const messages = [];
+  hub.subscribe(['AAPL'], message => messages.push(message));
+  await flush();
+
+  status = CLOSED;
+  clock.tick(1000);
+  await flush();
+
+  assert.deepEqual(messages.map(message => message.type), ['snapshot', 'market-closed']);
+  assert.deepEqual(messages[1].data, CLOSED);
+  assert.equal(hub.pollerCount(), 0);
+  assert.equal(clock.active(), 0);
+  assert.equal(fetcher.calls.length, 1);
+});
+
+test('the poller stops once its last subscriber leaves', async () => {
+  const fetcher = fakeFetcher({ AAPL });
+  const { hub, clock } = setup(fetcher, { heartbeatInterval: 15000 });
+  const unsubscribeFirst = hub.subscribe(['AAPL'], () => {});
+  const unsubscribeSecond = hub.subscribe(['AAPL'], () => {});
+  await flush();
+
+  unsubscribeFirst();
+  assert.equal(hub.pollerCount(), 1);
+
+  unsubscribeSecond();
+  assert.equal(hub.pollerCount(), 0);
+  assert.equal(clock.active(), 0);
+
+  clock.tick(1000);
+  await flush();
+  assert.equal(fetcher.calls.length, 1);
+});
@@ -0,0 +1,90 @@
+// Factor-based stock rating
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rateStock, priceSignals, analystSignals, scaleScore, WEIGHTS } = require('../../src/functions/lib/rating');
+
+// Daily closes for `days` days up to 2026-03-31, rising by `step` a day
+function bars(days, step) {
+  const end = Date.parse('2026-03-31T00:00:00Z');
+  return Array.from({ length: days }, (_, i) => ({
+    date: new Date(end - (days - 1 - i) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    close: 100 + i * step
+  }));
+}
+
+const DATA = {
+  quote: { price: 120 },
+  ratios: {
+    priceEarningsRatioTTM: 20,
+    returnOnEquityTTM: 0.2,
+    netProfitMarginTTM: 0.15,
+    debtEquityRatioTTM: 0.8,
+    currentRatioTTM: 1.5
+  },
+  metrics: { freeCashFlowYieldTTM: 0.04 },
+  historical: bars(400, 0.05),
+  recommendations: { analystRatingsStrongBuy: 10, analystRatingsbuy: 10, analystRatingsHold: 5 }
+};
+
+test('scores interpolate between the anchors in either direction and clamp', () => {
+  assert.equal(scaleScore(0.125, 0, 0.25), 50);
+  assert.equal(scaleScore(27.5, 45, 10), 50); // Lower is better
+  assert.equal(scaleScore(-1, 0, 0.25), 0);
+  assert.equal(scaleScore(1, 0, 0.25), 100);
+});
+
+test('the same inputs give the same rating', () => {
+  assert.deepEqual(rateStock('AAPL', DATA), rateStock('AAPL', DATA));
+});
+
+test('weights are renormalised over the factors that have data', () => {
+  const result = rateStock('AAPL', { quote: DATA.quote, ratios: DATA.ratios });
+
+  // Valuation (P/E) and quality only
+  assert.equal(result.factors.momentum.score, null);
+  assert.equal(result.factors.analyst.score, null);
+  assert.equal(result.factors.momentum.weight, 0);
+  const total = WEIGHTS.valuation + WEIGHTS.quality;
+  assert.equal(result.factors.valuation.weight, Math.round(WEIGHTS.valuation / total * 1000) / 1000);
+  assert.equal(result.factors.quality.weight, Math.round(WEIGHTS.quality / total * 1000) / 1000);
+
+  // Without any data the rating is a neutral Hold with no confidence
+  const empty = rateStock('AAPL', {});
+  assert.equal(empty.score, 50);
+  assert.equal(empty.rating, 'Hold');
+  assert.equal(empty.confidence, 0);
+  assert.equal(empty.target_method, 'unavailable');
+});
+
+test('contributions add up to the distance from neutral', () => {
+  const result = rateStock('AAPL', DATA);
+  const contributions = Object.values(result.factors).reduce((sum, factor) => sum + factor.contribution, 0);
+  assert.ok(Math.abs(result.score - 50 - contributions) < 0.3);
+});
+
+test('the analysts\' consensus target wins over the score-implied one', () => {
+  const implied = rateStock('AAPL', DATA);
+  assert.equal(implied.target_method, 'score-implied');
+  assert.equal(implied.target_price, Math.round(120 * (1 + (implied.score - 50) / 50 * 0.2) * 100) / 100);
+
+  const consensus = rateStock('AAPL', { ...DATA, priceTarget: { targetConsensus: 150 } });
+  assert.equal(consensus.target_method, 'analyst-consensus');
+  assert.equal(consensus.target_price, 150);
+  assert.equal(consensus.upside, 0.25);
+});
+
+test('price signals measure returns back from the newest bar', () => {
+  const signals = priceSignals(bars(400, 0.05).reverse());
+  const latest = 100 + 399 * 0.05;
+  // 2025-12-31 is 90 days before 2026-03-31
+  assert.equal(signals.return3M, latest / (100 + 309 * 0.05) - 1);
+  assert.ok(signals.priceVsSma50 > 0);
+  assert.deepEqual(priceSignals([]), {});
+});
+
+test('analyst balance runs from -1 (all strong sell) to +1 (all strong buy)', () => {
+  assert.equal(analystSignals({ analystRatingsStrongBuy: 4 }).recommendationBalance, 1);
+  assert.equal(analystSignals({ analystRatingsStrongSell: 4 }).recommendationBalance, -1);
+  assert.equal(analystSignals({ analystRatingsbuy: 2, analystRatingsSell: 2 }).recommendationBalance, 0);
+  assert.deepEqual(analystSignals({}), {});
+});
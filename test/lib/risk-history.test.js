@@ -0,0 +1,96 @@
+// Risk history stores and level-change tracking
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createFileHistoryStore,
+  createHistoryStoreFromEnv,
+  trackChanges,
+  trackModelChanges
+} = require('../../src/functions/lib/risk-history');
+
+function snapshot(date, companyLevel, inputs, modelVersion = '1.0.0') {
+  return {
+    symbol: 'AAPL',
+    date,
+    modelVersion,
+    overall: { level: 'Medium', score: 50 },
+    market: { level: 'Medium', score: 50 },
+    company: { level: companyLevel, score: companyLevel === 'High' ? 70 : 40 },
+    sector: { level: 'Medium', score: 50 },
+    inputs
+  };
+}
+
+test('concurrent file store writers keep every snapshot', async () => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'risk-history-test-'));
+  try {
+    // Two stores on one directory, as two containers sharing it would be
+    const first = createFileHistoryStore(dir);
+    const second = createFileHistoryStore(dir);
+    const dates = Array.from({ length: 20 }, (_, i) => `2026-01-${String(i + 1).padStart(2, '0')}`);
+
+    await Promise.all(dates.map((date, i) => (i % 2 ? first : second).put('AAPL', snapshot(date, 'Low', {}))));
+
+    assert.deepEqual((await first.list('AAPL')).map(s => s.date), dates);
+    assert.deepEqual(fs.readdirSync(dir), ['AAPL.json']);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('history defaults to the file store, shared only with an explicit directory', () => {
+  const cases = [
+    [{}, 'file', false],
+    [{ NETLIFY_DEV: 'true' }, 'file', true],
+    [{ RISK_HISTORY_DIR: '/mnt/shared/risk-history' }, 'file', true],
+    [{ RISK_HISTORY_STORE: 'memory' }, 'memory', false],
+    [{ RISK_HISTORY_STORE: 'redis', RISK_HISTORY_REDIS_URL: 'https://redis.example' }, 'redis', true]
+  ];
+  cases.forEach(([env, name, shared]) => {
+    const store = createHistoryStoreFromEnv(env);
+    assert.equal(store.name, name, JSON.stringify(env));
+    assert.equal(store.shared, shared, JSON.stringify(env));
+  });
+
+  // Redis without a URL falls back to the container's own directory
+  const error = console.error;
+  console.error = () => {};
+  try {
+    assert.equal(createHistoryStoreFromEnv({ RISK_HISTORY_STORE: 'redis' }).shared, false);
+  } finally {
+    console.error = error;
+  }
+});
+
+test('company level changes report quick ratio moves', () => {
+  const changes = trackChanges([
+    snapshot('2026-01-02', 'Low', { quickRatio: 1.2, debtToEquity: 0.5 }),
+    snapshot('2026-01-03', 'High', { quickRatio: 0.6, debtToEquity: 0.5 })
+  ]);
+
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].component, 'company');
+  assert.equal(changes[0].direction, 'up');
+  assert.equal(changes[0].cause, 'inputs');
+  assert.deepEqual(changes[0].drivers.map(d => d.metric), ['quickRatio']);
+});
+
+test('level changes across a risk model change are put down to the model', () => {
+  const snapshots = [
+    snapshot('2026-01-02', 'Low', { quickRatio: 1.2, debtToEquity: 0.5 }),
+    snapshot('2026-01-03', 'High', { quickRatio: 1.1, debtToEquity: 0.5 }, '2.0.0'),
+    snapshot('2026-01-04', 'High', { quickRatio: 1.1, debtToEquity: 0.5 }, '2.0.0')
+  ];
+
+  const [change] = trackChanges(snapshots);
+  assert.equal(change.cause, 'model');
+  assert.deepEqual(change.drivers, []);
+  assert.equal(change.description, 'Company risk rose from Low to High as the risk model changed from 1.0.0 to 2.0.0');
+
+  assert.deepEqual(trackModelChanges(snapshots), [
+    { date: '2026-01-03', previousDate: '2026-01-02', from: '1.0.0', to: '2.0.0' }
+  ]);
+});
@@ -0,0 +1,116 @@
+// Risk model config and scenario overrides
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_RISK_MODEL,
+  validateRiskModel,
+  loadRiskModel,
+  scoreLevel,
+  betaScore,
+  matchBand,
+  applyOverride,
+  parseScenarios
+} = require('../../src/functions/lib/risk-model');
+
+test('the default model is valid and used without RISK_MODEL', () => {
+  assert.deepEqual(validateRiskModel(DEFAULT_RISK_MODEL), []);
+  assert.equal(loadRiskModel({}), DEFAULT_RISK_MODEL);
+  assert.equal(loadRiskModel({ RISK_MODEL: '  ' }), DEFAULT_RISK_MODEL);
+});
+
+test('RISK_MODEL merges over the default, inline or from a file', () => {
+  const inline = loadRiskModel({ RISK_MODEL: '{"version":"2.0.0","levels":{"low":35},"market":{"window":"3Y"}}' });
+  assert.equal(inline.version, '2.0.0');
+  assert.deepEqual(inline.levels, { low: 35, high: 65 });
+  assert.equal(inline.market.window, '3Y');
+  assert.deepEqual(inline.market.blend, DEFAULT_RISK_MODEL.market.blend);
+
+  // Arrays replace rather than merge
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-model-test-'));
+  try {
+    const file = path.join(dir, 'model.json');
+    fs.writeFileSync(file, JSON.stringify({ version: '2.1.0', company: { rules: { debtToEquity: [{ above: 2, points: 30 }] } } }));
+    const fromFile = loadRiskModel({ RISK_MODEL: file });
+    assert.deepEqual(fromFile.company.rules.debtToEquity, [{ above: 2, points: 30 }]);
+    assert.deepEqual(fromFile.company.rules.quickRatio, DEFAULT_RISK_MODEL.company.rules.quickRatio);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('invalid configs are rejected with every problem listed', () => {
+  assert.throws(() => loadRiskModel({ RISK_MODEL: '{"levels":{"low":30}}' }), /must set its own version/);
+  assert.throws(() => loadRiskModel({ RISK_MODEL: '{"version":' }), SyntaxError);
+  assert.throws(() => loadRiskModel({ RISK_MODEL: '/no/such/model.json' }), /ENOENT/);
+
+  assert.throws(
+    () => loadRiskModel({ RISK_MODEL: JSON.stringify({
+      version: '3.0.0',
+      weights: { market: 0.5, company: 0.5, sector: 0.2 },
+      levels: { low: 70, high: 60 },
+      market: { window: '2Y' },
+      company: { rules: { debtToEquity: [{ points: 10 }] }, qualityWeight: 2 }
+    }) }),
+    error => {
+      assert.match(error.message, /^Invalid risk model 3\.0\.0: /);
+      ['weights must sum to 1', 'levels.low and levels.high', 'market.window must be one of',
+        'company.rules.debtToEquity', 'company.qualityWeight'].forEach(problem => {
+        assert.ok(error.message.includes(problem), problem);
+      });
+      return true;
+    }
+  );
+});
+
+test('scores map to levels and beta follows the piecewise curve', () => {
+  assert.equal(scoreLevel(39.9, DEFAULT_RISK_MODEL), 'Low');
+  assert.equal(scoreLevel(40, DEFAULT_RISK_MODEL), 'Medium');
+  assert.equal(scoreLevel(65, DEFAULT_RISK_MODEL), 'High');
+
+  assert.equal(betaScore(0.5, DEFAULT_RISK_MODEL), 15);
+  assert.equal(betaScore(1, DEFAULT_RISK_MODEL), 40);
+  assert.equal(betaScore(1.6, DEFAULT_RISK_MODEL), 80);
+  assert.equal(betaScore(3, DEFAULT_RISK_MODEL), 85);
+});
+
+test('the first matching band wins', () => {
+  const bands = DEFAULT_RISK_MODEL.company.rules.debtToEquity;
+  assert.equal(matchBand(2, bands).points, 25);
+  assert.equal(matchBand(1.2, bands).points, 15);
+  assert.equal(matchBand(0.1, bands).points, -15);
+  assert.equal(matchBand(0.5, bands), null);
+});
+
+test('overrides replace, multiply or add, and leave missing baselines missing', () => {
+  assert.equal(applyOverride(1.2, undefined), 1.2);
+  assert.equal(applyOverride(1.2, 2), 2);
+  assert.equal(applyOverride(null, 2), 2);
+  assert.ok(Math.abs(applyOverride(1.2, { multiply: 1.5 }) - 1.8) < 1e-12);
+  assert.ok(Math.abs(applyOverride(1.2, { add: -0.2 }) - 1) < 1e-12);
+  assert.equal(applyOverride(null, { multiply: 1.5 }), null);
+});
+
+test('scenarios are validated and named', () => {
+  assert.deepEqual(parseScenarios([
+    { name: ' Rate shock ', overrides: { debtToEquity: { multiply: 1.5 }, beta: 1.4 } },
+    { overrides: { profitMargin: { add: -0.05 } } }
+  ]), {
+    scenarios: [
+      { name: 'Rate shock', overrides: { debtToEquity: { multiply: 1.5 }, beta: 1.4 } },
+      { name: 'Scenario 2', overrides: { profitMargin: { add: -0.05 } } }
+    ]
+  });
+
+  const errors = [
+    [[], /non-empty array/],
+    [Array(11).fill({ overrides: { beta: 1 } }), /At most 10 scenarios/],
+    [[{ overrides: {} }], /scenarios\[0\]\.overrides must be a non-empty object/],
+    [[{ overrides: { price: 10 } }], /overrides\.price is not an input/],
+    [[{ overrides: { beta: { multiply: 2, add: 1 } } }], /overrides\.beta must be a number/],
+    [[{ overrides: { beta: '1.5' } }], /overrides\.beta must be a number/]
+  ];
+  errors.forEach(([input, message]) => assert.match(parseScenarios(input).error, message));
+});
@@ -0,0 +1,54 @@
+// Source fetches with timeouts and retries
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fetchSource } = require('../../src/functions/lib/sources');
+
+test('fetch gets the timeout and a timed-out attempt is retried with a new request', async () => {
+  const timeouts = [];
+  const source = {
+    name: 'ratios',
+    fetch: ({ timeout }) => {
+      timeouts.push(timeout);
+      // The first request honours its timeout the way axios does
+      if (timeouts.length === 1) {
+        return new Promise((resolve, reject) => setTimeout(() => {
+          reject(Object.assign(new Error(`timeout of ${timeout}ms exceeded`), { code: 'ECONNABORTED' }));
+        }, timeout));
+      }
+      return Promise.resolve({ data: { currentRatioTTM: 1.1 }, status: 'MISS', age: 0 });
+    }
+  };
+
+  const error = console.error;
+  console.error = () => {};
+  let result;
+  try {
+    result = await fetchSource(source, { timeout: 50, retries: 1 });
+  } finally {
+    console.error = error;
+  }
+
+  assert.deepEqual(timeouts, [50, 50]);
+  assert.equal(result.status, 'ok');
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(result.data, { currentRatioTTM: 1.1 });
+});
+
+test('a source that keeps failing is reported, not thrown', async () => {
+  const error = console.error;
+  console.error = () => {};
+  let result;
+  try {
+    result = await fetchSource({
+      name: 'profile',
+      fetch: () => Promise.reject(Object.assign(new Error('Request failed'), { response: { status: 404 } }))
+    }, { retries: 2 });
+  } finally {
+    console.error = error;
+  }
+
+  // 404 isn't worth retrying
+  assert.equal(result.status, 'failed');
+  assert.equal(result.attempts, 1);
+  assert.equal(result.error, 'HTTP 404');
+});